@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+// ── Livepeer command-line tool ──
+// The dashboard's numbers without the browser: same queries, same math (it
+// runs on src/lib). Meant for cron jobs and quick checks from a terminal, and
+// `alerts` runs as a small service that pushes the dashboard's alerts out.
+
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { configure } from "../src/lib/config.js";
+import { getDelegatorPosition, getRewardLedger, getMissedRewards, getOrchestrators, getOperatorReport, pendingFees, fetchCutHistory, batchResolveENS, resolveAddress } from "../src/lib/livepeer.js";
+import { orchestratorsCSV, claimsCSV, ledgerCSV, missedRewardsCSV, operatorRoundsCSV, operatorFlowsCSV, projectionCSV } from "../src/lib/export.js";
+import { defaultScenarios, projectBands } from "../src/lib/projection.js";
+import { planRedelegation, cutHistoryStats, withOwnStake } from "../src/lib/planner.js";
+import { buildTaxReport, taxReportCSV, FIATS, TAX_YEARS, TAX_EXPORTS } from "../src/lib/tax.js";
+import { listPriceSources } from "../src/lib/prices.js";
+import { checkWatchList, normalizeRules } from "../src/lib/alerts.js";
+import { createSinks, deliver } from "../src/lib/sinks.js";
+import { fmtAddr, fmtN } from "../src/lib/format.js";
+
+const USAGE = `Usage: livepeer <command> [options]
+
+Commands:
+  position <address|name.eth>   Bonded LPT, pending rewards and fees, unbonding
+                                locks and the delegate's reward calling
+  orchestrators                 The Compare table (same columns as the dashboard CSV)
+  claims <address|name.eth>     Claim history
+  ledger <address|name.eth>     Earnings round by round, rebuilt from pool data
+  missed <address|name.eth>     Rounds the delegate skipped reward, and the LPT lost
+  tax <address|name.eth>        Claims valued at the day's price, for tax tools
+  operator <orchestrator>       Cut and fee income and reward calls per round; --flows for
+                                delegators bonding and leaving
+  project <orchestrator>        Stake compounded under moving inflation, three scenarios
+  plan <address|name.eth>       Stay with the current delegate or move to --to?
+  alerts --config <file>        Watch delegators and orchestrators, push alerts to sinks
+
+Output:
+  --format <fmt>                position, plan: text | json (default text)
+                                orchestrators, claims, ledger, missed, operator, project: csv | json (default csv)
+  --out <file>                  Write to a file instead of stdout
+  --stake <LPT>                 Stake the Compare estimates and projection are sized for (default 1000);
+                                orchestrators yields count it joining each pool, 0 for the listed yields
+  --years <n>                   Projection length, 1–5 (default 3)
+  --to <orchestrator>           plan: the candidate to compare against
+  --days <n>                    plan: horizon in days (default 90)
+  --all                         Include orchestrators with no fees in the last 30 days
+  --rounds <n>                  operator: how many recent rounds (default 90)
+  --flows                       operator: the stake-flow log instead of the per-round one
+
+Tax report:
+  --layout <name>               ${TAX_EXPORTS.map((x) => x.id).join(" | ")} (default generic)
+  --fiat <code>                 ${FIATS.join(" | ")} (default USD)
+  --tax-year <start>            ${Object.keys(TAX_YEARS).join(" | ")} (default calendar)
+  --year <label>                Only this tax year, e.g. 2024 or 2024/25
+  --price-source <id>           ${listPriceSources().map((p) => p.id).join(" | ")}
+
+Alerts:
+  --config <file>               JSON: { "delegators": [address|name.eth], "orchestrators": [address],
+                                "sinks": [...] } plus any dashboard alert rule (followDelegate,
+                                types, missedRounds, stakeDropPct, pollMinutes); sinks are
+                                webhook, discord or smtp (see src/lib/sinks.js)
+  --state <file>                What has fired and what is left to deliver
+                                (default: the config file with .state.json)
+  --once                        Check once and exit (for cron), non-zero if anything failed
+  --test                        Send one sample alert to every sink and exit
+
+Data sources (flag, or environment variable):
+  --api-key <key>               GRAPH_API_KEY
+  --livepeer-subgraph <id>      LIVEPEER_SUBGRAPH_ID
+  --ens-subgraph <id>           ENS_SUBGRAPH_ID
+  --subgraph-url <url>          LIVEPEER_SUBGRAPH_URL   (instead of the gateway)
+  --ens-url <url>               ENS_SUBGRAPH_URL
+  --rpc-url <url>               ARB_RPC_URL
+The dashboard's VITE_-prefixed variables are read too, so the same .env works
+(node --env-file=.env bin/livepeer.js …).`;
+
+const OPTIONS = {
+  format: { type: "string" },
+  out: { type: "string" },
+  stake: { type: "string", default: "1000" },
+  all: { type: "boolean", default: false },
+  years: { type: "string", default: "3" },
+  to: { type: "string" },
+  days: { type: "string", default: "90" },
+  rounds: { type: "string", default: "90" },
+  flows: { type: "boolean", default: false },
+  config: { type: "string" },
+  state: { type: "string" },
+  once: { type: "boolean", default: false },
+  test: { type: "boolean", default: false },
+  layout: { type: "string", default: "generic" },
+  fiat: { type: "string", default: "USD" },
+  "tax-year": { type: "string", default: "calendar" },
+  year: { type: "string" },
+  "price-source": { type: "string", default: listPriceSources()[0].id },
+  "api-key": { type: "string" },
+  "livepeer-subgraph": { type: "string" },
+  "ens-subgraph": { type: "string" },
+  "subgraph-url": { type: "string" },
+  "ens-url": { type: "string" },
+  "rpc-url": { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+const env = (name) => process.env[name] || process.env[`VITE_${name}`] || "";
+
+function configureFrom(values) {
+  configure({
+    apiKey: values["api-key"] || env("GRAPH_API_KEY"),
+    livepeerSubgraphId: values["livepeer-subgraph"] || env("LIVEPEER_SUBGRAPH_ID"),
+    ensSubgraphId: values["ens-subgraph"] || env("ENS_SUBGRAPH_ID"),
+    livepeerGraphqlUrl: values["subgraph-url"] || env("LIVEPEER_SUBGRAPH_URL"),
+    ensGraphqlUrl: values["ens-url"] || env("ENS_SUBGRAPH_URL"),
+    rpcUrl: values["rpc-url"] || env("ARB_RPC_URL"),
+  });
+}
+
+function formatOf(values, allowed) {
+  const format = values.format || allowed[0];
+  if (!allowed.includes(format)) throw new UsageError(`--format must be one of: ${allowed.join(", ")}`);
+  return format;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const log = (message) => console.error(`${new Date().toISOString()} ${message}`);
+
+const label = (addr, names) => (names[addr] ? `${addr} (${names[addr]})` : addr);
+
+async function positionText(p, input) {
+  const names = await batchResolveENS([p.address, p.delegate?.id].filter(Boolean));
+  if (input.endsWith(".eth")) names[p.address] = input;
+  const lines = [
+    `Delegator        ${label(p.address, names)}`,
+    p.delegate
+      ? `Delegate         ${label(p.delegate.id, names)} · reward cut ${fmtN(p.delegate.rewardCut / 10000)}% · fee share ${fmtN(p.delegate.feeShare / 10000)}%`
+      : "Delegate         none",
+    `Round            ${p.currentRound}`,
+    "",
+    `Bonded           ${fmtN(p.bondedAmount)} LPT`,
+    `Pending rewards  ${fmtN(p.pendingRewards)} LPT (lifetime ${fmtN(p.totalRewards)} LPT)`,
+    `Pending fees     ${fmtN(pendingFees(p), 6)} ETH (withdrawn ${fmtN(p.withdrawnFees, 6)} ETH)`,
+    `Reward calling   ${p.rewardReliability ? `${p.rewardReliability.called}/${p.rewardReliability.window} rounds (${p.rewardReliability.pct}%)` : "unknown"}`,
+  ];
+  if (p.unbondingLocks.length) {
+    lines.push("", "Unbonding locks");
+    for (const l of p.unbondingLocks) {
+      const eta = l.unlocksAt ? `, ≈ ${new Date(l.unlocksAt * 1000).toISOString().slice(0, 16).replace("T", " ")} UTC` : "";
+      const when = l.withdrawRound <= p.currentRound
+        ? "withdrawable now"
+        : `withdrawable at round ${l.withdrawRound} (${l.withdrawRound - p.currentRound} rounds${eta})`;
+      lines.push(`  #${l.lockId}  ${l.withdrawRound <= p.currentRound ? l.exactAmount : fmtN(l.amount)} LPT · ${when}`);
+    }
+  }
+  if (p.sync?.lagging || p.sync?.mismatches.length) {
+    lines.push("", `Warning: the subgraph is ${p.sync.lagBlocks} blocks behind the chain${p.sync.mismatches.length ? ` and disagrees with BondingManager on ${p.sync.mismatches.map((m) => m.field.toLowerCase()).join(", ")}` : ""}.`);
+  }
+  if (!p.claimsComplete) lines.push("", "Note: claim history was truncated — pending rewards may be overstated.");
+  return lines.join("\n");
+}
+
+const COMMANDS = {
+  async position(values, [input]) {
+    if (!input) throw new UsageError("position needs an address or .eth name");
+    const format = formatOf(values, ["text", "json"]);
+    const p = await getDelegatorPosition(input);
+    return format === "json" ? JSON.stringify(p, null, 2) : positionText(p, input);
+  },
+
+  async orchestrators(values) {
+    const format = formatOf(values, ["csv", "json"]);
+    const stake = Number(values.stake);
+    if (!(stake >= 0)) throw new UsageError("--stake must be a number of LPT");
+    const { protocol, roundsPerYear, orchestrators } = await getOrchestrators();
+    // Same as the dashboard's Simulate box: yields as if --stake joined each pool
+    const rows = (stake > 0 ? withOwnStake(orchestrators, { stake, protocol, roundsPerYear }) : orchestrators)
+      .filter((o) => values.all || o.isWorking)
+      .sort((a, b) => b.rewardAPY - a.rewardAPY);
+    if (format === "json") return JSON.stringify(rows, null, 2);
+    const names = await batchResolveENS(rows.map((o) => o.id));
+    return orchestratorsCSV(rows, names, stake);
+  },
+
+  async claims(values, [input]) {
+    if (!input) throw new UsageError("claims needs an address or .eth name");
+    const format = formatOf(values, ["csv", "json"]);
+    const p = await getDelegatorPosition(input);
+    if (!p.claimsComplete) console.error(`Warning: claim history for ${fmtAddr(p.address)} was truncated`);
+    return format === "json" ? JSON.stringify(p.claims, null, 2) : claimsCSV(p.claims);
+  },
+
+  async ledger(values, [input]) {
+    if (!input) throw new UsageError("ledger needs an address or .eth name");
+    const format = formatOf(values, ["csv", "json"]);
+    const p = await getDelegatorPosition(input);
+    const ledger = await getRewardLedger(p);
+    if (!ledger) throw new Error(`${fmtAddr(p.address)} has no bond history to rebuild`);
+    const { stake, fees } = ledger.reconciliation;
+    if (!stake.ok || !fees.ok) {
+      console.error(`Warning: ledger is off from on-chain by ${fmtN(stake.diff)} LPT, ${fmtN(fees.diff, 6)} ETH${ledger.complete ? "" : " (history was capped)"}`);
+    }
+    return format === "json" ? JSON.stringify(ledger, null, 2) : ledgerCSV(ledger.rows);
+  },
+
+  async missed(values, [input]) {
+    if (!input) throw new UsageError("missed needs an address or .eth name");
+    const format = formatOf(values, ["csv", "json"]);
+    const p = await getDelegatorPosition(input);
+    const missed = await getMissedRewards(p, await getRewardLedger(p).catch(() => null));
+    if (!missed.complete) console.error(`Warning: history for ${fmtAddr(p.address)} was capped — older missed rounds may be absent`);
+    return format === "json" ? JSON.stringify(missed, null, 2) : missedRewardsCSV(missed.rounds);
+  },
+
+  async tax(values, [input]) {
+    if (!input) throw new UsageError("tax needs an address or .eth name");
+    const fiat = values.fiat.toUpperCase();
+    if (!FIATS.includes(fiat)) throw new UsageError(`--fiat must be one of: ${FIATS.join(", ")}`);
+    if (!TAX_YEARS[values["tax-year"]]) throw new UsageError(`--tax-year must be one of: ${Object.keys(TAX_YEARS).join(", ")}`);
+    if (!TAX_EXPORTS.some((x) => x.id === values.layout)) throw new UsageError(`--layout must be one of: ${TAX_EXPORTS.map((x) => x.id).join(", ")}`);
+    const p = await getDelegatorPosition(input);
+    if (!p.claimsComplete) console.error(`Warning: claim history for ${fmtAddr(p.address)} was truncated`);
+    const report = await buildTaxReport(p.claims, { fiat, yearStart: values["tax-year"], source: values["price-source"] });
+    if (report.missingPrices) console.error(`Warning: no price for ${report.missingPrices} claims — their values are blank`);
+    return taxReportCSV(report, values.layout, values.year);
+  },
+
+  async operator(values, [input]) {
+    if (!input) throw new UsageError("operator needs an orchestrator address or .eth name");
+    const format = formatOf(values, ["csv", "json"]);
+    const rounds = Number(values.rounds);
+    if (!(Number.isInteger(rounds) && rounds > 0)) throw new UsageError("--rounds must be a whole number of rounds");
+    const report = await getOperatorReport(input, { rounds });
+    if (!report.complete) console.error(`Warning: history for ${fmtAddr(report.id)} was capped — older rounds or flows may be missing`);
+    if (format === "json") return JSON.stringify(report, null, 2);
+    return values.flows ? operatorFlowsCSV(report.flows) : operatorRoundsCSV(report.rows);
+  },
+
+  async project(values, [id]) {
+    if (!id) throw new UsageError("project needs an orchestrator address");
+    const format = formatOf(values, ["csv", "json"]);
+    const stake = Number(values.stake);
+    const years = Number(values.years);
+    if (!(stake > 0)) throw new UsageError("--stake must be a number of LPT");
+    if (!(years >= 1 && years <= 5)) throw new UsageError("--years must be between 1 and 5");
+    const { protocol, roundsPerYear, orchestrators } = await getOrchestrators();
+    const orch = orchestrators.find((o) => o.id === id.toLowerCase());
+    if (!orch) throw new Error(`${fmtAddr(id)} is not an active orchestrator`);
+    const projection = projectBands({ stake, protocol, roundsPerYear, years }, defaultScenarios(protocol, orch));
+    return format === "json" ? JSON.stringify(projection, null, 2) : projectionCSV(projection.points);
+  },
+
+  async plan(values, [input]) {
+    if (!input) throw new UsageError("plan needs an address or .eth name");
+    if (!values.to) throw new UsageError("plan needs --to <orchestrator>");
+    const format = formatOf(values, ["text", "json"]);
+    const days = Number(values.days);
+    if (!(days > 0)) throw new UsageError("--days must be a number of days");
+    const [p, { protocol, roundsPerYear, orchestrators }] = await Promise.all([getDelegatorPosition(input), getOrchestrators()]);
+    if (!(p.bondedAmount > 0)) throw new Error(`${fmtAddr(p.address)} has no bonded stake to move`);
+    const currentId = p.delegate?.id?.toLowerCase();
+    const candidate = orchestrators.find((o) => o.id === values.to.toLowerCase());
+    if (!candidate) throw new Error(`${fmtAddr(values.to)} is not an active orchestrator`);
+    const stats = (id) => (id ? fetchCutHistory(id).then(cutHistoryStats).catch(() => null) : null);
+    const [curHistory, candHistory] = await Promise.all([stats(currentId), stats(candidate.id)]);
+    const plan = planRedelegation({
+      stake: p.bondedAmount,
+      current: orchestrators.find((o) => o.id === currentId) || null,
+      candidate,
+      protocol,
+      roundsPerYear,
+      horizonRounds: Math.round((days / 365.25) * roundsPerYear),
+      histories: { current: curHistory, candidate: candHistory },
+    });
+    if (format === "json") return JSON.stringify(plan, null, 2);
+    return [
+      `Recommendation   ${plan.recommendation}`,
+      `Versus staying   ${fmtN(plan.diff.lpt)} LPT, ${fmtN(plan.diff.eth, 6)} ETH over ${days} days`,
+      `Break-even       ${plan.breakEvenRounds == null ? "never" : `${plan.breakEvenRounds} rounds`}`,
+      "",
+      "Assumptions",
+      ...plan.assumptions.map((a) => `  - ${a}`),
+    ].join("\n");
+  },
+
+  // Runs until stopped (or one check with --once). Logs go to stderr; nothing
+  // is printed on stdout.
+  async alerts(values) {
+    if (!values.config) throw new UsageError("alerts needs --config <file>");
+    const config = JSON.parse(readFileSync(values.config, "utf8"));
+    const sinks = createSinks((config.sinks || []).map((c) => (c.passEnv ? { ...c, pass: process.env[c.passEnv] || "" } : c)));
+    if (!sinks.length) throw new UsageError(`${values.config} lists no sinks`);
+
+    if (values.test) {
+      const sample = { id: `test:${Date.now()}`, type: "test", ts: Math.floor(Date.now() / 1000), title: "Test alert", body: "Alerts from `livepeer alerts` will arrive here." };
+      const { errors } = await deliver(sinks, [sample]);
+      errors.forEach((e) => log(`${e.sink}: ${e.error.message}`));
+      if (errors.length) throw new Error(`${errors.length} of ${sinks.length} sinks failed`);
+      return `Sent a test alert to ${sinks.map((s) => s.name).join(", ")}`;
+    }
+
+    const rules = { ...normalizeRules(config), delegators: await Promise.all((config.delegators || []).map(resolveAddress)) };
+    if (!rules.delegators.length && !rules.orchestrators.length) throw new UsageError(`${values.config} lists no delegators or orchestrators to watch`);
+    const statePath = values.state || values.config.replace(/(\.json)?$/, ".state.json");
+    let state = existsSync(statePath) ? JSON.parse(readFileSync(statePath, "utf8")) : {};
+
+    for (;;) {
+      const check = await checkWatchList(rules, state.check);
+      check.errors.forEach((e) => log(`check for ${e.watch === "-" ? "the orchestrator list" : fmtAddr(e.watch)} failed: ${e.error.message}`));
+      const sent = await deliver(sinks, check.alerts, state.pending);
+      sent.errors.forEach((e) => log(`${e.sink}: ${e.error.message}`));
+      // Saved only after delivery, so a failed send is retried instead of lost
+      state = { check: check.state, pending: sent.pending };
+      writeFileSync(statePath, JSON.stringify(state, null, 2) + "\n");
+      log(`${check.watched.length} orchestrators watched, ${check.alerts.length} new alerts${sent.pending.length ? `, ${sent.pending.length} deliveries to retry` : ""}`);
+      if (values.once) {
+        if (check.errors.length || sent.errors.length) throw new Error("some checks or deliveries failed");
+        return;
+      }
+      await sleep(rules.pollMinutes * 60000);
+    }
+  },
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  if (values.help || !command) return console.log(USAGE);
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+  configureFrom(values);
+  const output = await COMMANDS[command](values, rest);
+  if (output === undefined) return;
+  if (values.out) writeFileSync(values.out, output + "\n");
+  else console.log(output);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  const usage = err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS");
+  console.error(`livepeer: ${err.message}`);
+  if (usage) console.error("Run `livepeer --help` for usage.");
+  if (err.kind === "config") console.error("Pass --api-key and --livepeer-subgraph (or set GRAPH_API_KEY and LIVEPEER_SUBGRAPH_ID).");
+  process.exit(usage ? 2 : 1);
+});
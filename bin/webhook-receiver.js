@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// ── Local webhook receiver ──
+// Prints every request body it gets, for trying `livepeer alerts` without a
+// real endpoint: point a webhook or discord sink at http://localhost:8787/.
+// --status answers with another status code, to watch deliveries being kept
+// for retry.
+
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+
+const { values } = parseArgs({
+  options: {
+    port: { type: "string", default: "8787" },
+    status: { type: "string", default: "204" },
+  },
+});
+const status = Number(values.status);
+
+createServer((req, res) => {
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => { body += chunk; });
+  req.on("end", () => {
+    let shown = body;
+    try {
+      shown = JSON.stringify(JSON.parse(body), null, 2);
+    } catch { /* not JSON — print as is */ }
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} → ${status}\n${shown}\n`);
+    res.writeHead(status).end();
+  });
+}).listen(Number(values.port), () => console.error(`Listening on http://localhost:${values.port}/ (answering ${status})`));
@@ -1,313 +1,139 @@
-import { useState, useEffect, useRef } from "react";
+import { Fragment, useState, useEffect, useRef } from "react";
 import { AreaChart, Area, BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ResponsiveContainer, PieChart, Pie, ScatterChart, Scatter, LineChart, Line } from "recharts";
-
-const API_KEY = import.meta.env.VITE_GRAPH_API_KEY;
-const LIVEPEER_SUBGRAPH_ID = import.meta.env.VITE_LIVEPEER_SUBGRAPH_ID;
-const ENS_SUBGRAPH_ID = import.meta.env.VITE_ENS_SUBGRAPH_ID;
-const graphUrl = (id) => `https://gateway.thegraph.com/api/${API_KEY}/subgraphs/id/${id}`;
-
-const ARB_RPC = "https://arb1.arbitrum.io/rpc";
-const BONDING_MANAGER = "0x35bcf3c30594191d53231e4ff333e8a770453e40";
-
-// Fetch live pendingStake and pendingFees from BondingManager contract
-async function fetchPendingStakeAndFees(delegatorAddr, currentRound) {
-  const addr = delegatorAddr.slice(2).padStart(64, "0");
-  const round = BigInt(currentRound).toString(16).padStart(64, "0");
-  // pendingStake(address,uint256) selector: 0x9d0b2c7a
-  const stakeData = "0x9d0b2c7a" + addr + round;
-  // pendingFees(address,uint256) selector: 0xf595f1cc
-  const feesData = "0xf595f1cc" + addr + round;
-  const call = (data) => fetch(ARB_RPC, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_call", params: [{ to: BONDING_MANAGER, data }, "latest"] }),
-  }).then((r) => r.json()).then((j) => Number(BigInt(j.result)) / 1e18);
-  const [stake, fees] = await Promise.all([call(stakeData), call(feesData)]);
-  return { stake, fees };
-}
-
-const QUERIES = {
-  delegator: (id) => `{
-    delegator(id: "${id}") {
-      id
-      bondedAmount
-      principal
-      unbonded
-      delegatedAmount
-      fees
-      withdrawnFees
-      startRound
-      delegate { id totalStake rewardCut feeShare active lastRewardRound { id } serviceURI thirtyDayVolumeETH ninetyDayVolumeETH }
-      lastClaimRound { id }
-      unbondingLocks { id unbondingLockId amount withdrawRound delegate { id } }
-    }
-  }`,
-  rewardCalls: (id) => `{
-    rewardEvents(where: { delegate: "${id}" }, orderBy: timestamp, orderDirection: desc, first: 40) {
-      round { id }
-    }
-  }`,
-  earnings: (id, skip = 0) => `{
-    earningsClaimedEvents(where: { delegator: "${id}" }, orderBy: timestamp, orderDirection: asc, first: 1000, skip: ${skip}) {
-      id timestamp startRound endRound { id } rewardTokens fees delegate { id }
-    }
-  }`,
-  events: (id) => `{
-    bondEvents(where: { delegator: "${id}" }, orderBy: timestamp, orderDirection: asc, first: 100) {
-      id timestamp round { id } bondedAmount additionalAmount newDelegate { id } oldDelegate { id }
-    }
-    unbondEvents(where: { delegator: "${id}" }, orderBy: timestamp, orderDirection: asc, first: 100) {
-      id timestamp round { id } amount delegate { id }
-    }
-    rebondEvents(where: { delegator: "${id}" }, orderBy: timestamp, orderDirection: asc, first: 100) {
-      id timestamp round { id } amount delegate { id }
-    }
-    withdrawStakeEvents(where: { delegator: "${id}" }, orderBy: timestamp, orderDirection: asc, first: 100) {
-      id timestamp round { id } amount
-    }
-    withdrawFeesEvents(where: { delegator: "${id}" }, orderBy: timestamp, orderDirection: asc, first: 100) {
-      id timestamp round { id } amount
-    }
-  }`,
-  transcoders: `{
-    transcoders(where: { active: true }, first: 100, orderBy: totalStake, orderDirection: desc) {
-      id active rewardCut feeShare totalStake
-      thirtyDayVolumeETH sixtyDayVolumeETH ninetyDayVolumeETH totalVolumeETH
-      lastRewardRound { id }
-    }
-  }`,
-  protocol: `{
-    protocol(id: "0") {
-      inflation totalActiveStake totalSupply participationRate
-      totalVolumeETH totalVolumeUSD winningTicketCount delegatorsCount
-      currentRound { id mintableTokens }
-      lptPriceEth
-    }
-  }`,
-  recentRounds: `{ rounds(first: 2, orderBy: startTimestamp, orderDirection: desc) { startTimestamp } }`,
-  broadcasters: `{
-    broadcasters(first: 20, orderBy: thirtyDayVolumeETH, orderDirection: desc) {
-      id deposit reserve totalVolumeETH totalVolumeUSD
-      thirtyDayVolumeETH sixtyDayVolumeETH ninetyDayVolumeETH
-      firstFundedDay lastFundedDay
-    }
-  }`,
-  recentTickets: `{
-    winningTicketRedeemedEvents(first: 50, orderBy: timestamp, orderDirection: desc) {
-      id timestamp
-      faceValue faceValueUSD
-      sender { id thirtyDayVolumeETH totalVolumeETH }
-      recipient { id totalStake feeShare thirtyDayVolumeETH }
-      round { id }
-    }
-  }`,
-  dailyVolume: `{
-    days(first: 30, orderBy: date, orderDirection: desc) {
-      id date volumeETH volumeUSD activeTranscoderCount delegatorsCount
-    }
-  }`,
-  cutHistory: (id) => `{
-    transcoderUpdateEvents(where: { delegate: "${id}" }, orderBy: timestamp, orderDirection: asc, first: 1000) {
-      id timestamp rewardCut feeShare round { id }
-    }
-  }`,
-  orchestratorDetail: (id) => `{
-    transcoder(id: "${id}") {
-      id active totalStake rewardCut feeShare
-      thirtyDayVolumeETH sixtyDayVolumeETH ninetyDayVolumeETH totalVolumeETH
-      lastRewardRound { id }
-      serviceURI
-      delegators(first: 100, orderBy: bondedAmount, orderDirection: desc) {
-        id bondedAmount startRound lastClaimRound { id }
-      }
-    }
-  }`,
-};
-
-async function gqlFetch(query, subgraphId = LIVEPEER_SUBGRAPH_ID) {
-  const res = await fetch(graphUrl(subgraphId), {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    cache: "no-store",
-    body: JSON.stringify({ query }),
-  });
-  const json = await res.json();
-  if (json.errors) throw new Error(json.errors[0].message);
-  return json.data;
-}
-
-async function resolveENS(name) {
-  const data = await gqlFetch(`{ domains(where: { name: "${name.toLowerCase()}" }) { resolvedAddress { id } } }`, ENS_SUBGRAPH_ID);
-  const addr = data?.domains?.[0]?.resolvedAddress?.id;
-  if (!addr) throw new Error(`Could not resolve ENS name "${name}". Make sure it's a valid .eth name.`);
-  return addr;
-}
-
-async function batchResolveENS(addresses) {
-  const names = {};
-  try {
-    const addrList = addresses.map((a) => `"${a.toLowerCase()}"`).join(",");
-    const data = await gqlFetch(`{ domains(where: { resolvedAddress_in: [${addrList}] }, first: 1000) { name resolvedAddress { id } } }`, ENS_SUBGRAPH_ID);
-    (data?.domains || []).forEach((d) => {
-      if (d.name && d.resolvedAddress?.id) {
-        const addr = d.resolvedAddress.id.toLowerCase();
-        if (!names[addr] || d.name.length < names[addr].length) names[addr] = d.name;
-      }
-    });
-  } catch (e) { /* ENS resolution is best-effort */ }
-  return names;
-}
+import { cacheClear, onCacheEvent } from "./lib/cache";
+import { DEFAULTS, loadSettings, saveSettings, getSettings, testConnection } from "./lib/config";
+import { getDelegatorPosition, pendingFees, getOrchestrators, getOrchestratorSparklines, getOrchestrator, getDelegatorExits, getRewardCallRounds, getOperatorReport, getNetworkStats, getRewardLedger, getMissedRewards, fetchCutHistory, batchResolveENS, fetchCoinGeckoPrices, fetchLptSparkline } from "./lib/livepeer";
+import { getPortfolio, parseWalletList } from "./lib/portfolio";
+import { orchestratorsCSV, ledgerCSV, downloadFile } from "./lib/export";
+import { unbondingLocksICS } from "./lib/calendar";
+import { getInjectedProvider, connectWallet, withdrawStakeTx, rebondTx, rebondFromUnbondedTx, bondTx } from "./lib/wallet";
+import { AnimNum, GlassCard, ChipTab, TT, StatCard, Completeness, Countdown } from "./components/ui";
+import PortfolioView from "./components/PortfolioView";
+import TaxReport from "./components/TaxReport";
+import MissedRewards from "./components/MissedRewards";
+import StakingActions from "./components/StakingActions";
+import TxDialog from "./components/TxDialog";
+import StakeProjection from "./components/StakeProjection";
+import RedelegationPlanner from "./components/RedelegationPlanner";
+import OperatorView from "./components/OperatorView";
+import DelegatorAnalytics from "./components/DelegatorAnalytics";
+import { dormantLimit } from "./lib/delegators";
+import { reliabilityOf, windowLabel, RELIABILITY_WINDOWS, DEFAULT_RELIABILITY_WINDOW } from "./lib/reliability";
+import ReliabilityHeatmap from "./components/ReliabilityHeatmap";
+import { withOwnStake } from "./lib/planner";
+import { checkAlerts, loadAlertRules, saveAlertRules, loadAlertState, saveAlertState, loadAlertLog, appendAlertLog, clearAlertLog, notificationPermission, requestNotificationPermission, showNotifications } from "./lib/alerts";
+import AlertsPanel from "./components/AlertsPanel";
+import VisitChanges from "./components/VisitChanges";
+import { takeSnapshot, loadVisits, pastVisits, recordVisit } from "./lib/visits";
+import { parseRoute, formatRoute, routeFromLocation, DEFAULT_ROUTE, STANDALONE_TABS } from "./lib/router";
+import { fmtAddr, fmtD, fmtDT, fmtM, fmtN, fmtDur, fmtAgo, addDecimals } from "./lib/format";
 
 function exportCSV(orchs, ensNames, simStake) {
-  const headers = ["Orchestrator", "ENS Name", "Reward APY %", "30d ETH", "90d ETH", "Lifetime ETH", "ETH/LPT/yr", "Reward Cut %", "Fee Share %", "Total Stake", "Reward Calling", "Est LPT/yr", "Est ETH/yr"];
-  const rows = orchs.map((o) => [
-    o.id, ensNames[o.id] || "", o.rewardAPY.toFixed(2), o.eth30d.toFixed(4),
-    o.eth90d.toFixed(4), o.totalETH.toFixed(2),
-    o.ethYieldPerLPT.toFixed(6), (o.rewardCut / 10000).toFixed(2), (o.feeShare / 10000).toFixed(2),
-    o.stake.toFixed(0), o.callingReward ? "Yes" : "No",
-    (simStake * o.rewardAPY / 100).toFixed(2), (simStake * o.ethYieldPerLPT).toFixed(6),
-  ]);
-  const csv = [headers, ...rows].map((r) => r.join(",")).join("\n");
-  const blob = new Blob([csv], { type: "text/csv" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url; a.download = "livepeer-orchestrators.csv"; a.click();
-  URL.revokeObjectURL(url);
+  downloadFile("livepeer-orchestrators.csv", orchestratorsCSV(orchs, ensNames, simStake));
 }
 
-// ── CoinGecko price fetch ──
-async function fetchCoinGeckoPrices() {
-  try {
-    const res = await fetch(
-      "https://api.coingecko.com/api/v3/simple/price?ids=ethereum,livepeer&vs_currencies=usd&include_24hr_change=true"
-    );
-    const json = await res.json();
-    return {
-      ethUsd: json.ethereum?.usd || 0,
-      ethChange24h: json.ethereum?.usd_24h_change || 0,
-      lptUsd: json.livepeer?.usd || 0,
-      lptChange24h: json.livepeer?.usd_24h_change || 0,
-    };
-  } catch (e) {
-    console.warn("CoinGecko price fetch failed:", e);
-    return null;
-  }
+function exportLocksICS(locks, address) {
+  const name = locks.length === 1 ? `lock-${locks[0].lockId}` : "locks";
+  downloadFile(`livepeer-unbonding-${name}.ics`, unbondingLocksICS(locks, { address }), "text/calendar");
 }
 
-async function fetchLptSparkline() {
-  try {
-    const res = await fetch(
-      "https://api.coingecko.com/api/v3/coins/livepeer/market_chart?vs_currency=usd&days=7"
-    );
-    const json = await res.json();
-    // Sample down to ~28 points (every 6th data point from hourly data)
-    const prices = json.prices || [];
-    const step = Math.max(1, Math.floor(prices.length / 28));
-    return prices.filter((_, i) => i % step === 0).map(([ts, price]) => ({ ts, price }));
-  } catch (e) {
-    console.warn("CoinGecko sparkline fetch failed:", e);
-    return null;
+// ── Data-source settings ──
+const SETTINGS_FIELDS = [
+  { key: "apiKey", label: "Graph API key", secret: true, hint: "From Subgraph Studio — your queries are billed to this key" },
+  { key: "livepeerSubgraphId", label: "Livepeer subgraph ID" },
+  { key: "ensSubgraphId", label: "ENS subgraph ID" },
+  { key: "livepeerGraphqlUrl", label: "Custom Livepeer GraphQL URL", hint: "Your own graph-node or indexer — tried before the gateway. Comma-separate several." },
+  { key: "ensGraphqlUrl", label: "Custom ENS GraphQL URL" },
+  { key: "rpcUrl", label: "Arbitrum One RPC URL", hint: "Tried before the public RPCs. Must be chain 42161." },
+];
+
+function SettingsPanel({ onClose, onSaved }) {
+  const [draft, setDraft] = useState(loadSettings);
+  const [results, setResults] = useState(null);
+  const [testing, setTesting] = useState(false);
+
+  async function runTest() {
+    setTesting(true);
+    setResults(null);
+    try {
+      setResults(await testConnection(getSettings(draft)));
+    } finally {
+      setTesting(false);
+    }
   }
-}
-
-const fmtAddr = (a) => a ? `${a.slice(0, 6)}…${a.slice(-4)}` : "—";
-const fmtD = (ts) => new Date(ts * 1000).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
-const fmtM = (ts) => new Date(ts * 1000).toLocaleDateString("en-US", { month: "short", year: "2-digit" });
-const fmtN = (n, d = 2) => Number(n).toLocaleString("en-US", { maximumFractionDigits: d, minimumFractionDigits: d });
-
-// ── Animated counter ──
-function AnimNum({ value, decimals = 2, prefix = "", suffix = "" }) {
-  const [display, setDisplay] = useState(0);
-  const ref = useRef(null);
-  useEffect(() => {
-    const target = Number(value) || 0;
-    const start = display;
-    const dur = 1200;
-    const t0 = performance.now();
-    const tick = (now) => {
-      const p = Math.min((now - t0) / dur, 1);
-      const ease = 1 - Math.pow(1 - p, 3);
-      setDisplay(start + (target - start) * ease);
-      if (p < 1) ref.current = requestAnimationFrame(tick);
-    };
-    ref.current = requestAnimationFrame(tick);
-    return () => cancelAnimationFrame(ref.current);
-  }, [value]);
-  return <span>{prefix}{fmtN(display, decimals)}{suffix}</span>;
-}
 
-// ── Glass card ──
-const GlassCard = ({ children, style = {}, glow, ...props }) => (
-  <div style={{
-    background: "linear-gradient(135deg, rgba(255,255,255,0.03) 0%, rgba(255,255,255,0.01) 100%)",
-    backdropFilter: "blur(24px)", WebkitBackdropFilter: "blur(24px)",
-    border: "1px solid rgba(255,255,255,0.06)",
-    borderRadius: 20,
-    boxShadow: glow
-      ? `0 0 30px ${glow}15, 0 4px 24px rgba(0,0,0,0.3), inset 0 1px 0 rgba(255,255,255,0.04)`
-      : "0 4px 24px rgba(0,0,0,0.2), inset 0 1px 0 rgba(255,255,255,0.04)",
-    transition: "border-color 0.3s, box-shadow 0.3s, transform 0.3s",
-    ...style,
-  }} {...props}>
-    {children}
-  </div>
-);
-
-// ── Chip tab ──
-const ChipTab = ({ label, active, onClick, color = "#00e88c" }) => (
-  <button onClick={onClick} style={{
-    padding: "8px 20px", borderRadius: 99,
-    border: active ? `1px solid ${color}55` : "1px solid rgba(255,255,255,0.06)",
-    background: active ? `${color}18` : "rgba(255,255,255,0.02)",
-    color: active ? color : "rgba(255,255,255,0.4)",
-    fontSize: 11, fontWeight: 700, letterSpacing: "0.04em",
-    cursor: "pointer", transition: "all 0.25s ease",
-    boxShadow: active ? `0 0 16px ${color}20` : "none",
-  }}>
-    {label}
-  </button>
-);
-
-// ── Tooltip ──
-const TT = ({ active, payload, label }) => {
-  if (!active || !payload?.length) return null;
+  const btn = { padding: "8px 16px", borderRadius: 8, border: "1px solid rgba(255,255,255,0.1)", background: "transparent", color: "rgba(255,255,255,0.6)", fontSize: 11, fontWeight: 700, cursor: "pointer", letterSpacing: "0.04em" };
   return (
-    <div style={{
-      background: "rgba(6,6,14,0.97)", border: "1px solid rgba(255,255,255,0.1)",
-      borderRadius: 12, padding: "12px 16px",
-      boxShadow: "0 12px 40px rgba(0,0,0,0.6), 0 0 20px rgba(0,232,140,0.05)",
-      backdropFilter: "blur(12px)",
-    }}>
-      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.4)", marginBottom: 6, fontWeight: 600 }}>{label}</div>
-      {payload.map((p, i) => (
-        <div key={i} style={{ fontSize: 13, fontWeight: 700, color: p.color || "#00e88c", fontFamily: "'Space Mono', monospace" }}>
-          {p.name}: {typeof p.value === "number" ? p.value.toLocaleString("en-US", { maximumFractionDigits: 6 }) : p.value}
+    <GlassCard glow="#6f4cff" style={{ padding: "24px 32px", maxWidth: 800, margin: "0 auto 24px", position: "relative", overflow: "hidden" }}>
+      <div style={{ position: "absolute", top: 0, left: 0, right: 0, height: 2, background: "linear-gradient(90deg, transparent, #6f4cff60, transparent)" }} />
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 6 }}>
+        <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em" }}>Data Sources</div>
+        <button onClick={onClose} style={{ ...btn, padding: "4px 10px", fontSize: 10 }}>✕ Close</button>
+      </div>
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginBottom: 18 }}>
+        Saved in this browser only. Leave a field empty to use the site default.
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))", gap: 14 }}>
+        {SETTINGS_FIELDS.map((f) => (
+          <label key={f.key} style={{ display: "block" }}>
+            <div style={{ fontSize: 10, color: "rgba(255,255,255,0.4)", fontWeight: 600, marginBottom: 4 }}>{f.label}</div>
+            <input
+              type={f.secret ? "password" : "text"}
+              value={draft[f.key] || ""}
+              onChange={(e) => setDraft((d) => ({ ...d, [f.key]: e.target.value }))}
+              placeholder={DEFAULTS[f.key] ? (f.secret ? "site default" : DEFAULTS[f.key]) : "not set"}
+              autoComplete="off"
+              spellCheck={false}
+              style={{ width: "100%", padding: "9px 12px", borderRadius: 8, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", color: "#fff", fontSize: 12, fontFamily: "'Space Mono', monospace", outline: "none" }}
+            />
+            {f.hint && <div style={{ fontSize: 9, color: "rgba(255,255,255,0.25)", marginTop: 3 }}>{f.hint}</div>}
+          </label>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 8, marginTop: 18, flexWrap: "wrap" }}>
+        <button onClick={runTest} disabled={testing} style={{ ...btn, opacity: testing ? 0.5 : 1 }}>{testing ? "Testing…" : "Test connection"}</button>
+        <div style={{ flex: 1 }} />
+        <button onClick={() => { setDraft({}); setResults(null); }} style={btn}>Reset to defaults</button>
+        <button
+          onClick={() => { saveSettings(draft); onSaved(); }}
+          style={{ ...btn, border: "none", background: "linear-gradient(135deg, #6366f1, #8b5cf6)", color: "#fff" }}
+        >
+          Save
+        </button>
+      </div>
+      {results && (
+        <div style={{ marginTop: 16, display: "flex", flexDirection: "column", gap: 6 }}>
+          {results.length === 0 && <div style={{ fontSize: 12, color: "#ff5c5c" }}>No endpoints configured — add an API key and subgraph IDs, or custom URLs.</div>}
+          {results.map((r, i) => (
+            <div key={i} style={{ display: "flex", gap: 10, alignItems: "baseline", fontSize: 11, padding: "8px 12px", borderRadius: 8, background: r.ok ? "rgba(0,232,140,0.05)" : "rgba(255,92,92,0.06)" }}>
+              <span style={{ color: r.ok ? "#00e88c" : "#ff5c5c", fontWeight: 700 }}>{r.ok ? "✓" : "✕"}</span>
+              <span style={{ color: "rgba(255,255,255,0.5)", fontWeight: 700, textTransform: "uppercase", fontSize: 9, letterSpacing: "0.08em", minWidth: 60 }}>{r.source}</span>
+              <span style={{ color: "rgba(255,255,255,0.4)", fontFamily: "'Space Mono', monospace", wordBreak: "break-all", flex: 1 }}>{r.endpoint}</span>
+              <span style={{ color: r.ok ? "rgba(255,255,255,0.6)" : "#ff5c5c" }}>{r.detail}</span>
+            </div>
+          ))}
         </div>
-      ))}
-    </div>
+      )}
+    </GlassCard>
   );
-};
-
-// ── Stat card ──
-const StatCard = ({ label, children, sub, color = "#00e88c" }) => (
-  <GlassCard glow={color} style={{ padding: "24px 28px", flex: 1, minWidth: 220, position: "relative", overflow: "hidden" }}>
-    <div style={{ position: "absolute", top: 0, left: 0, right: 0, height: 2, background: `linear-gradient(90deg, transparent, ${color}60, transparent)` }} />
-    <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 10 }}>{label}</div>
-    <div style={{ fontSize: 30, fontWeight: 800, color, fontFamily: "'Space Mono', monospace", letterSpacing: "-0.02em" }}>{children}</div>
-    {sub && <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginTop: 6 }}>{sub}</div>}
-  </GlassCard>
-);
+}
 
 // ════════════════════════════════════════════
 // MAIN COMPONENT
 // ════════════════════════════════════════════
 export default function LivepeerDashboard() {
+  const [openedRoute] = useState(() => routeFromLocation(window.location));
   const [wallet, setWallet] = useState("");
-  const [inputVal, setInputVal] = useState("");
-  const [loading, setLoading] = useState(false);
+  const [inputVal, setInputVal] = useState(openedRoute.portfolio?.join(", ") || openedRoute.address || "");
+  // A link that names a wallet starts out loading, so nothing rewrites it first
+  const [loading, setLoading] = useState(Boolean(openedRoute.address || openedRoute.portfolio));
   const [error, setError] = useState("");
   const [data, setData] = useState(null);
-  const [tab, setTab] = useState("dash");
+  const [portfolio, setPortfolio] = useState(null);
+  const [ledger, setLedger] = useState(null);
+  const [missed, setMissed] = useState(null);
+  // A link to a tab that needs no delegator opens straight on it
+  const [tab, setTab] = useState(openedRoute.address || openedRoute.portfolio || !STANDALONE_TABS.includes(openedRoute.tab) ? "dash" : openedRoute.tab);
   const [metric, setMetric] = useState("lpt");
   const [show, setShow] = useState(false);
   const [orchData, setOrchData] = useState(null);
@@ -316,9 +142,25 @@ export default function LivepeerDashboard() {
   const [orchSort, setOrchSort] = useState({ col: "rewardAPY", dir: "desc" });
   const [orchDetail, setOrchDetail] = useState(null);
   const [orchDetailLoading, setOrchDetailLoading] = useState(false);
-  const [orchSearchInput, setOrchSearchInput] = useState("");
+  // getDelegatorExits for the orchestrator shown, tagged with its id
+  const [orchExits, setOrchExits] = useState(null);
+  // The orchestrator asked for on the Orchestrator tab; null for the delegate
+  const [orchRoute, setOrchRoute] = useState(tab === "orchestrator" ? openedRoute.orch : null);
+  const [orchSearchInput, setOrchSearchInput] = useState(orchRoute || "");
+  // The Orchestrator tab's operator view (getOperatorReport) and its window in rounds
+  const [operatorView, setOperatorView] = useState(tab === "orchestrator" && openedRoute.operator);
+  const [operatorReport, setOperatorReport] = useState(null);
+  const [operatorLoading, setOperatorLoading] = useState(false);
+  const [operatorRounds, setOperatorRounds] = useState(90);
+  // Reward-call reliability window shared by Compare's column and the
+  // Orchestrator tab's heatmap (rounds, null for the whole history), and the
+  // getRewardCallRounds results for each, tagged with what they were for
+  const [relWindow, setRelWindow] = useState(openedRoute.rel);
+  const [compareRel, setCompareRel] = useState(null);
+  const [orchRel, setOrchRel] = useState(null);
   const [ensNames, setEnsNames] = useState({});
   const [protocolData, setProtocolData] = useState(null);
+  const [roundsPerYear, setRoundsPerYear] = useState(null);
   const [simStake, setSimStake] = useState(0);
   const [simCustom, setSimCustom] = useState(false);
   const [networkData, setNetworkData] = useState(null);
@@ -329,6 +171,26 @@ export default function LivepeerDashboard() {
   const [cutHistoryOrch, setCutHistoryOrch] = useState(null);
   const [compareCutOrch, setCompareCutOrch] = useState(null);
   const [compareCutData, setCompareCutData] = useState(null);
+  const [cacheAsOf, setCacheAsOf] = useState(null);
+  const [revalidating, setRevalidating] = useState(0);
+  const [showSettings, setShowSettings] = useState(false);
+  const [account, setAccount] = useState(null);
+  const [walletError, setWalletError] = useState("");
+  const [txRequest, setTxRequest] = useState(null);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [alertRules, setAlertRules] = useState(loadAlertRules);
+  const [alertLog, setAlertLog] = useState(loadAlertLog);
+  const [alertStatus, setAlertStatus] = useState(null);
+  const [notifPermission, setNotifPermission] = useState(notificationPermission);
+  // { address, earlier: [snapshot], now: snapshot } — see visits.js
+  const [visits, setVisits] = useState(null);
+  const servedRef = useRef(new Map());
+  const reloadRef = useRef(null);
+  const openRef = useRef(null);
+  const routeRef = useRef(null);
+  // Set while what's on screen came from the URL, so syncing it back replaces
+  // the history entry instead of adding one
+  const fromUrlRef = useRef(true);
 
   // ── Fetch CoinGecko prices on mount + every 60s ──
   useEffect(() => {
@@ -344,183 +206,278 @@ export default function LivepeerDashboard() {
     return () => { clearInterval(interval); clearInterval(sparkInterval); };
   }, []);
 
-  // ── URL param auto-load ──
+  // ── Cache activity: track how old the data on screen is, and reload quietly
+  // once a background revalidation brings back something different ──
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const addr = params.get("address") || params.get("wallet");
-    if (addr) { setInputVal(addr); loadDelegator(addr); }
+    let reloadTimer;
+    const served = servedRef.current;
+    const unsub = onCacheEvent((e) => {
+      if (e.type === "hit" || e.type === "stale" || e.type === "fetched" || e.type === "revalidated") {
+        served.set(e.key, e.fetchedAt);
+        setCacheAsOf(Math.min(...served.values()));
+      }
+      if (e.type === "revalidating") setRevalidating((n) => n + 1);
+      if (e.type === "revalidated" || e.type === "revalidate-failed") setRevalidating((n) => Math.max(0, n - 1));
+      if (e.type === "revalidated" && e.changed) {
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => reloadRef.current?.(), 400);
+      }
+      if (e.type === "cleared") { served.clear(); setCacheAsOf(null); }
+    });
+    return () => { unsub(); clearTimeout(reloadTimer); };
   }, []);
 
-  // ── Load data ──
-  async function loadDelegator(address) {
-    const input = address.trim();
-    if (!input) return;
-    setLoading(true);
-    setError("");
-    setData(null);
-    setOrchData(null);
-    try {
-      let addr;
-      if (input.endsWith(".eth")) {
-        addr = await resolveENS(input);
-      } else {
-        addr = input.toLowerCase();
-        if (!/^0x[a-f0-9]{40}$/.test(addr)) {
-          throw new Error("Please enter a valid Ethereum address (0x...) or ENS name (.eth)");
-        }
-      }
-      const [delData, firstEarnData, evtData, protoData] = await Promise.all([
-        gqlFetch(QUERIES.delegator(addr)),
-        gqlFetch(QUERIES.earnings(addr, 0)),
-        gqlFetch(QUERIES.events(addr)),
-        gqlFetch(QUERIES.protocol),
-      ]);
-
-      // Paginate earnings — fetch all claim events (1000 per page)
-      let allEarnings = firstEarnData.earningsClaimedEvents || [];
-      if (allEarnings.length === 1000) {
-        let skip = 1000;
-        while (true) {
-          const more = await gqlFetch(QUERIES.earnings(addr, skip));
-          const batch = more.earningsClaimedEvents || [];
-          allEarnings = allEarnings.concat(batch);
-          if (batch.length < 1000) break;
-          skip += 1000;
+  // ── Wallet: follow account switches in the wallet; forget it on disconnect ──
+  useEffect(() => {
+    const provider = getInjectedProvider();
+    if (!provider?.on) return;
+    const onAccounts = (accounts) => setAccount(accounts[0]?.toLowerCase() || null);
+    provider.on("accountsChanged", onAccounts);
+    return () => provider.removeListener?.("accountsChanged", onAccounts);
+  }, []);
+
+  // ── Alerts: poll while the tab is open; state and log persist across visits ──
+  useEffect(() => {
+    if (!alertRules.enabled) return;
+    let live = true;
+    async function check() {
+      try {
+        const { alerts, state, watched } = await checkAlerts(alertRules, loadAlertState());
+        saveAlertState(state);
+        if (!live) return;
+        setAlertStatus({ checkedAt: state.checkedAt, watched });
+        if (alerts.length) {
+          setAlertLog(appendAlertLog(alerts));
+          showNotifications(alerts);
         }
+      } catch (err) {
+        if (live) setAlertStatus((s) => ({ ...s, watched: s?.watched || [], error: err.message }));
       }
+    }
+    check();
+    const timer = setInterval(check, alertRules.pollMinutes * 60 * 1000);
+    return () => { live = false; clearInterval(timer); };
+  }, [alertRules]);
+
+  async function saveAlerts(rules) {
+    saveAlertRules(rules);
+    setAlertRules(rules);
+    if (rules.enabled && notificationPermission() === "default") setNotifPermission(await requestNotificationPermission());
+  }
 
-      if (!delData.delegator) throw new Error("No delegator found at this address. Make sure the wallet has delegated LPT on Livepeer (Arbitrum).");
-
-      const del = delData.delegator;
-      const claims = allEarnings.map((c) => {
-        const startR = Number(c.startRound);
-        const endR = Number(c.endRound.id);
-        const rounds = Math.max(endR - startR + 1, 1);
-        return {
-          r: `${startR}–${endR}`,
-          lpt: Number(c.rewardTokens),
-          eth: Number(c.fees),
-          ts: Number(c.timestamp),
-          rounds,
-          delegate: c.delegate?.id,
-        };
-      });
+  async function connect() {
+    setWalletError("");
+    try {
+      setAccount(await connectWallet(getInjectedProvider()));
+    } catch (err) {
+      setWalletError(err.message);
+    }
+  }
 
-      // Build events timeline
-      const events = [];
-      (evtData.bondEvents || []).forEach((e) => {
-        const isRebond = Number(e.additionalAmount) === 0 && e.oldDelegate;
-        events.push({
-          t: isRebond ? "redelegate" : "bond",
-          ts: Number(e.timestamp),
-          round: Number(e.round.id),
-          desc: isRebond
-            ? `Moved delegation to ${fmtAddr(e.newDelegate.id)}`
-            : `Bonded ${fmtN(Number(e.additionalAmount))} LPT`,
-          val: `${fmtN(Number(e.additionalAmount))} LPT`,
-          to: fmtAddr(e.newDelegate.id),
-        });
-      });
-      (evtData.unbondEvents || []).forEach((e) => {
-        events.push({ t: "unbond", ts: Number(e.timestamp), round: Number(e.round.id), desc: `Unbonded ${fmtN(Number(e.amount))} LPT`, val: `${fmtN(Number(e.amount))} LPT` });
-      });
-      (evtData.rebondEvents || []).forEach((e) => {
-        events.push({ t: "rebond", ts: Number(e.timestamp), round: Number(e.round.id), desc: `Rebonded ${fmtN(Number(e.amount))} LPT`, val: `${fmtN(Number(e.amount))} LPT` });
-      });
-      (evtData.withdrawStakeEvents || []).forEach((e) => {
-        events.push({ t: "withdraw", ts: Number(e.timestamp), round: Number(e.round.id), desc: `Withdrew ${fmtN(Number(e.amount))} LPT stake`, val: `${fmtN(Number(e.amount))} LPT` });
-      });
-      (evtData.withdrawFeesEvents || []).forEach((e) => {
-        events.push({ t: "withdrawFees", ts: Number(e.timestamp), round: Number(e.round.id), desc: `Withdrew ${fmtN(Number(e.amount), 6)} ETH fees`, val: `${fmtN(Number(e.amount), 6)} ETH` });
-      });
-      claims.forEach((c) => {
-        events.push({ t: "claim", ts: c.ts, round: 0, desc: `Claimed ${fmtN(c.lpt)} LPT + ${fmtN(c.eth, 6)} ETH (${c.r})`, val: `${fmtN(c.lpt)} LPT` });
+  // ── Keep the URL on what's on screen ──
+  // A new wallet, tab or orchestrator is a new history entry; parameters
+  // within a view (metric, sort, simulated stake) replace the current one.
+  useEffect(() => {
+    if (loading) return;
+    const fromUrl = fromUrlRef.current;
+    fromUrlRef.current = false;
+    if (error) return;
+    const hash = formatRoute({
+      address: data ? wallet : null,
+      portfolio: portfolio ? portfolio.inputs : null,
+      tab: data || STANDALONE_TABS.includes(tab) ? tab : "dash",
+      orch: orchRoute,
+      operator: operatorView,
+      metric,
+      sort: orchSort,
+      filter: orchFilter,
+      sim: simCustom ? simStake : null,
+      rel: relWindow,
+    });
+    const current = window.location.hash || "#/";
+    if (hash === current) return;
+    const path = (h) => h.split("?")[0];
+    if (fromUrl || path(hash) === path(current)) window.history.replaceState(null, "", hash);
+    else window.history.pushState(null, "", hash);
+  }, [loading, error, data, wallet, portfolio, tab, orchRoute, operatorView, metric, orchSort, orchFilter, simCustom, simStake, relWindow]);
+
+  // ── Load data ──
+  // `quiet` re-runs the load in place (after a background cache revalidation)
+  // without the spinner, tab reset or entrance animation. Several addresses
+  // load as a portfolio; `keepPortfolio` opens one wallet from inside it.
+  // `route` opens it on that route's view instead of the dashboard tab.
+  async function loadDelegator(address, { quiet = false, keepPortfolio = false, route = null } = {}) {
+    const inputs = parseWalletList(address);
+    if (inputs.length > 1) return loadPortfolio(inputs, { quiet });
+    const input = inputs[0];
+    if (!input) return;
+    if (!quiet) {
+      if (!keepPortfolio) setPortfolio(null);
+      setLoading(true);
+      setError("");
+      setData(null);
+      setLedger(null);
+      setMissed(null);
+      setOrchData(null);
+      setVisits(null);
+      servedRef.current.clear();
+      setCacheAsOf(null);
+    }
+    try {
+      const position = await getDelegatorPosition(input);
+      const addr = position.address;
+      const del = position.delegator;
+      setData(position);
+      setWallet(addr);
+      // Per-round ledger is a second, larger query — fill it in when it lands.
+      // Missed-reward losses size each round on the ledger's stake when it has one.
+      getRewardLedger(position).catch(() => null).then((l) => {
+        if (l) setLedger(l);
+        return getMissedRewards(position, l);
+      }).then((m) => {
+        setMissed(m);
+        batchResolveENS(m.byDelegate.map((d) => d.delegate)).then((names) => setEnsNames((prev) => ({ ...prev, ...names })));
+      }).catch(() => {});
+      // Snapshot for "what changed since the last visit". The Compare rank needs
+      // getOrchestrators, which the Compare tab then gets from the cache.
+      getOrchestrators().catch(() => null).then((o) => {
+        const snap = takeSnapshot(position, o?.orchestrators);
+        if (quiet) setVisits((v) => (v?.address === addr ? { ...v, now: snap } : v));
+        else setVisits({ address: addr, earlier: pastVisits(loadVisits(addr), snap.ts), now: snap });
+        recordVisit(addr, snap);
       });
-      events.sort((a, b) => a.ts - b.ts);
-
-      // Fetch live balances from BondingManager contract
-      const currentRound = protoData.protocol.currentRound.id;
-      const live = await fetchPendingStakeAndFees(addr, currentRound);
-      // Reward-call reliability of the delegate over the last 30 rounds — a
-      // missed round means delegators earned no inflationary reward that round.
-      let rewardReliability = null;
-      if (del.delegate?.id) {
-        try {
-          const rc = await gqlFetch(QUERIES.rewardCalls(del.delegate.id.toLowerCase()));
-          const cur = Number(currentRound);
-          const W = 30;
-          const called = new Set((rc?.rewardEvents || []).map((e) => Number(e.round.id)).filter((r) => r > cur - W && r <= cur));
-          rewardReliability = { called: called.size, window: W, pct: Math.round((called.size / W) * 100) };
-        } catch { /* best-effort */ }
+      if (!quiet) {
+        setTab("dash");
+        setShow(false);
+        setSimStake(Number(del.bondedAmount));
+        setSimCustom(false);
       }
-      const claimedLPT = claims.reduce((s, c) => s + c.lpt, 0);
-      const bondedAmt = live.stake;
-      const principal = Number(del.principal);
-      // Lifetime rewards = current stake − lifetime principal deposited + lifetime
-      // unbonded. Without the `+ unbonded` term, any account that has unbonded
-      // reads 0 rewards, because current stake drops below cumulative principal.
-      const lifetimeUnbondedAmt = Number(del.unbonded || 0);
-      const totalRewards = Math.max(0, bondedAmt - principal + lifetimeUnbondedAmt);
-      const pendingRewards = Math.max(0, totalRewards - claimedLPT);
-
-      setData({
-        address: addr,
-        delegator: del,
-        claims,
-        events,
-        bondedAmount: bondedAmt,
-        principal,
-        unbonded: Number(del.unbonded || 0),
-        delegatedAmount: Number(del.delegatedAmount || 0),
-        currentRound: Number(currentRound),
-        rewardReliability,
-        unbondingLocks: (del.unbondingLocks || []).map((l) => ({
-          id: l.id,
-          lockId: l.unbondingLockId,
-          amount: Number(l.amount),
-          withdrawRound: Number(l.withdrawRound),
-        })).filter((l) => l.amount > 0).sort((a, b) => a.withdrawRound - b.withdrawRound),
-        totalFees: live.fees,
-        withdrawnFees: Number(del.withdrawnFees),
-        delegate: del.delegate,
-        earned: claimedLPT,
-        totalRewards,
-        pendingRewards,
-        totalETH: claims.reduce((s, c) => s + c.eth, 0),
-        totalRounds: claims.reduce((s, c) => s + c.rounds, 0),
-      });
-      setWallet(addr);
-      setTab("dash");
-      setShow(false);
-      setSimStake(Number(del.bondedAmount));
-      setSimCustom(false);
       // Resolve ENS for orchestrator (best-effort)
       if (del.delegate?.id) {
         batchResolveENS([del.delegate.id]).then((names) =>
           setEnsNames((prev) => ({ ...prev, ...names }))
         );
         // Fetch orchestrator cut history
-        gqlFetch(QUERIES.cutHistory(del.delegate.id.toLowerCase())).then((hData) => {
-          const events = (hData?.transcoderUpdateEvents || []).map((e) => ({
-            ts: Number(e.timestamp),
-            date: fmtD(Number(e.timestamp)),
-            rewardCut: Number(e.rewardCut) / 10000,
-            feeShare: Number(e.feeShare) / 10000,
-            round: e.round?.id,
-          }));
+        fetchCutHistory(del.delegate.id.toLowerCase()).then((events) => {
           setCutHistory(events);
           setCutHistoryOrch(del.delegate.id.toLowerCase());
         }).catch(() => {});
       }
-      // Sync URL for sharing
-      const url = new URL(window.location);
-      url.searchParams.set("address", addr);
-      window.history.replaceState({}, "", url);
-      setTimeout(() => setShow(true), 50);
+      if (route && !quiet) showRoute(route);
+      if (!quiet) setTimeout(() => setShow(true), 50);
+    } catch (err) {
+      if (!quiet) setError(err.message);
+    } finally {
+      if (!quiet) setLoading(false);
+    }
+  }
+
+  async function loadPortfolio(inputs, { quiet = false, open = null, route = null } = {}) {
+    if (!quiet) {
+      setLoading(true);
+      setError("");
+      setData(null);
+      setWallet("");
+      setPortfolio(null);
+      setTab("dash");
+      servedRef.current.clear();
+      setCacheAsOf(null);
+    }
+    try {
+      const result = await getPortfolio(inputs);
+      const ok = result.wallets.filter((w) => !w.error);
+      if (!ok.length) throw new Error(result.wallets[0].error);
+      setPortfolio(result);
+      batchResolveENS([...new Set(ok.flatMap((w) => [w.address, w.delegate]).filter(Boolean))])
+        .then((names) => setEnsNames((prev) => ({ ...prev, ...names })));
+      if (open) await loadDelegator(open, { keepPortfolio: true, route });
+      else if (!quiet) {
+        setShow(false);
+        setTimeout(() => setShow(true), 50);
+      }
     } catch (err) {
-      setError(err.message);
+      if (!quiet) setError(err.message);
     } finally {
-      setLoading(false);
+      if (!quiet) setLoading(false);
+    }
+  }
+
+  function backToPortfolio() {
+    setData(null);
+    setWallet("");
+    setTab("dash");
+  }
+
+  function goHome() {
+    setData(null);
+    setPortfolio(null);
+    setWallet("");
+    setError("");
+    setTab("dash");
+    // The wallet's own delegate means nothing without the wallet
+    if (!orchRoute) setOrchDetail(null);
+  }
+
+  // A route's view of the wallet already on screen
+  function showRoute(r) {
+    setTab(r.tab);
+    if (r.tab === "earn") setMetric(r.metric);
+    if (r.tab === "compare") {
+      setOrchSort(r.sort);
+      setOrchFilter(r.filter);
+      if (r.sim != null) setSimStake(r.sim);
+      setSimCustom(r.sim != null);
+      setRelWindow(r.rel);
+      if (orchData) loadCompareReliability(r.rel);
+    }
+    if (r.tab === "orchestrator") {
+      setOperatorView(r.operator);
+      setRelWindow(r.rel);
+      if ((r.orch || null) !== orchRoute) {
+        setOrchSearchInput(r.orch || "");
+        loadOrchDetail(r.orch || undefined, { operator: r.operator, rel: r.rel });
+      } else if (orchDetail) {
+        if (r.operator && operatorReport?.id !== orchDetail.id) loadOperatorReport(orchDetail.id);
+        loadOrchReliability(orchDetail.id, r.rel);
+      }
+    }
+  }
+
+  // A tab that needs no delegator — from the landing page, or a link to one
+  function browse(r) {
+    showRoute(r);
+    setTimeout(() => setShow(true), 50);
+  }
+
+  // The route the page was opened with: load whatever it names
+  function openRoute() {
+    const r = openedRoute;
+    // Old ?address= links become the equivalent hash route
+    if (window.location.search) window.history.replaceState(null, "", window.location.pathname + (window.location.hash || formatRoute(r)));
+    if (r.portfolio) loadPortfolio(r.portfolio, { open: r.address, route: r });
+    else if (r.address) loadDelegator(r.address, { route: r });
+    else if (STANDALONE_TABS.includes(r.tab)) {
+      browse(r);
+      if (r.orch) loadOrchDetail(r.orch, { operator: r.operator });
+    }
+  }
+
+  // A route from back/forward or an edited hash: load whatever it names that
+  // isn't on screen yet, then show its view.
+  function applyRoute(r) {
+    const samePortfolio = Boolean(portfolio && r.portfolio && portfolio.inputs.join(",") === r.portfolio.join(","));
+    if (r.portfolio && !r.address) {
+      if (!samePortfolio) loadPortfolio(r.portfolio);
+      else backToPortfolio();
+    } else if (!r.address) {
+      goHome();
+      if (STANDALONE_TABS.includes(r.tab)) browse(r);
+    } else if (r.address.toLowerCase() === wallet) {
+      showRoute(r);
+    } else if (r.portfolio && !samePortfolio) {
+      loadPortfolio(r.portfolio, { open: r.address, route: r });
+    } else {
+      loadDelegator(r.address, { keepPortfolio: samePortfolio, route: r });
     }
   }
 
@@ -529,122 +486,23 @@ export default function LivepeerDashboard() {
     if (orchData && !forceRefresh) return;
     setOrchLoading(true);
     try {
-      const [tData, pData, rData] = await Promise.all([
-        gqlFetch(QUERIES.transcoders),
-        gqlFetch(QUERIES.protocol),
-        gqlFetch(QUERIES.recentRounds),
-      ]);
-      const protocol = pData.protocol;
-      const mintable = Number(protocol.currentRound.mintableTokens);
-      const totalActive = Number(protocol.totalActiveStake);
-      const currentRoundId = protocol.currentRound.id;
-      // Rounds per year from the ACTUAL round length. A Livepeer round is ~21.4h
-      // (not 24h), so there are ~410 rounds/year, not 365 — hardcoding 365 made
-      // every APY ~11% too low. Derived live from the last two round timestamps.
-      const rr = rData?.rounds || [];
-      const secPerRound = (rr.length >= 2 && Number(rr[0].startTimestamp) > Number(rr[1].startTimestamp))
-        ? Number(rr[0].startTimestamp) - Number(rr[1].startTimestamp)
-        : 76950;
-      const roundsPerYear = 31557600 / secPerRound;
-
-      setProtocolData({
-        inflation: Number(protocol.inflation),
-        totalActiveStake: totalActive,
-        totalSupply: Number(protocol.totalSupply),
-        participationRate: Number(protocol.participationRate),
-        currentRound: currentRoundId,
-        lptPriceEth: Number(protocol.lptPriceEth),
-        totalVolumeETH: Number(protocol.totalVolumeETH),
-        totalVolumeUSD: Number(protocol.totalVolumeUSD),
-        winningTicketCount: Number(protocol.winningTicketCount),
-        delegatorsCount: Number(protocol.delegatorsCount),
-      });
-
-      // Reward-call reliability over the last 30 rounds for ALL orchestrators —
-      // one batch scan of RewardEvents (paginated), grouped by delegate.
-      const relWindow = 30;
-      const sinceR = Number(currentRoundId) - relWindow;
-      const relByDelegate = {};
-      try {
-        for (let skip = 0; skip <= 4000; skip += 1000) {
-          const rr = await gqlFetch(`{ rewardEvents(orderBy: timestamp, orderDirection: desc, first: 1000, skip: ${skip}) { delegate { id } round { id } } }`);
-          const evs = rr?.rewardEvents || [];
-          for (const e of evs) {
-            const rnd = Number(e.round.id);
-            if (rnd > sinceR) (relByDelegate[e.delegate.id] ||= new Set()).add(rnd);
-          }
-          if (evs.length < 1000 || Number(evs[evs.length - 1]?.round.id) <= sinceR) break;
-        }
-      } catch { /* best-effort — reliability just shows as unknown */ }
-
-      const orchs = tData.transcoders.map((t) => {
-        const stake = Number(t.totalStake);
-        const rewardCut = Number(t.rewardCut);
-        const feeShare = Number(t.feeShare);
-        const eth30d = Number(t.thirtyDayVolumeETH);
-        const eth60d = Number(t.sixtyDayVolumeETH);
-        const eth90d = Number(t.ninetyDayVolumeETH);
-        const totalETHVol = Number(t.totalVolumeETH);
-
-        // Reward APY: per-round delegator yield, annualized
-        const baseYield = totalActive > 0 ? mintable / totalActive : 0;
-        const delegatorYield = baseYield * (1 - rewardCut / 1000000);
-        const rewardAPY = delegatorYield * roundsPerYear * 100;
-
-        // ETH yield: delegator share of 30d fees, per LPT staked, annualized
-        const delegatorFees30d = eth30d * (feeShare / 1000000);
-        const ethYieldPerLPT = stake > 0 ? (delegatorFees30d / stake) * 12 : 0;
-
-        return {
-          id: t.id,
-          rewardCut,
-          feeShare,
-          stake,
-          eth30d,
-          eth60d,
-          eth90d,
-          totalETH: totalETHVol,
-          rewardAPY,
-          ethYieldPerLPT,
-          delegatorFees30d,
-          isWorking: eth30d > 0,
-          lastRewardRound: t.lastRewardRound?.id,
-          callingReward: t.lastRewardRound?.id === currentRoundId,
-          reliableRounds: relByDelegate[t.id]?.size || 0,
-          reliability: Math.round(((relByDelegate[t.id]?.size || 0) / relWindow) * 100),
-          sparkline: null,
-        };
-      });
+      const { protocol, roundsPerYear, orchestrators: orchs } = await getOrchestrators();
+      setProtocolData(protocol);
+      setRoundsPerYear(roundsPerYear);
       setOrchData(orchs);
+      loadCompareReliability(relWindow, orchs, { force: forceRefresh });
 
       // Fetch ENS names in background (best-effort)
       const addresses = orchs.map((o) => o.id);
       batchResolveENS(addresses).then((names) => setEnsNames(names));
 
       // Fetch sparkline data in background for working orchestrators
-      const workingIds = orchs.filter((o) => o.isWorking).map((o) => `"${o.id}"`);
-      if (workingIds.length > 0) {
-        const thirtyDaysAgo = Math.floor(Date.now() / 1000) - 30 * 86400;
-        const dayStart = Math.floor(thirtyDaysAgo / 86400);
-        gqlFetch(`{
-          transcoderDays(where: { transcoder_in: [${workingIds.join(",")}], date_gte: ${dayStart} }, first: 1000, orderBy: date, orderDirection: asc) {
-            transcoder { id }
-            date
-            volumeETH
-          }
-        }`).then((sparkData) => {
-          const byOrch = {};
-          (sparkData?.transcoderDays || []).forEach((d) => {
-            const id = d.transcoder.id;
-            if (!byOrch[id]) byOrch[id] = [];
-            byOrch[id].push({ d: Number(d.date), v: Number(d.volumeETH) });
-          });
-          setOrchData((prev) => prev ? prev.map((o) => ({
-            ...o,
-            sparkline: byOrch[o.id] || null,
-          })) : prev);
-        }).catch(() => {});
-      }
+      getOrchestratorSparklines(orchs.filter((o) => o.isWorking).map((o) => o.id)).then((byOrch) => {
+        setOrchData((prev) => prev ? prev.map((o) => ({
+          ...o,
+          sparkline: byOrch[o.id] || null,
+        })) : prev);
+      }).catch(() => {});
     } catch (err) {
       console.error("Failed to load orchestrators:", err);
     } finally {
@@ -653,10 +511,10 @@ export default function LivepeerDashboard() {
   }
 
   useEffect(() => {
-    if (tab === "compare" && data && !orchData && !orchLoading) {
+    if (tab === "compare" && !orchData && !orchLoading) {
       loadOrchestrators();
     }
-  }, [tab, data]);
+  }, [tab]);
 
   // Auto-refresh orchestrator and network data every 5 minutes
   useEffect(() => {
@@ -668,45 +526,25 @@ export default function LivepeerDashboard() {
   }, [orchData, networkData]);
 
   // ── Load orchestrator detail + delegator list ──
-  async function loadOrchDetail(customAddr) {
+  // `operator` also loads the operator view's report once the detail is in;
+  // `rel` is the reliability heatmap's window.
+  async function loadOrchDetail(customAddr, { operator = operatorView, rel = relWindow } = {}) {
     const input = customAddr || data?.delegate?.id;
     if (!input) return;
+    setOrchRoute(customAddr?.toLowerCase() || null);
     setOrchDetailLoading(true);
     setOrchDetail(null);
     try {
-      let orchId = input.trim().toLowerCase();
-      // Resolve ENS if needed
-      if (orchId.endsWith(".eth")) {
-        orchId = await resolveENS(orchId);
-      }
-      if (!/^0x[a-f0-9]{40}$/.test(orchId)) {
-        throw new Error("Invalid address");
-      }
-      const result = await gqlFetch(QUERIES.orchestratorDetail(orchId));
-      const t = result.transcoder;
-      if (!t) throw new Error("Orchestrator not found");
-      // Resolve ENS for all delegators
-      const addrs = (t.delegators || []).map(d => d.id);
+      const detail = await getOrchestrator(input);
+      // Resolve ENS for the largest delegators — the full list can run to
+      // thousands, far past what one `resolvedAddress_in` query should carry
+      const addrs = detail.delegators.slice(0, 300).map(d => d.id);
       batchResolveENS(addrs).then(names => setEnsNames(prev => ({ ...prev, ...names })));
-      setOrchDetail({
-        id: t.id,
-        active: t.active,
-        totalStake: Number(t.totalStake),
-        rewardCut: Number(t.rewardCut) / 10000,
-        feeShare: Number(t.feeShare) / 10000,
-        eth30d: Number(t.thirtyDayVolumeETH),
-        eth60d: Number(t.sixtyDayVolumeETH),
-        eth90d: Number(t.ninetyDayVolumeETH),
-        totalETH: Number(t.totalVolumeETH),
-        lastRewardRound: t.lastRewardRound?.id,
-        serviceURI: t.serviceURI,
-        delegators: (t.delegators || []).map(d => ({
-          id: d.id,
-          bondedAmount: Number(d.bondedAmount),
-          startRound: d.startRound,
-          lastClaimRound: d.lastClaimRound?.id,
-        })).sort((a, b) => b.bondedAmount - a.bondedAmount),
-      });
+      setOrchDetail(detail);
+      setOrchExits(null);
+      getDelegatorExits(detail.id).then((exits) => setOrchExits({ id: detail.id, ...exits })).catch((err) => setOrchExits({ id: detail.id, error: err.message }));
+      loadOrchReliability(detail.id, rel, { force: true });
+      if (operator) loadOperatorReport(detail.id);
     } catch (err) {
       console.error("Failed to load orchestrator detail:", err);
     } finally {
@@ -714,6 +552,60 @@ export default function LivepeerDashboard() {
     }
   }
 
+  async function loadOperatorReport(id, rounds = operatorRounds) {
+    setOperatorLoading(true);
+    setOperatorReport(null);
+    try {
+      const report = await getOperatorReport(id, { rounds });
+      batchResolveENS([...new Set(report.flows.map((f) => f.delegator))].slice(0, 300)).then((names) => setEnsNames((prev) => ({ ...prev, ...names })));
+      setOperatorReport(report);
+    } catch (err) {
+      console.error("Failed to load operator report:", err);
+    } finally {
+      setOperatorLoading(false);
+    }
+  }
+
+  // ── Reward-call reliability windows ──
+  // getOrchestrators carries the default 30 rounds; any other window is
+  // fetched for the whole Compare list. A result lands only if it is still
+  // for the window (and orchestrator) on screen.
+  async function loadCompareReliability(rounds, orchs = orchData, { force = false } = {}) {
+    if (!orchs || rounds === DEFAULT_RELIABILITY_WINDOW) return;
+    const same = compareRel?.window === rounds && !compareRel.error;
+    if (same && !force) return;
+    // A refresh keeps showing the figures it replaces
+    if (!same) setCompareRel({ window: rounds, loading: true });
+    try {
+      const calls = await getRewardCallRounds(orchs.map((o) => o.id), { rounds });
+      setCompareRel((prev) => (prev?.window === rounds ? { window: rounds, ...calls } : prev));
+    } catch (err) {
+      setCompareRel((prev) => (prev?.window === rounds ? { window: rounds, error: err.message } : prev));
+    }
+  }
+
+  async function loadOrchReliability(id, rounds, { force = false } = {}) {
+    const same = orchRel?.id === id && orchRel.window === rounds && !orchRel.error;
+    if (same && !force) return;
+    if (!same) setOrchRel({ id, window: rounds, loading: true });
+    const current = (prev) => prev?.id === id && prev.window === rounds;
+    try {
+      const calls = await getRewardCallRounds([id], { rounds });
+      const called = calls.byId[id.toLowerCase()];
+      // Missing from byId means the page budget ran out before the scan was done
+      if (!called) throw new Error("stopped at the page cap before the start of the window");
+      setOrchRel((prev) => (current(prev) ? { id, window: rounds, ...calls, called } : prev));
+    } catch (err) {
+      setOrchRel((prev) => (current(prev) ? { id, window: rounds, error: err.message } : prev));
+    }
+  }
+
+  function chooseRelWindow(rounds) {
+    setRelWindow(rounds);
+    if (orchData) loadCompareReliability(rounds);
+    if (orchDetail) loadOrchReliability(orchDetail.id, rounds);
+  }
+
   useEffect(() => {
     if (tab === "orchestrator" && data?.delegate?.id && !orchDetail && !orchDetailLoading) {
       loadOrchDetail();
@@ -725,75 +617,8 @@ export default function LivepeerDashboard() {
     if (networkData && !forceRefresh) return;
     setNetworkLoading(true);
     try {
-      const fetches = [
-        gqlFetch(QUERIES.broadcasters),
-        gqlFetch(QUERIES.recentTickets),
-        gqlFetch(QUERIES.dailyVolume),
-      ];
-      // Load protocol data if not already loaded
-      if (!protocolData) fetches.push(gqlFetch(QUERIES.protocol));
-      const results = await Promise.all(fetches);
-      const [bData, tData, dData] = results;
-      if (results[3]) {
-        const protocol = results[3].protocol;
-        setProtocolData((prev) => prev || {
-          inflation: Number(protocol.inflation),
-          totalActiveStake: Number(protocol.totalActiveStake),
-          totalSupply: Number(protocol.totalSupply),
-          participationRate: Number(protocol.participationRate),
-          currentRound: protocol.currentRound.id,
-          lptPriceEth: Number(protocol.lptPriceEth),
-          totalVolumeETH: Number(protocol.totalVolumeETH),
-          totalVolumeUSD: Number(protocol.totalVolumeUSD),
-          winningTicketCount: Number(protocol.winningTicketCount),
-          delegatorsCount: Number(protocol.delegatorsCount),
-        });
-      }
-
-      const broadcasters = (bData.broadcasters || []).map((b) => ({
-        id: b.id,
-        deposit: Number(b.deposit),
-        reserve: Number(b.reserve),
-        totalVolumeETH: Number(b.totalVolumeETH),
-        totalVolumeUSD: Number(b.totalVolumeUSD),
-        eth30d: Number(b.thirtyDayVolumeETH),
-        eth60d: Number(b.sixtyDayVolumeETH),
-        eth90d: Number(b.ninetyDayVolumeETH),
-        firstFundedDay: Number(b.firstFundedDay),
-        lastFundedDay: Number(b.lastFundedDay),
-      }));
-
-      const tickets = (tData.winningTicketRedeemedEvents || []).map((t) => ({
-        id: t.id,
-        ts: Number(t.timestamp),
-        faceValue: Number(t.faceValue),
-        faceValueUSD: Number(t.faceValueUSD),
-        sender: t.sender.id,
-        senderVol30d: Number(t.sender.thirtyDayVolumeETH),
-        recipient: t.recipient.id,
-        recipientStake: Number(t.recipient.totalStake),
-        recipientFeeShare: Number(t.recipient.feeShare),
-        round: t.round.id,
-      }));
-
-      // Aggregate ticket flows: sender→recipient
-      const flows = {};
-      tickets.forEach((t) => {
-        const key = `${t.sender}->${t.recipient}`;
-        if (!flows[key]) flows[key] = { sender: t.sender, recipient: t.recipient, totalETH: 0, count: 0, recipientFeeShare: t.recipientFeeShare };
-        flows[key].totalETH += t.faceValue;
-        flows[key].count += 1;
-      });
-      const topFlows = Object.values(flows).sort((a, b) => b.totalETH - a.totalETH).slice(0, 15);
-
-      const dailyVolume = (dData.days || []).map((d) => ({
-        date: fmtD(Number(d.date) * 86400),
-        eth: Number(d.volumeETH),
-        usd: Number(d.volumeUSD),
-        orchestrators: Number(d.activeTranscoderCount),
-        delegators: Number(d.delegatorsCount),
-      })).reverse();
-
+      const { protocol, broadcasters, tickets, topFlows, dailyVolume } = await getNetworkStats();
+      setProtocolData((prev) => prev || protocol);
       setNetworkData({ broadcasters, tickets, topFlows, dailyVolume });
 
       // Resolve ENS names for all addresses on the network tab (best-effort)
@@ -810,10 +635,48 @@ export default function LivepeerDashboard() {
   }
 
   useEffect(() => {
-    if (tab === "network" && data && !networkData && !networkLoading) {
+    if (tab === "network" && !networkData && !networkLoading) {
       loadNetworkData();
     }
-  }, [tab, data]);
+  }, [tab]);
+
+  // Re-run whatever is on screen. The loaders read through the cache, so after a
+  // revalidation this costs no extra gateway queries. The routing effect below
+  // gets this render's openRoute and applyRoute the same way.
+  useEffect(() => {
+    openRef.current = openRoute;
+    routeRef.current = applyRoute;
+    reloadRef.current = () => {
+      if (portfolio) loadPortfolio(portfolio.inputs, { quiet: true });
+      if (wallet) loadDelegator(wallet, { quiet: true, keepPortfolio: true });
+      if (orchData) loadOrchestrators(true);
+      if (networkData) loadNetworkData(true);
+    };
+  });
+
+  // ── Routing: the URL hash names what's on screen (see router.js) ──
+  // Opening a link loads what it names; back/forward and edits to the hash
+  // go through applyRoute. Declared after the effect above so both refs are set.
+  useEffect(() => {
+    openRef.current();
+    const onHashChange = () => {
+      fromUrlRef.current = true;
+      routeRef.current?.(parseRoute(window.location.hash));
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  async function clearCacheAndReload() {
+    await cacheClear();
+    reloadRef.current?.();
+  }
+
+  // After a confirmed transaction, give the subgraph a few seconds to index it
+  // before reloading past the cache
+  function onTxConfirmed() {
+    setTimeout(clearCacheAndReload, 5000);
+  }
 
   const fadeStyle = (delay = 0) => ({
     opacity: show ? 1 : 0,
@@ -854,7 +717,21 @@ export default function LivepeerDashboard() {
   // ── Compare tab derived data ──
   const currentOrchId = data?.delegate?.id?.toLowerCase();
   const effectiveStake = simCustom ? simStake : bondedAmount;
-  const filteredOrchs = (orchData || [])
+  // Yields as if the (simulated) stake joined each pool, ours taken out of our current one
+  const marginal = effectiveStake > 0 && protocolData && roundsPerYear;
+  // Reliability over the chosen window; unknown (null) while it loads, or for
+  // orchestrators past getRewardCallRounds' page budget
+  const windowRel = compareRel?.window === relWindow && compareRel.byId ? compareRel : null;
+  const withWindowRel = (o) => {
+    if (relWindow === DEFAULT_RELIABILITY_WINDOW) return o;
+    if (!windowRel?.byId[o.id]) return { ...o, reliability: null, reliableRounds: null, reliabilityRounds: null };
+    const r = reliabilityOf(windowRel.byId[o.id], { currentRound: windowRel.currentRound, window: relWindow });
+    return { ...o, reliability: r.pct, reliableRounds: r.called, reliabilityRounds: r.total };
+  };
+  const compareOrchs = (marginal
+    ? withOwnStake(orchData || [], { stake: effectiveStake, bonded: bondedAmount, currentId: currentOrchId, protocol: protocolData, roundsPerYear })
+    : orchData || []).map(withWindowRel);
+  const filteredOrchs = compareOrchs
     .filter((o) => orchFilter === "all" || o.isWorking)
     .sort((a, b) => {
       const mult = orchSort.dir === "desc" ? -1 : 1;
@@ -864,6 +741,15 @@ export default function LivepeerDashboard() {
   const workingCount = (orchData || []).filter((o) => o.isWorking).length;
   const orchDisplay = (id) => ensNames[id] || fmtAddr(id);
 
+  // Orchestrator, Compare and Network opened with no delegator loaded
+  const standalone = !data && !portfolio && STANDALONE_TABS.includes(tab);
+
+  // Actions only make sense for the wallet that owns the position on screen
+  const canAct = Boolean(account && data && account === data.address.toLowerCase());
+  const lockTx = (l) => (bondedAmount > 0 && del?.id ? rebondTx(l, del.id) : rebondFromUnbondedTx(l, l.delegate));
+
+  const icsBtn = { padding: "3px 8px", borderRadius: 6, border: "1px solid rgba(255,255,255,0.08)", background: "transparent", color: "rgba(255,255,255,0.5)", fontSize: 9, fontWeight: 700, cursor: "pointer", letterSpacing: "0.04em", textTransform: "uppercase" };
+
   const evtColors = { bond: "#00e88c", claim: "#64a0ff", unbond: "#ff5c5c", rebond: "#ffb84d", redelegate: "#c77dff", withdraw: "#ff5c5c", withdrawFees: "#c77dff" };
 
   // ════════════════════════════════════════════
@@ -943,10 +829,62 @@ export default function LivepeerDashboard() {
           <div style={{ fontSize: 12, color: "rgba(255,255,255,0.3)", marginTop: 8 }}>
             Powered by <a href="https://thegraph.com" target="_blank" rel="noopener" style={{ color: "#6f4cff", textDecoration: "none", fontWeight: 600 }}>The Graph</a>
           </div>
+          <button
+            onClick={() => setShowSettings((v) => !v)}
+            style={{ marginTop: 10, padding: "4px 12px", borderRadius: 99, border: "1px solid rgba(255,255,255,0.08)", background: showSettings ? "rgba(111,76,255,0.15)" : "transparent", color: "rgba(255,255,255,0.4)", fontSize: 10, fontWeight: 600, cursor: "pointer", letterSpacing: "0.04em" }}
+          >
+            ⚙ Data sources{Object.keys(loadSettings()).length ? " · custom" : ""}
+          </button>
+          <button
+            onClick={() => setShowAlerts((v) => !v)}
+            title="Notifications when an orchestrator changes its cut, stops calling reward or leaves the active set, or a lock unlocks"
+            style={{ marginTop: 10, marginLeft: 8, padding: "4px 12px", borderRadius: 99, border: `1px solid ${alertRules.enabled ? "rgba(255,184,77,0.3)" : "rgba(255,255,255,0.08)"}`, background: showAlerts ? "rgba(255,184,77,0.12)" : "transparent", color: alertRules.enabled ? "#ffb84d" : "rgba(255,255,255,0.4)", fontSize: 10, fontWeight: 600, cursor: "pointer", letterSpacing: "0.04em" }}
+          >
+            🔔 Alerts{alertRules.enabled ? " · on" : ""}
+          </button>
+          <button
+            onClick={() => (account ? !canAct && loadDelegator(account) : connect())}
+            title={account ? (canAct ? "Connected — staking actions are enabled for this wallet" : "Load the connected wallet") : "Connect a wallet to withdraw, unbond, rebond or move stake"}
+            style={{ marginTop: 10, marginLeft: 8, padding: "4px 12px", borderRadius: 99, border: `1px solid ${account ? "rgba(0,232,140,0.3)" : "rgba(255,255,255,0.08)"}`, background: "transparent", color: account ? "#00e88c" : "rgba(255,255,255,0.4)", fontSize: 10, fontWeight: 600, cursor: "pointer", letterSpacing: "0.04em" }}
+          >
+            {account ? `● ${ensNames[account] || fmtAddr(account)}${canAct ? "" : " · view"}` : "🔗 Connect wallet"}
+          </button>
+          {walletError && <div style={{ marginTop: 8, fontSize: 11, color: "#ff5c5c" }}>{walletError}</div>}
           {/* Decorative line */}
           <div style={{ width: 60, height: 2, background: "linear-gradient(90deg, #00e88c, #64a0ff, #c77dff)", margin: "16px auto 0", borderRadius: 2, opacity: 0.4 }} />
         </div>
 
+        {showAlerts && (
+          <AlertsPanel
+            rules={alertRules}
+            status={alertStatus}
+            log={alertLog}
+            permission={notifPermission}
+            loadedAddress={data?.address}
+            ensNames={ensNames}
+            onSave={saveAlerts}
+            onRequestPermission={async () => setNotifPermission(await requestNotificationPermission())}
+            onClearLog={() => setAlertLog(clearAlertLog())}
+            onClose={() => setShowAlerts(false)}
+          />
+        )}
+
+        {txRequest && (
+          <TxDialog provider={getInjectedProvider()} account={account} tx={txRequest} onClose={() => setTxRequest(null)} onConfirmed={onTxConfirmed} />
+        )}
+
+        {showSettings && (
+          <SettingsPanel
+            onClose={() => setShowSettings(false)}
+            onSaved={() => {
+              setShowSettings(false);
+              // A full (not quiet) reload, so a bad key or URL surfaces as an error
+              if (wallet) loadDelegator(wallet);
+              else reloadRef.current?.();
+            }}
+          />
+        )}
+
         {/* Wallet input */}
         <GlassCard style={{ padding: "24px 32px", marginBottom: 32, maxWidth: 800, margin: "0 auto 32px" }}>
           <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
@@ -955,7 +893,7 @@ export default function LivepeerDashboard() {
               value={inputVal}
               onChange={(e) => setInputVal(e.target.value)}
               onKeyDown={(e) => e.key === "Enter" && loadDelegator(inputVal)}
-              placeholder="Enter wallet address (0x...) or ENS name (.eth)"
+              placeholder="Wallet address (0x...) or ENS name (.eth) — comma-separate several for a portfolio"
               style={{
                 flex: 1, minWidth: 280, padding: "14px 20px", borderRadius: 12,
                 background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
@@ -984,19 +922,46 @@ export default function LivepeerDashboard() {
               {error}
             </div>
           )}
-          {wallet && !loading && (
-            <div style={{ marginTop: 10, fontSize: 11, color: "rgba(255,255,255,0.3)" }}>
-              Showing: <span style={{ fontFamily: "'Space Mono', monospace", color: "rgba(255,255,255,0.5)" }}>{wallet}</span>
+          {(wallet || portfolio) && !loading && (
+            <div style={{ marginTop: 10, fontSize: 11, color: "rgba(255,255,255,0.3)", display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8 }}>
+              {portfolio && wallet && (
+                <button
+                  onClick={backToPortfolio}
+                  style={{ padding: "2px 8px", borderRadius: 6, border: "1px solid rgba(0,232,140,0.25)", background: "rgba(0,232,140,0.08)", color: "#00e88c", fontSize: 9, cursor: "pointer", fontWeight: 700, letterSpacing: "0.04em" }}
+                >
+                  ← Portfolio
+                </button>
+              )}
+              {wallet
+                ? <span>Showing: <span style={{ fontFamily: "'Space Mono', monospace", color: "rgba(255,255,255,0.5)" }}>{wallet}</span></span>
+                : <span>Portfolio of {portfolio.wallets.length} wallets</span>}
+              {cacheAsOf && (
+                <span title={new Date(cacheAsOf).toLocaleString()}>· data as of {fmtAgo(Date.now() - cacheAsOf)}</span>
+              )}
+              {revalidating > 0 && <span style={{ color: "#64a0ff" }}>· refreshing…</span>}
+              <button
+                onClick={clearCacheAndReload}
+                title="Drop all cached subgraph responses and refetch"
+                style={{ padding: "2px 8px", borderRadius: 6, border: "1px solid rgba(255,255,255,0.08)", background: "transparent", color: "rgba(255,255,255,0.3)", fontSize: 9, cursor: "pointer", fontWeight: 600, letterSpacing: "0.04em" }}
+              >
+                Clear cache
+              </button>
             </div>
           )}
         </GlassCard>
 
         {/* No data state */}
-        {!data && !loading && !error && (
+        {!data && !portfolio && !standalone && !loading && !error && (
           <div style={{ textAlign: "center", padding: "60px 20px", color: "rgba(255,255,255,0.2)" }}>
             <div style={{ fontSize: 48, marginBottom: 16 }}>🎬</div>
             <div style={{ fontSize: 16, fontWeight: 600, marginBottom: 8 }}>Enter a wallet address to get started</div>
             <div style={{ fontSize: 12 }}>View earnings, claims history, and delegation stats for any Livepeer delegator</div>
+            <div style={{ fontSize: 12, marginTop: 28, marginBottom: 12 }}>…or look around without one</div>
+            <div style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
+              {[["compare", "Compare orchestrators"], ["orchestrator", "Look up an orchestrator"], ["network", "Network stats"]].map(([k, l]) => (
+                <ChipTab key={k} label={l} active={false} onClick={() => browse({ ...DEFAULT_ROUTE, tab: k })} />
+              ))}
+            </div>
           </div>
         )}
 
@@ -1008,12 +973,60 @@ export default function LivepeerDashboard() {
           </div>
         )}
 
+        {/* Portfolio overview */}
+        {portfolio && !data && !loading && (
+          <PortfolioView
+            portfolio={portfolio}
+            ensNames={ensNames}
+            prices={prices}
+            onOpen={(addr) => loadDelegator(addr, { keepPortfolio: true })}
+            style={fadeStyle(0)}
+          />
+        )}
+
         {/* Dashboard content */}
-        {data && !loading && (
+        {(data || standalone) && !loading && (
           <>
+            {/* Subgraph lag / reconciliation banner */}
+            {data?.sync && (data.sync.lagging || data.sync.indexingErrors || data.sync.mismatches.length > 0) && (
+              <GlassCard glow="#ffb84d" style={{ padding: "18px 24px", marginBottom: 20, border: "1px solid rgba(255,184,77,0.3)", ...fadeStyle(0) }}>
+                <div style={{ display: "flex", gap: 14, alignItems: "flex-start" }}>
+                  <span style={{ fontSize: 20, color: "#ffb84d" }}>⚠</span>
+                  <div style={{ flex: 1, fontSize: 13, color: "rgba(255,255,255,0.6)", lineHeight: 1.6 }}>
+                    {data.sync.lagging && (
+                      <div>
+                        <b style={{ color: "#ffb84d" }}>The subgraph is ~{fmtDur(data.sync.lagSeconds)} behind Arbitrum</b>{" "}
+                        (indexed block {fmtN(data.sync.subgraphBlock, 0)}, chain head {fmtN(data.sync.chainBlock, 0)}). Recent bonds, claims and cut changes may be missing.
+                      </div>
+                    )}
+                    {data.sync.indexingErrors && (
+                      <div><b style={{ color: "#ffb84d" }}>The subgraph reports indexing errors</b> — some entities may have stopped updating.</div>
+                    )}
+                    {data.sync.mismatches.length > 0 && (
+                      <div style={{ marginTop: data.sync.lagging || data.sync.indexingErrors ? 8 : 0 }}>
+                        <b style={{ color: "#ffb84d" }}>Subgraph and BondingManager disagree on this delegator</b> — lifetime and pending rewards below may be wrong until the indexer catches up.
+                        <div style={{ display: "grid", gridTemplateColumns: "auto auto auto", gap: "4px 20px", marginTop: 8, fontSize: 12, fontFamily: "'Space Mono', monospace", justifyContent: "start" }}>
+                          <span style={{ fontSize: 9, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>Field</span>
+                          <span style={{ fontSize: 9, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>Subgraph</span>
+                          <span style={{ fontSize: 9, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>On-chain</span>
+                          {data.sync.mismatches.map((m) => (
+                            <Fragment key={m.field}>
+                              <span style={{ color: "rgba(255,255,255,0.5)" }}>{m.field}</span>
+                              <span style={{ color: "#ff5c5c" }}>{m.subgraph}</span>
+                              <span style={{ color: "#00e88c" }}>{m.chain}</span>
+                            </Fragment>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </GlassCard>
+            )}
+
             {/* Tab bar */}
             <div style={{ display: "flex", gap: 8, marginBottom: 28, ...fadeStyle(0), justifyContent: "center" }}>
-              {[["dash", "Dashboard"], ["earn", "Earnings"], ["hist", "History"], ["orchestrator", "Orchestrator"], ["compare", "Compare"], ["network", "Network"]].map(([k, l]) => (
+              {[["dash", "Dashboard"], ["earn", "Earnings"], ["hist", "History"], ["orchestrator", "Orchestrator"], ["compare", "Compare"], ["network", "Network"]].filter(([k]) => data || STANDALONE_TABS.includes(k)).map(([k, l]) => (
                 <ChipTab key={k} label={l} active={tab === k} onClick={() => setTab(k)} />
               ))}
             </div>
@@ -1021,6 +1034,10 @@ export default function LivepeerDashboard() {
             {/* ═══ DASHBOARD TAB ═══ */}
             {tab === "dash" && (
               <>
+                {visits?.address === data.address && visits.earlier.length > 0 && (
+                  <VisitChanges key={visits.address} earlier={visits.earlier} now={visits.now} position={data} onDismiss={() => setVisits(null)} style={fadeStyle(0)} />
+                )}
+
                 {/* ── Your position hero: the money at a glance ── */}
                 <GlassCard glow="#00e88c" style={{ padding: "28px 32px", marginBottom: 20, position: "relative", overflow: "hidden", ...fadeStyle(0) }}>
                   <div style={{ position: "absolute", top: 0, left: 0, right: 0, height: 2, background: "linear-gradient(90deg, transparent, #00e88c60, transparent)" }} />
@@ -1072,7 +1089,7 @@ export default function LivepeerDashboard() {
                   <StatCard label="Total LPT Rewards" sub={prices ? `≈ $${fmtN(totalRewards * prices.lptUsd, 2)} USD · ${fmtN(earned)} claimed + ${fmtN(pendingRewards)} pending` : `${fmtN(earned)} claimed + ${fmtN(pendingRewards)} pending`}>
                     <AnimNum value={totalRewards} suffix=" LPT" />
                   </StatCard>
-                  <StatCard label="Lifetime ETH Earned" color="#c77dff" sub={`${fmtN(data.withdrawnFees, 6)} withdrawn · ${fmtN(data.totalFees - data.withdrawnFees, 6)} pending${prices ? ` · ≈ $${fmtN(totalETH * prices.ethUsd, 2)} USD` : ""}`}>
+                  <StatCard label="Lifetime ETH Earned" color="#c77dff" sub={`${fmtN(data.withdrawnFees, 6)} withdrawn · ${fmtN(pendingFees(data), 6)} pending${prices ? ` · ≈ $${fmtN(totalETH * prices.ethUsd, 2)} USD` : ""}`}>
                     <AnimNum value={totalETH} decimals={4} suffix=" ETH" />
                   </StatCard>
                 </div>
@@ -1082,13 +1099,22 @@ export default function LivepeerDashboard() {
                     <div style={{ position: "absolute", top: 0, left: 0, right: 0, height: 2, background: `linear-gradient(90deg, transparent, ${withdrawableNow > 0 ? "#ff6b9d" : "#64a0ff"}60, transparent)` }} />
                     <div style={{ display: "flex", alignItems: "baseline", justifyContent: "space-between", flexWrap: "wrap", gap: 12, marginBottom: 16 }}>
                       <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em" }}>Unbonding & Withdrawals</div>
-                      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>current round {dashCurrentRound}</div>
+                      <div style={{ display: "flex", alignItems: "baseline", gap: 12 }}>
+                        <span style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>
+                          current round {dashCurrentRound}{data.roundTiming && ` · rounds run ~${fmtDur(data.roundTiming.secPerRound)}`}
+                        </span>
+                        {unbondingLocks.filter((l) => l.withdrawRound > dashCurrentRound && l.unlocksAt).length > 1 && (
+                          <button onClick={() => exportLocksICS(unbondingLocks.filter((l) => l.withdrawRound > dashCurrentRound), data.address)} style={icsBtn}>📅 All to calendar</button>
+                        )}
+                      </div>
                     </div>
                     {withdrawableNow > 0 && (
                       <div style={{ display: "flex", alignItems: "center", gap: 12, padding: "12px 16px", borderRadius: 10, background: "rgba(255,107,157,0.1)", border: "1px solid rgba(255,107,157,0.3)", marginBottom: 16 }}>
                         <span style={{ fontSize: 22 }}>⚡</span>
                         <div>
-                          <div style={{ fontSize: 20, fontWeight: 800, color: "#ff6b9d", fontFamily: "'Space Mono', monospace" }}>{fmtN(withdrawableNow)} LPT ready to withdraw</div>
+                          <div style={{ fontSize: 20, fontWeight: 800, color: "#ff6b9d", fontFamily: "'Space Mono', monospace" }}>
+                            {addDecimals(unbondingLocks.filter((l) => l.withdrawRound <= dashCurrentRound).map((l) => l.exactAmount))} LPT ready to withdraw
+                          </div>
                           <div style={{ fontSize: 12, color: "rgba(255,255,255,0.5)" }}>Finished unbonding and sitting idle — withdraw it or rebond so it isn't earning nothing.</div>
                         </div>
                       </div>
@@ -1098,12 +1124,25 @@ export default function LivepeerDashboard() {
                         const ready = l.withdrawRound <= dashCurrentRound;
                         const roundsLeft = Math.max(0, l.withdrawRound - dashCurrentRound);
                         return (
-                          <div key={l.id} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", padding: "10px 14px", borderRadius: 8, background: "rgba(255,255,255,0.03)" }}>
-                            <span style={{ fontFamily: "'Space Mono', monospace", fontWeight: 700, color: "#fff" }}>{fmtN(l.amount)} LPT</span>
+                          <div key={l.id} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", flexWrap: "wrap", gap: 12, padding: "10px 14px", borderRadius: 8, background: ready ? "rgba(255,107,157,0.08)" : "rgba(255,255,255,0.03)", border: `1px solid ${ready ? "rgba(255,107,157,0.25)" : "transparent"}` }}>
+                            <span style={{ fontFamily: "'Space Mono', monospace", fontWeight: 700, color: ready ? "#ff6b9d" : "#fff" }} title={`${l.exactAmount} LPT`}>
+                              {ready ? l.exactAmount : fmtN(l.amount)} LPT
+                            </span>
                             {ready ? (
-                              <span style={{ fontSize: 13, fontWeight: 700, color: "#00e88c" }}>✓ Withdrawable now</span>
+                              <span style={{ display: "flex", alignItems: "center", gap: 12, fontSize: 13, fontWeight: 700, color: "#00e88c" }}>
+                                <span>✓ Withdrawable now <span style={{ fontWeight: 400, color: "rgba(255,255,255,0.4)" }}>· lock #{l.lockId}</span></span>
+                                {canAct && <button onClick={() => setTxRequest(withdrawStakeTx(l))} style={{ ...icsBtn, color: "#ff6b9d", borderColor: "rgba(255,107,157,0.3)" }}>Withdraw</button>}
+                                {canAct && <button onClick={() => setTxRequest(lockTx(l))} style={icsBtn}>Rebond</button>}
+                              </span>
+                            ) : l.unlocksAt ? (
+                              <span style={{ display: "flex", alignItems: "center", gap: 12, fontSize: 13, color: "#ffb84d" }}>
+                                <span title={`Unlocks in round ${l.withdrawRound} (${roundsLeft} ${roundsLeft === 1 ? "round" : "rounds"} away) — estimated from the current round length`}>≈ {fmtDT(l.unlocksAt)}</span>
+                                <span style={{ fontFamily: "'Space Mono', monospace", fontWeight: 700 }}><Countdown to={l.unlocksAt} done="any moment now" /></span>
+                                <button onClick={() => exportLocksICS([l], data.address)} style={icsBtn}>📅 .ics</button>
+                                {canAct && <button onClick={() => setTxRequest(lockTx(l))} style={icsBtn}>Rebond</button>}
+                              </span>
                             ) : (
-                              <span style={{ fontSize: 13, color: "#ffb84d" }}>unlocks round {l.withdrawRound} · ~{roundsLeft} {roundsLeft === 1 ? "day" : "days"}</span>
+                              <span style={{ fontSize: 13, color: "#ffb84d" }}>unlocks round {l.withdrawRound} · ~{roundsLeft} {roundsLeft === 1 ? "round" : "rounds"}</span>
                             )}
                           </div>
                         );
@@ -1116,6 +1155,8 @@ export default function LivepeerDashboard() {
                   </GlassCard>
                 )}
 
+                {canAct && <StakingActions provider={getInjectedProvider()} account={account} position={data} onTx={setTxRequest} style={fadeStyle(110)} />}
+
                 {rewardRel && (
                   <GlassCard glow={relColor} style={{ padding: "24px 32px", marginBottom: 20, position: "relative", overflow: "hidden", display: "flex", alignItems: "center", gap: 24, flexWrap: "wrap", ...fadeStyle(120) }}>
                     <div style={{ position: "absolute", top: 0, left: 0, right: 0, height: 2, background: `linear-gradient(90deg, transparent, ${relColor}60, transparent)` }} />
@@ -1132,6 +1173,9 @@ export default function LivepeerDashboard() {
                           : rewardRel.pct >= 70
                           ? " A few misses — each missed round earned you no LPT reward."
                           : " Frequent misses — you're leaving rewards on the table. Consider a more reliable orchestrator."}
+                        {missed?.totalLost > 0 && (
+                          <> Missed calls have cost you <b style={{ color: "#ff5c7c" }}>≈ {fmtN(missed.totalLost)} LPT</b> since you bonded — see the Earnings tab.</>
+                        )}
                       </div>
                     </div>
                   </GlassCard>
@@ -1159,6 +1203,11 @@ export default function LivepeerDashboard() {
                       <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em" }}>Est. Daily Earnings</div>
                       <div style={{ fontSize: 34, fontWeight: 800, color: "#ffb84d", fontFamily: "'Space Mono', monospace" }}>
                         {(() => {
+                          // Rounds are ~1 day, so the ledger's last 30 rounds give the rate directly
+                          if (ledger?.rows.length) {
+                            const recent = ledger.rows.slice(-30);
+                            return (recent.reduce((s, r) => s + r.lpt, 0) / recent.length).toFixed(2);
+                          }
                           // Use recent claims to estimate daily rate
                           // Take last 30 days of claims for accuracy
                           const now = Date.now() / 1000;
@@ -1177,7 +1226,7 @@ export default function LivepeerDashboard() {
                           return "—";
                         })()}
                       </div>
-                      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>LPT / day (based on recent claims)</div>
+                      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>LPT / day (based on {ledger?.rows.length ? "the last 30 rounds" : "recent claims"})</div>
                     </div>
                   </GlassCard>
                 </div>
@@ -1309,6 +1358,29 @@ export default function LivepeerDashboard() {
                   <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 20 }}>
                     {metric === "cum" ? "Cumulative Growth" : metric === "lpt" ? "LPT Earned Per Claim" : metric === "daily" ? "LPT Earned Per Round (Daily Rate)" : "ETH Fees Per Claim"}
                   </div>
+                  {metric === "daily" && (
+                    <div style={{ display: "flex", alignItems: "baseline", justifyContent: "space-between", gap: 12, flexWrap: "wrap", fontSize: 12, color: "rgba(255,255,255,0.4)", marginTop: -12, marginBottom: 16 }}>
+                      {ledger ? (
+                        <>
+                          <span>
+                            Rebuilt from each round's earnings pool · {ledger.totals.rounds} rounds, {ledger.totals.missedRounds} without a reward call ·{" "}
+                            {ledger.reconciliation.stake.ok && ledger.reconciliation.fees.ok ? (
+                              <span style={{ color: "#00e88c" }}>✓ matches on-chain stake and fees</span>
+                            ) : (
+                              <span style={{ color: "#ffb84d" }} title={`Ledger ${fmtN(ledger.reconciliation.stake.ledger)} LPT / ${fmtN(ledger.reconciliation.fees.ledger, 6)} ETH vs chain ${fmtN(ledger.reconciliation.stake.chain)} LPT / ${fmtN(ledger.reconciliation.fees.chain, 6)} ETH`}>
+                                ⚠ off from on-chain by {fmtN(ledger.reconciliation.stake.diff)} LPT, {fmtN(ledger.reconciliation.fees.diff, 6)} ETH{ledger.complete ? "" : " (history was capped)"}
+                              </span>
+                            )}
+                          </span>
+                          <button onClick={() => downloadFile(`livepeer-ledger-${data.address.slice(0, 8)}.csv`, ledgerCSV(ledger.rows))} style={{ padding: "4px 10px", borderRadius: 6, border: "1px solid rgba(255,255,255,0.08)", background: "transparent", color: "rgba(255,255,255,0.5)", fontSize: 9, fontWeight: 700, cursor: "pointer", letterSpacing: "0.04em", textTransform: "uppercase" }}>
+                            Export ledger CSV
+                          </button>
+                        </>
+                      ) : (
+                        <span>Per-claim averages — loading the per-round ledger…</span>
+                      )}
+                    </div>
+                  )}
                   <ResponsiveContainer width="100%" height={320}>
                     {metric === "cum" ? (
                       <AreaChart data={cumData}>
@@ -1323,6 +1395,13 @@ export default function LivepeerDashboard() {
                         <Tooltip content={<TT />} />
                         <Area type="monotone" dataKey="lpt" name="LPT" stroke="#64a0ff" strokeWidth={2.5} fill="url(#gB)" dot={{ r: 3.5, fill: "#64a0ff", stroke: "#06060e", strokeWidth: 2 }} activeDot={{ r: 6, fill: "#64a0ff", stroke: "#06060e", strokeWidth: 2.5 }} />
                       </AreaChart>
+                    ) : metric === "daily" && ledger ? (
+                      <BarChart data={ledger.rows.map((r) => ({ round: `Round ${r.round}${r.ts ? ` · ${fmtD(r.ts)}` : ""}`, lpt: +r.lpt.toFixed(4) }))} barCategoryGap="10%">
+                        <XAxis dataKey="round" tick={false} axisLine={false} tickLine={false} />
+                        <YAxis tick={{ fill: "rgba(255,255,255,0.3)", fontSize: 10, fontFamily: "Space Mono" }} axisLine={false} tickLine={false} width={60} />
+                        <Tooltip content={<TT />} />
+                        <Bar dataKey="lpt" name="LPT/Round" fill="#ffb84d" />
+                      </BarChart>
                     ) : metric === "daily" ? (
                       <BarChart data={claims.map((c) => ({ date: fmtM(c.ts), lpt: +(c.lpt / c.rounds).toFixed(2), rounds: c.rounds }))} barCategoryGap="15%">
                         <XAxis dataKey="date" tick={{ fill: "rgba(255,255,255,0.3)", fontSize: 10, fontFamily: "Space Mono" }} axisLine={false} tickLine={false} />
@@ -1353,6 +1432,7 @@ export default function LivepeerDashboard() {
                 <GlassCard style={{ ...fadeStyle(250), padding: "28px 32px" }}>
                   <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 20 }}>
                     Claim History — {claims.length} claims
+                    <Completeness complete={data.claimsComplete} count={claims.length} noun="claims" />
                   </div>
                   <div style={{ overflowX: "auto" }}>
                     <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'Space Mono', monospace", fontSize: 13 }}>
@@ -1388,6 +1468,10 @@ export default function LivepeerDashboard() {
                     </table>
                   </div>
                 </GlassCard>
+
+                {missed && <MissedRewards missed={missed} ensNames={ensNames} prices={prices} style={{ ...fadeStyle(300), marginTop: 20 }} />}
+
+                <TaxReport key={data.address} address={data.address} claims={claims} claimsComplete={data.claimsComplete} style={{ ...fadeStyle(300), marginTop: 20 }} />
               </>
             )}
 
@@ -1396,6 +1480,7 @@ export default function LivepeerDashboard() {
               <GlassCard style={{ ...fadeStyle(50), padding: "28px 32px" }}>
                 <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 24 }}>
                   Event Timeline — {data.events.length} events
+                  <Completeness complete={data.eventsComplete} count={data.events.length} noun="events" />
                 </div>
                 {data.events.slice().reverse().map((evt, i) => (
                   <div key={i} style={{
@@ -1471,9 +1556,9 @@ export default function LivepeerDashboard() {
                       <div style={{ position: "absolute", top: 0, left: 0, right: 0, height: 2, background: "linear-gradient(90deg, transparent, #00e88c50, transparent)" }} />
                       <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 16 }}>
                         <div>
-                          <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 8 }}>Your Orchestrator</div>
+                          <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 8 }}>{data ? "Your Orchestrator" : "Active Orchestrators"}</div>
                           <div style={{ fontSize: 16, fontFamily: "'Space Mono', monospace", color: "rgba(255,255,255,0.7)" }}>
-                            {orchDisplay(currentOrchId || "")}
+                            {data ? orchDisplay(currentOrchId || "") : <span style={{ fontSize: 12, fontFamily: "inherit", color: "rgba(255,255,255,0.35)" }}>Load a wallet to see where its orchestrator ranks</span>}
                             {currentOrchRank > 0 && (
                               <span style={{ marginLeft: 14, fontSize: 13, color: "#00e88c", fontWeight: 700 }}>
                                 Rank #{currentOrchRank} of {filteredOrchs.length} {orchFilter === "working" ? "working" : "active"}
@@ -1481,14 +1566,14 @@ export default function LivepeerDashboard() {
                             )}
                           </div>
                           {/* Share URL */}
-                          {wallet && (
+                          <div>
                             <button
                               onClick={() => { navigator.clipboard.writeText(window.location.href); }}
                               style={{ marginTop: 6, padding: "3px 10px", borderRadius: 6, border: "1px solid rgba(255,255,255,0.08)", background: "transparent", color: "rgba(255,255,255,0.3)", fontSize: 9, cursor: "pointer", fontWeight: 600, letterSpacing: "0.04em" }}
                             >
                               Copy share link
                             </button>
-                          )}
+                          </div>
                         </div>
                         <div style={{ display: "flex", gap: 16 }}>
                           <div style={{ textAlign: "center" }}>
@@ -1507,6 +1592,11 @@ export default function LivepeerDashboard() {
                     <div style={{ display: "flex", gap: 6, marginBottom: 16, flexWrap: "wrap", alignItems: "center", ...fadeStyle(100) }}>
                       <ChipTab label={`Working (${workingCount})`} active={orchFilter === "working"} onClick={() => setOrchFilter("working")} color="#00e88c" />
                       <ChipTab label={`All Active (${orchData.length})`} active={orchFilter === "all"} onClick={() => setOrchFilter("all")} color="#64a0ff" />
+                      <span style={{ fontSize: 9, color: "rgba(255,255,255,0.25)", fontWeight: 600, textTransform: "uppercase", letterSpacing: "0.05em", marginLeft: 10 }}>Reliability:</span>
+                      {RELIABILITY_WINDOWS.map((w) => (
+                        <ChipTab key={w ?? "all"} label={windowLabel(w)} active={relWindow === w} onClick={() => chooseRelWindow(w)} color="#ffb84d" />
+                      ))}
+                      {windowRel && !windowRel.complete && <span title="Stopped at the page cap — some orchestrators are left unknown, or their oldest rounds count as missed" style={{ fontSize: 9, fontWeight: 700, color: "#ffb84d" }}>PARTIAL</span>}
                       <div style={{ flex: 1 }} />
                       {/* Simulator */}
                       <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
@@ -1545,7 +1635,8 @@ export default function LivepeerDashboard() {
                         Reward APY vs ETH Yield
                       </div>
                       <div style={{ fontSize: 11, color: "rgba(255,255,255,0.25)", marginBottom: 20 }}>
-                        Top-right = best of both worlds. Green dot = your orchestrator.
+                        Top-right = best of both worlds.{currentOrchId && " Green dot = your orchestrator."}
+                        {marginal && ` Yields are as if ${data ? "your" : "a"} ${fmtN(effectiveStake, 0)} LPT joined each pool${bondedAmount > 0 ? " — yours is taken out of your orchestrator's first" : ""}.`}
                       </div>
                       <ResponsiveContainer width="100%" height={380}>
                         <ScatterChart margin={{ top: 10, right: 20, bottom: 10, left: 10 }}>
@@ -1584,12 +1675,14 @@ export default function LivepeerDashboard() {
                                     <div>ETH/LPT/yr: <span style={{ color: "#c77dff", fontWeight: 700 }}>{d.ethYieldPerLPT.toFixed(6)}</span></div>
                                     <div>Reward Cut: {(d.rewardCut / 10000).toFixed(2)}% · Fee Share: {(d.feeShare / 10000).toFixed(2)}%</div>
                                     <div>Stake: {fmtN(d.stake)} LPT · 30d Fees: {fmtN(d.eth30d, 4)} ETH</div>
+                                    {marginal && <div>Listed: {d.listedRewardAPY.toFixed(2)}% · {d.listedEthYieldPerLPT.toFixed(6)} ETH/LPT/yr</div>}
                                     <div>Calling reward: <span style={{ color: d.callingReward ? "#00e88c" : "#ff5c5c" }}>{d.callingReward ? "Yes" : "No"}</span></div>
                                     {stk > 0 && (
                                       <>
                                         <div style={{ borderTop: "1px solid rgba(255,255,255,0.06)", marginTop: 6, paddingTop: 6, fontSize: 10, color: "rgba(255,255,255,0.3)" }}>With {fmtN(stk)} LPT{simCustom ? " (simulated)" : ""}:</div>
                                         <div>Est. LPT/yr: <span style={{ color: "#00e88c" }}>{fmtN(stk * d.rewardAPY / 100)}</span></div>
                                         <div>Est. ETH/yr: <span style={{ color: "#c77dff" }}>{(stk * d.ethYieldPerLPT).toFixed(6)}</span></div>
+                                        {marginal && <div>Your share of the pool: {(d.poolShare * 100).toFixed(3)}%</div>}
                                       </>
                                     )}
                                   </div>
@@ -1624,6 +1717,8 @@ export default function LivepeerDashboard() {
                       <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 20 }}>
                         Orchestrator Leaderboard — {filteredOrchs.length} orchestrators
                         {simCustom && <span style={{ color: "#ffb84d", marginLeft: 10 }}>· Simulating {fmtN(simStake, 0)} LPT</span>}
+                        {marginal && <span style={{ color: "rgba(255,255,255,0.25)", marginLeft: 10, textTransform: "none", letterSpacing: 0, fontWeight: 400 }}>· APY and ETH/LPT/yr include your stake's dilution</span>}
+                        <span style={{ color: "rgba(255,255,255,0.25)", marginLeft: 10, textTransform: "none", letterSpacing: 0, fontWeight: 400 }}>· Reliability over {relWindow ? `the last ${relWindow} rounds` : "each orchestrator's whole history"}</span>
                       </div>
                       <div style={{ overflowX: "auto", maxHeight: 700, overflowY: "auto" }}>
                         <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'Space Mono', monospace", fontSize: 11 }}>
@@ -1633,6 +1728,7 @@ export default function LivepeerDashboard() {
                                 { col: "rank", label: "#", align: "center" },
                                 { col: "id", label: "Orchestrator", align: "left" },
                                 { col: "rewardAPY", label: "Reward APY", align: "right" },
+                                { col: "reliability", label: "Reliability", align: "right" },
                                 { col: "eth30d", label: "30d ETH", align: "right" },
                                 { col: "eth90d", label: "90d ETH", align: "right" },
                                 { col: "totalETH", label: "Lifetime ETH", align: "right" },
@@ -1642,6 +1738,7 @@ export default function LivepeerDashboard() {
                                 { col: "stake", label: "Total Stake", align: "right" },
                                 { col: "sparkline", label: "30d Trend", align: "center" },
                                 ...(effectiveStake > 0 ? [
+                                  ...(marginal ? [{ col: "poolShare", label: "Your Share", align: "right" }] : []),
                                   { col: "estLPT", label: "Est. LPT/yr", align: "right" },
                                   { col: "estETH", label: "Est. ETH/yr", align: "right" },
                                 ] : []),
@@ -1686,32 +1783,44 @@ export default function LivepeerDashboard() {
                                         if (compareCutOrch === o.id) { setCompareCutOrch(null); setCompareCutData(null); return; }
                                         setCompareCutOrch(o.id);
                                         setCompareCutData(null);
-                                        gqlFetch(QUERIES.cutHistory(o.id)).then((hData) => {
-                                          const events = (hData?.transcoderUpdateEvents || []).map((e) => ({
-                                            ts: Number(e.timestamp),
-                                            date: fmtD(Number(e.timestamp)),
-                                            rewardCut: Number(e.rewardCut) / 10000,
-                                            feeShare: Number(e.feeShare) / 10000,
-                                          }));
-                                          setCompareCutData(events);
-                                        }).catch(() => setCompareCutData([]));
+                                        fetchCutHistory(o.id).then(setCompareCutData).catch(() => setCompareCutData([]));
                                       }}
                                     >{orchDisplay(o.id)}</span>
                                     {isCurrent && <span style={{ marginLeft: 8, fontSize: 8, fontWeight: 700, color: "#00e88c", background: "rgba(0,232,140,0.15)", padding: "2px 6px", borderRadius: 4, textTransform: "uppercase", letterSpacing: "0.05em" }}>yours</span>}
                                     {!o.isWorking && <span style={{ marginLeft: 6, fontSize: 8, color: "rgba(255,255,255,0.2)" }}>idle</span>}
-                                    {/* Reward-call reliability over the last 30 rounds */}
-                                    {typeof o.reliability === "number" && (
+                                    {canAct && !isCurrent && bondedAmount > 0 && (
+                                      <button
+                                        onClick={() => setTxRequest(bondTx(o.id, { from: del?.id, stake: fmtN(bondedAmount) }))}
+                                        title="Redelegate your bonded stake to this orchestrator"
+                                        style={{ ...icsBtn, marginLeft: 8, padding: "2px 6px", fontSize: 8, color: "#64a0ff", borderColor: "rgba(100,160,255,0.3)" }}
+                                      >
+                                        Move here
+                                      </button>
+                                    )}
+                                    <button
+                                      onClick={() => { setOrchSearchInput(o.id); setTab("orchestrator"); loadOrchDetail(o.id); }}
+                                      title="Open this orchestrator's page — stats and delegators"
+                                      style={{ ...icsBtn, marginLeft: 6, padding: "2px 6px", fontSize: 8 }}
+                                    >
+                                      Details
+                                    </button>
+                                  </td>
+                                  <td style={{ padding: "12px 10px", textAlign: "right", color: "#00e88c", fontWeight: 700 }}>{o.rewardAPY.toFixed(2)}%</td>
+                                  {/* Reward-call reliability over the chosen window */}
+                                  <td style={{ padding: "12px 10px", textAlign: "right" }}>
+                                    {typeof o.reliability === "number" ? (
                                       <span
-                                        title={`Called reward in ${o.reliableRounds} of the last 30 rounds — missed rounds pay delegators no LPT reward`}
-                                        style={{ marginLeft: 6, fontSize: 8, fontWeight: 700, fontFamily: "'Space Mono', monospace", verticalAlign: "middle", padding: "2px 6px", borderRadius: 4,
+                                        title={`Called reward in ${o.reliableRounds} of ${relWindow ? "the last" : "its"} ${o.reliabilityRounds} rounds${relWindow ? "" : " since its first call"} — missed rounds pay delegators no LPT reward`}
+                                        style={{ fontSize: 10, fontWeight: 700, padding: "2px 6px", borderRadius: 4,
                                           color: o.reliability >= 90 ? "#00e88c" : o.reliability >= 70 ? "#ffb84d" : "#ff5c5c",
                                           background: o.reliability >= 90 ? "rgba(0,232,140,0.12)" : o.reliability >= 70 ? "rgba(255,184,77,0.12)" : "rgba(255,92,92,0.12)" }}
                                       >
                                         {o.reliability}%
                                       </span>
+                                    ) : (
+                                      <span style={{ color: "rgba(255,255,255,0.15)" }}>{compareRel?.loading ? "…" : "—"}</span>
                                     )}
                                   </td>
-                                  <td style={{ padding: "12px 10px", textAlign: "right", color: "#00e88c", fontWeight: 700 }}>{o.rewardAPY.toFixed(2)}%</td>
                                   <td style={{ padding: "12px 10px", textAlign: "right", color: o.eth30d > 0 ? "#c77dff" : "rgba(255,255,255,0.15)" }}>{o.eth30d > 0 ? fmtN(o.eth30d, 4) : "0"}</td>
                                   <td style={{ padding: "12px 10px", textAlign: "right", color: o.eth90d > 0 ? "rgba(199,125,255,0.5)" : "rgba(255,255,255,0.15)", fontSize: 10 }}>{o.eth90d > 0 ? fmtN(o.eth90d, 4) : "0"}</td>
                                   <td style={{ padding: "12px 10px", textAlign: "right", color: o.totalETH > 0 ? "#ffb84d" : "rgba(255,255,255,0.15)", fontSize: 10 }}>{o.totalETH > 0 ? fmtN(o.totalETH, 2) : "0"}</td>
@@ -1731,6 +1840,7 @@ export default function LivepeerDashboard() {
                                   </td>
                                   {effectiveStake > 0 && (
                                     <>
+                                      {marginal && <td style={{ padding: "12px 10px", textAlign: "right", color: "rgba(255,255,255,0.5)" }} title={`${fmtN(o.othersStake, 0)} LPT from others + ${fmtN(effectiveStake, 0)} LPT yours`}>{(o.poolShare * 100).toFixed(2)}%</td>}
                                       <td style={{ padding: "12px 10px", textAlign: "right", color: simCustom ? "rgba(255,184,77,0.7)" : "rgba(0,232,140,0.6)", fontWeight: 600 }}>{fmtN(effectiveStake * o.rewardAPY / 100)}</td>
                                       <td style={{ padding: "12px 10px", textAlign: "right", color: o.ethYieldPerLPT > 0 ? (simCustom ? "rgba(255,184,77,0.6)" : "rgba(199,125,255,0.6)") : "rgba(255,255,255,0.1)", fontWeight: 600 }}>{o.ethYieldPerLPT > 0 ? (effectiveStake * o.ethYieldPerLPT).toFixed(6) : "—"}</td>
                                     </>
@@ -1743,6 +1853,29 @@ export default function LivepeerDashboard() {
                       </div>
                     </GlassCard>
 
+                    {protocolData && roundsPerYear && currentOrchId && effectiveStake > 0 && (
+                      <RedelegationPlanner
+                        orchestrators={orchData}
+                        protocol={protocolData}
+                        roundsPerYear={roundsPerYear}
+                        stake={effectiveStake}
+                        currentOrchId={currentOrchId}
+                        ensNames={ensNames}
+                        onMove={canAct && !simCustom ? (id) => setTxRequest(bondTx(id, { from: del?.id, stake: fmtN(bondedAmount) })) : undefined}
+                      />
+                    )}
+
+                    {protocolData && roundsPerYear && orchData.length > 0 && (
+                      <StakeProjection
+                        orchestrators={orchData}
+                        protocol={protocolData}
+                        roundsPerYear={roundsPerYear}
+                        stake={effectiveStake || 1000}
+                        currentOrchId={currentOrchId}
+                        ensNames={ensNames}
+                      />
+                    )}
+
                     {/* Cut history panel for clicked orchestrator */}
                     {compareCutOrch && (
                       <GlassCard glow="#ffb84d" style={{ padding: "28px 32px", marginTop: 16, position: "relative", overflow: "hidden" }}>
@@ -1815,7 +1948,7 @@ export default function LivepeerDashboard() {
                 <div style={{ display: "flex", gap: 10, marginBottom: 20, alignItems: "center", ...fadeStyle(0) }}>
                   <input
                     type="text"
-                    placeholder="Paste orchestrator address or ENS (or leave empty for your current)"
+                    placeholder={del ? "Paste orchestrator address or ENS (or leave empty for your current)" : "Paste orchestrator address or ENS"}
                     value={orchSearchInput}
                     onChange={(e) => setOrchSearchInput(e.target.value)}
                     onKeyDown={(e) => { if (e.key === "Enter") loadOrchDetail(orchSearchInput || undefined); }}
@@ -1828,7 +1961,7 @@ export default function LivepeerDashboard() {
                   >
                     {orchDetailLoading ? "Loading..." : "View"}
                   </button>
-                  {orchSearchInput && (
+                  {orchSearchInput && del && (
                     <button
                       onClick={() => { setOrchSearchInput(""); loadOrchDetail(); }}
                       style={{ padding: "10px 14px", borderRadius: 10, border: "1px solid rgba(255,255,255,0.08)", background: "transparent", color: "rgba(255,255,255,0.4)", fontSize: 12, cursor: "pointer" }}
@@ -1877,52 +2010,95 @@ export default function LivepeerDashboard() {
                       </StatCard>
                     </div>
 
-                    {/* Delegators List */}
-                    <GlassCard style={{ padding: 24, marginBottom: 24 }}>
-                      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
-                        <div style={{ fontSize: 15, fontWeight: 700, color: "#fff" }}>Delegators ({orchDetail.delegators.length})</div>
-                        <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>Sorted by stake</div>
-                      </div>
-                      <div style={{ overflowX: "auto" }}>
-                        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
-                          <thead>
-                            <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.06)" }}>
-                              <th style={{ padding: "10px 12px", textAlign: "left", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>#</th>
-                              <th style={{ padding: "10px 12px", textAlign: "left", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>Delegator</th>
-                              <th style={{ padding: "10px 12px", textAlign: "right", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>Staked LPT</th>
-                              <th style={{ padding: "10px 12px", textAlign: "right", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>% of Total</th>
-                              <th style={{ padding: "10px 12px", textAlign: "right", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>Last Claim</th>
-                            </tr>
-                          </thead>
-                          <tbody>
-                            {orchDetail.delegators.map((d, i) => {
-                              const pct = orchDetail.totalStake > 0 ? (d.bondedAmount / orchDetail.totalStake * 100) : 0;
-                              const isMe = d.id.toLowerCase() === data?.address?.toLowerCase();
-                              return (
-                                <tr key={d.id} style={{ borderBottom: "1px solid rgba(255,255,255,0.03)", background: isMe ? "rgba(0,232,140,0.05)" : "transparent" }}>
-                                  <td style={{ padding: "10px 12px", color: "rgba(255,255,255,0.25)", fontFamily: "monospace" }}>{i + 1}</td>
-                                  <td style={{ padding: "10px 12px" }}>
-                                    <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
-                                      {isMe && <span style={{ fontSize: 9, padding: "1px 5px", borderRadius: 4, background: "rgba(0,232,140,0.15)", color: "#00e88c", fontWeight: 700 }}>YOU</span>}
-                                      <span style={{ color: isMe ? "#00e88c" : "rgba(255,255,255,0.6)", fontFamily: "monospace", fontSize: 12 }}>
-                                        {ensNames[d.id] || fmtAddr(d.id)}
-                                      </span>
-                                    </div>
-                                  </td>
-                                  <td style={{ padding: "10px 12px", textAlign: "right", fontWeight: 600, color: "#fff", fontFamily: "'Space Mono', monospace" }}>{fmtN(d.bondedAmount)}</td>
-                                  <td style={{ padding: "10px 12px", textAlign: "right", color: "rgba(255,255,255,0.4)" }}>{pct.toFixed(2)}%</td>
-                                  <td style={{ padding: "10px 12px", textAlign: "right", color: "rgba(255,255,255,0.3)", fontFamily: "monospace", fontSize: 11 }}>Round {d.lastClaimRound || "—"}</td>
+                    <ReliabilityHeatmap
+                      rel={orchRel?.id === orchDetail.id && orchRel.window === relWindow ? orchRel : null}
+                      rounds={relWindow}
+                      onRounds={chooseRelWindow}
+                    />
+
+                    <div style={{ display: "flex", gap: 6, marginBottom: 20 }}>
+                      <ChipTab label="Delegators" active={!operatorView} onClick={() => setOperatorView(false)} />
+                      <ChipTab
+                        label="Operator view"
+                        active={operatorView}
+                        onClick={() => { setOperatorView(true); if (operatorReport?.id !== orchDetail.id) loadOperatorReport(orchDetail.id); }}
+                        color="#ffb84d"
+                      />
+                    </div>
+
+                    {operatorView ? (
+                      <OperatorView
+                        report={operatorReport?.id === orchDetail.id ? operatorReport : null}
+                        loading={operatorLoading}
+                        rounds={operatorRounds}
+                        onRounds={(n) => { setOperatorRounds(n); loadOperatorReport(orchDetail.id, n); }}
+                        ensNames={ensNames}
+                      />
+                    ) : (
+                      <>
+                        <DelegatorAnalytics
+                          orchId={orchDetail.id}
+                          delegators={orchDetail.delegators}
+                          complete={orchDetail.delegatorsComplete}
+                          exits={orchExits?.id === orchDetail.id ? orchExits : null}
+                          ensNames={ensNames}
+                        />
+                        {/* Delegators List */}
+                        <GlassCard style={{ padding: 24, marginBottom: 24 }}>
+                          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+                            <div style={{ fontSize: 15, fontWeight: 700, color: "#fff" }}>
+                              Delegators ({orchDetail.delegators.length})
+                              <Completeness complete={orchDetail.delegatorsComplete} count={orchDetail.delegators.length} noun="delegators" />
+                            </div>
+                            <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>Sorted by stake</div>
+                          </div>
+                          <div style={{ overflowX: "auto" }}>
+                            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                              <thead>
+                                <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.06)" }}>
+                                  <th style={{ padding: "10px 12px", textAlign: "left", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>#</th>
+                                  <th style={{ padding: "10px 12px", textAlign: "left", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>Delegator</th>
+                                  <th style={{ padding: "10px 12px", textAlign: "right", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>Staked LPT</th>
+                                  <th style={{ padding: "10px 12px", textAlign: "right", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>% of Total</th>
+                                  <th style={{ padding: "10px 12px", textAlign: "right", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em" }}>Last Claim</th>
                                 </tr>
-                              );
-                            })}
-                          </tbody>
-                        </table>
-                      </div>
-                    </GlassCard>
+                              </thead>
+                              <tbody>
+                                {orchDetail.delegators.map((d, i) => {
+                                  const pct = orchDetail.totalStake > 0 ? (d.bondedAmount / orchDetail.totalStake * 100) : 0;
+                                  const isMe = d.id.toLowerCase() === data?.address?.toLowerCase();
+                                  const timing = orchExits?.id === orchDetail.id ? orchExits.timing : null;
+                                  const idle = timing && d.lastClaimRound ? timing.currentRound - Number(d.lastClaimRound) : 0;
+                                  const dormant = timing && idle >= dormantLimit(timing);
+                                  return (
+                                    <tr key={d.id} style={{ borderBottom: "1px solid rgba(255,255,255,0.03)", background: isMe ? "rgba(0,232,140,0.05)" : "transparent" }}>
+                                      <td style={{ padding: "10px 12px", color: "rgba(255,255,255,0.25)", fontFamily: "monospace" }}>{i + 1}</td>
+                                      <td style={{ padding: "10px 12px" }}>
+                                        <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                                          {isMe && <span style={{ fontSize: 9, padding: "1px 5px", borderRadius: 4, background: "rgba(0,232,140,0.15)", color: "#00e88c", fontWeight: 700 }}>YOU</span>}
+                                          <span style={{ color: isMe ? "#00e88c" : "rgba(255,255,255,0.6)", fontFamily: "monospace", fontSize: 12 }}>
+                                            {ensNames[d.id] || fmtAddr(d.id)}
+                                          </span>
+                                        </div>
+                                      </td>
+                                      <td style={{ padding: "10px 12px", textAlign: "right", fontWeight: 600, color: "#fff", fontFamily: "'Space Mono', monospace" }}>{fmtN(d.bondedAmount)}</td>
+                                      <td style={{ padding: "10px 12px", textAlign: "right", color: "rgba(255,255,255,0.4)" }}>{pct.toFixed(2)}%</td>
+                                      <td style={{ padding: "10px 12px", textAlign: "right", color: dormant ? "#ffb84d" : "rgba(255,255,255,0.3)", fontFamily: "monospace", fontSize: 11 }} title={dormant ? `No claim in ${idle} rounds` : undefined}>
+                                        {dormant && "⚠ "}Round {d.lastClaimRound || "—"}
+                                      </td>
+                                    </tr>
+                                  );
+                                })}
+                              </tbody>
+                            </table>
+                          </div>
+                        </GlassCard>
+                      </>
+                    )}
                   </div>
                 )}
                 {!orchDetail && !orchDetailLoading && (
-                  <div style={{ textAlign: "center", padding: 40, color: "rgba(255,255,255,0.3)" }}>No orchestrator data — load a delegator first</div>
+                  <div style={{ textAlign: "center", padding: 40, color: "rgba(255,255,255,0.3)" }}>{data ? "No orchestrator data" : "Paste an orchestrator's address or ENS name above, or pick one from Compare"}</div>
                 )}
               </>
             )}
@@ -0,0 +1,126 @@
+import { useState } from "react";
+import { GlassCard } from "./ui";
+import { ALERT_TYPES, normalizeRules } from "../lib/alerts";
+import { fmtAddr, fmtDT } from "../lib/format";
+
+const btn = { padding: "8px 16px", borderRadius: 8, border: "1px solid rgba(255,255,255,0.1)", background: "transparent", color: "rgba(255,255,255,0.6)", fontSize: 11, fontWeight: 700, cursor: "pointer", letterSpacing: "0.04em" };
+const fieldLabel = { fontSize: 10, color: "rgba(255,255,255,0.4)", fontWeight: 600, marginBottom: 4 };
+const input = { width: "100%", padding: "9px 12px", borderRadius: 8, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", color: "#fff", fontSize: 12, fontFamily: "'Space Mono', monospace", outline: "none" };
+const LOG_SHOWN = 30;
+
+const PERMISSION_NOTE = {
+  granted: null,
+  default: "Notifications aren't allowed yet — alerts only go to the log below.",
+  denied: "Notifications are blocked for this site in your browser settings — alerts only go to the log below.",
+  unsupported: "This browser has no notifications — alerts only go to the log below.",
+};
+
+// ── Alert rules and log ──
+// Edits a draft of the rules (see alerts.js) and hands it to `onSave`; the
+// dashboard owns polling, persistence and the notifications themselves.
+export default function AlertsPanel({ rules, status, log, permission, loadedAddress, ensNames, onSave, onRequestPermission, onClearLog, onClose }) {
+  const [draft, setDraft] = useState(() => ({ ...rules, delegator: rules.delegator || loadedAddress || "", orchestrators: rules.orchestrators.join("\n") }));
+  const [showAll, setShowAll] = useState(false);
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const name = (a) => ensNames[a] || fmtAddr(a);
+
+  function save(enabled = draft.enabled) {
+    onSave(normalizeRules({ ...draft, enabled, orchestrators: draft.orchestrators.split(/[\s,;]+/) }));
+  }
+
+  const shown = showAll ? log : log.slice(0, LOG_SHOWN);
+  return (
+    <GlassCard glow="#ffb84d" style={{ padding: "24px 32px", maxWidth: 800, margin: "0 auto 24px", position: "relative", overflow: "hidden" }}>
+      <div style={{ position: "absolute", top: 0, left: 0, right: 0, height: 2, background: "linear-gradient(90deg, transparent, #ffb84d60, transparent)" }} />
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 6 }}>
+        <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em" }}>Orchestrator Alerts</div>
+        <button onClick={onClose} style={{ ...btn, padding: "4px 10px", fontSize: 10 }}>✕ Close</button>
+      </div>
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginBottom: 18 }}>
+        Checked every {rules.pollMinutes} minutes while this tab is open. Rules and the log are saved in this browser only.
+        {rules.enabled && status && (
+          <span style={{ color: status.error ? "#ff5c5c" : "rgba(255,255,255,0.4)" }}>
+            {" "}{status.error ? `Last check failed: ${status.error}` : `Last checked ${fmtDT(status.checkedAt)}, watching ${status.watched.map(name).join(", ") || "nothing yet"}.`}
+          </span>
+        )}
+      </div>
+
+      {PERMISSION_NOTE[permission] && (
+        <div style={{ display: "flex", gap: 12, alignItems: "center", padding: "10px 14px", background: "rgba(255,184,77,0.06)", border: "1px solid rgba(255,184,77,0.15)", borderRadius: 8, color: "#ffb84d", fontSize: 12, marginBottom: 16 }}>
+          <span style={{ flex: 1 }}>{PERMISSION_NOTE[permission]}</span>
+          {permission === "default" && <button onClick={onRequestPermission} style={{ ...btn, padding: "4px 10px", fontSize: 10, color: "#ffb84d", borderColor: "rgba(255,184,77,0.3)" }}>Allow notifications</button>}
+        </div>
+      )}
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))", gap: 14 }}>
+        <label style={{ display: "block" }}>
+          <div style={fieldLabel}>Delegator to watch</div>
+          <input value={draft.delegator} onChange={(e) => set({ delegator: e.target.value })} placeholder="0x… (its delegate and unbonding locks)" spellCheck={false} style={input} />
+          <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 10, color: "rgba(255,255,255,0.4)", marginTop: 6 }}>
+            <input type="checkbox" checked={draft.followDelegate} onChange={(e) => set({ followDelegate: e.target.checked })} />
+            Watch its current delegate, and follow it if the stake moves
+          </label>
+        </label>
+        <label style={{ display: "block" }}>
+          <div style={fieldLabel}>Also watch these orchestrators</div>
+          <textarea value={draft.orchestrators} onChange={(e) => set({ orchestrators: e.target.value })} placeholder="0x… one per line" rows={3} spellCheck={false} style={{ ...input, resize: "vertical" }} />
+        </label>
+      </div>
+
+      <div style={{ display: "flex", gap: 24, flexWrap: "wrap", marginTop: 16 }}>
+        <div>
+          <div style={fieldLabel}>Alert when</div>
+          {Object.entries(ALERT_TYPES).map(([type, t]) => (
+            <label key={type} style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: "rgba(255,255,255,0.6)", marginBottom: 4 }}>
+              <input type="checkbox" checked={draft.types[type]} onChange={(e) => set({ types: { ...draft.types, [type]: e.target.checked } })} />
+              {t.label}
+            </label>
+          ))}
+        </div>
+        <label>
+          <div style={fieldLabel}>Missed rounds before alerting</div>
+          <input type="number" min={1} value={draft.missedRounds} onChange={(e) => set({ missedRounds: e.target.value })} style={{ ...input, width: 90 }} />
+        </label>
+        <label>
+          <div style={fieldLabel}>Stake drop that counts (%)</div>
+          <input type="number" min={1} max={100} value={draft.stakeDropPct} onChange={(e) => set({ stakeDropPct: e.target.value })} style={{ ...input, width: 90 }} />
+        </label>
+        <label>
+          <div style={fieldLabel}>Check every (minutes)</div>
+          <input type="number" min={1} value={draft.pollMinutes} onChange={(e) => set({ pollMinutes: e.target.value })} style={{ ...input, width: 90 }} />
+        </label>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 18, flexWrap: "wrap" }}>
+        {rules.enabled && <button onClick={() => save(false)} style={btn}>Turn off</button>}
+        <div style={{ flex: 1 }} />
+        <button onClick={() => save(true)} style={{ ...btn, border: "none", background: "linear-gradient(135deg, #ffb84d, #ff8a4d)", color: "#06060e" }}>
+          {rules.enabled ? "Save" : "Save & turn on"}
+        </button>
+      </div>
+
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginTop: 24, marginBottom: 10 }}>
+        <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em" }}>Alert log</div>
+        {log.length > 0 && <button onClick={onClearLog} style={{ ...btn, padding: "4px 10px", fontSize: 10 }}>Clear</button>}
+      </div>
+      {log.length === 0 ? (
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.25)" }}>No alerts yet.</div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          {shown.map((a) => (
+            <div key={`${a.id}-${a.ts}`} style={{ display: "flex", gap: 12, alignItems: "baseline", fontSize: 12, padding: "8px 12px", borderRadius: 8, background: "rgba(255,255,255,0.02)", borderLeft: `2px solid ${ALERT_TYPES[a.type]?.color || "#fff"}` }}>
+              <span style={{ color: "rgba(255,255,255,0.3)", fontSize: 10, minWidth: 120 }}>{fmtDT(a.ts)}</span>
+              <span style={{ color: "#fff", fontWeight: 700 }}>{a.orchestrator ? a.title.replace(fmtAddr(a.orchestrator), name(a.orchestrator)) : a.title}</span>
+              <span style={{ color: "rgba(255,255,255,0.45)", flex: 1 }}>{a.body}</span>
+            </div>
+          ))}
+          {log.length > LOG_SHOWN && (
+            <button onClick={() => setShowAll((v) => !v)} style={{ ...btn, alignSelf: "flex-start", padding: "4px 10px", fontSize: 10 }}>
+              {showAll ? "Show fewer" : `Show all ${log.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </GlassCard>
+  );
+}
@@ -0,0 +1,113 @@
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts";
+import { GlassCard, StatCard, TT } from "./ui";
+import { concentration, churn } from "../lib/delegators";
+import { fmtAddr, fmtN } from "../lib/format";
+
+const TH = { padding: "10px 14px", color: "rgba(255,255,255,0.35)", fontWeight: 600, fontSize: 10, textTransform: "uppercase", letterSpacing: "0.1em", textAlign: "right" };
+const TD = { padding: "10px 14px", textAlign: "right" };
+const sectionTitle = { fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em" };
+const MONTHS_SHOWN = 24;
+const DORMANT_SHOWN = 10;
+const pct = (x) => `${fmtN(x * 100, 1)}%`;
+
+// ── Delegator concentration & churn ──
+// Above the Orchestrator tab's delegator list: is the stake spread out or one
+// whale away from halving, who has been coming and going, and how much of it
+// belongs to delegators who haven't claimed in a year. `exits` is
+// getDelegatorExits' result, null while it loads, or { error } if it failed.
+export default function DelegatorAnalytics({ orchId, delegators, complete, exits, ensNames, style }) {
+  const name = (a) => ensNames[a] || fmtAddr(a);
+  const c = concentration(delegators);
+  const largest = delegators.reduce((best, d) => (d.bondedAmount > (best?.bondedAmount || 0) ? d : best), null);
+  const ch = exits && !exits.error ? churn(delegators, exits) : null;
+  const months = ch ? ch.months.slice(-MONTHS_SHOWN) : [];
+  const chart = months.map((m) => ({ month: m.month, joined: m.joined, left: -m.left }));
+  const year = ch ? ch.months.slice(-12) : [];
+  const joinedYear = year.reduce((s, m) => s + m.joined, 0);
+  const leftYear = year.reduce((s, m) => s + m.left, 0);
+
+  return (
+    <div style={style}>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginBottom: 20 }}>
+        <StatCard label="Delegators" color="#64a0ff" sub={complete ? `${fmtN(c.total, 0)} LPT bonded` : "list was capped — figures cover the largest only"}>
+          {fmtN(c.count, 0)}
+        </StatCard>
+        <StatCard label="Largest delegator" color={c.top1 >= 0.3 ? "#ff5c7c" : c.top1 >= 0.15 ? "#ffb84d" : "#00e88c"} sub={largest ? `${name(largest.id)}${largest.id === orchId ? " · the orchestrator itself" : ""}` : undefined}>
+          {pct(c.top1)}
+        </StatCard>
+        <StatCard label="Top 10" color={c.top10 >= 0.8 ? "#ff5c7c" : c.top10 >= 0.5 ? "#ffb84d" : "#00e88c"} sub="share of the stake">
+          {pct(c.top10)}
+        </StatCard>
+        <StatCard label="HHI" color={c.level.color} sub={`${c.level.label} · Gini ${c.gini.toFixed(2)}`}>
+          {fmtN(c.hhi, 0)}
+        </StatCard>
+      </div>
+
+      <GlassCard style={{ padding: "24px 32px", marginBottom: 20 }}>
+        <div style={{ ...sectionTitle, marginBottom: 6 }}>Churn</div>
+        {!ch ? (
+          <div style={{ fontSize: 12, color: "rgba(255,255,255,0.3)", padding: "12px 0" }}>{exits?.error ? `Couldn't load unbond history: ${exits.error}` : "Loading unbond history…"}</div>
+        ) : (
+          <>
+            <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginBottom: 16, lineHeight: 1.6 }}>
+              New delegators by the month their delegation started, and delegators who have since left by the month of their last unbond or move away.
+              {" "}Last 12 months: <span style={{ color: "#00e88c" }}>{joinedYear} joined</span>, <span style={{ color: "#ff5c7c" }}>{leftYear} left</span>.
+              {ch.tenureRounds != null && <> Stake-weighted tenure <b style={{ color: "rgba(255,255,255,0.6)" }}>{fmtN(ch.tenureRounds, 0)} rounds{ch.tenureYears != null ? ` (≈ ${fmtN(ch.tenureYears, 1)} years)` : ""}</b>.</>}
+              {!exits.complete && <span style={{ color: "#ffb84d" }}> Unbond history was capped, so older exits are missing.</span>}
+            </div>
+            {chart.length > 0 && (
+              <ResponsiveContainer width="100%" height={200}>
+                <BarChart data={chart} stackOffset="sign" barCategoryGap="15%">
+                  <XAxis dataKey="month" tick={{ fill: "rgba(255,255,255,0.3)", fontSize: 9, fontFamily: "Space Mono" }} axisLine={false} tickLine={false} />
+                  <YAxis allowDecimals={false} tick={{ fill: "rgba(255,255,255,0.3)", fontSize: 10, fontFamily: "Space Mono" }} axisLine={false} tickLine={false} width={40} />
+                  <Tooltip content={<TT />} />
+                  <ReferenceLine y={0} stroke="rgba(255,255,255,0.1)" />
+                  <Bar dataKey="joined" name="Joined" stackId="churn" fill="#00e88c" />
+                  <Bar dataKey="left" name="Left" stackId="churn" fill="#ff5c7c" />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </>
+        )}
+      </GlassCard>
+
+      {ch && (
+        <GlassCard style={{ padding: "24px 32px", marginBottom: 20 }}>
+          <div style={{ ...sectionTitle, marginBottom: 6 }}>Dormant delegators</div>
+          <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginBottom: ch.dormant.length ? 16 : 0 }}>
+            {ch.dormant.length
+              ? `${ch.dormant.length} delegator${ch.dormant.length === 1 ? "" : "s"} holding ${fmtN(ch.dormantStake, 0)} LPT (${pct(c.total > 0 ? ch.dormantStake / c.total : 0)}) haven't claimed in ${fmtN(ch.dormantRounds, 0)}+ rounds — about a year. Abandoned stake stays put, but its owner may not be watching either.`
+              : `Every delegator has claimed within the last ${fmtN(ch.dormantRounds, 0)} rounds.`}
+          </div>
+          {ch.dormant.length > 0 && (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'Space Mono', monospace", fontSize: 12 }}>
+                <thead>
+                  <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+                    <th style={{ ...TH, textAlign: "left" }}>Delegator</th>
+                    <th style={TH}>Staked LPT</th>
+                    <th style={TH}>Last claim</th>
+                    <th style={TH}>Rounds since</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ch.dormant.slice(0, DORMANT_SHOWN).map((d) => (
+                    <tr key={d.id} style={{ borderBottom: "1px solid rgba(255,255,255,0.03)" }}>
+                      <td style={{ ...TD, textAlign: "left", color: "rgba(255,255,255,0.6)" }} title={d.id}>{name(d.id)}</td>
+                      <td style={{ ...TD, color: "#fff" }}>{fmtN(d.bondedAmount)}</td>
+                      <td style={{ ...TD, color: "rgba(255,255,255,0.4)" }}>Round {d.lastClaimRound}</td>
+                      <td style={{ ...TD, color: "#ffb84d", fontWeight: 700 }}>{fmtN(d.roundsSince, 0)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {ch.dormant.length > DORMANT_SHOWN && (
+                <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginTop: 10 }}>…and {ch.dormant.length - DORMANT_SHOWN} more, marked ⚠ in the list below.</div>
+              )}
+            </div>
+          )}
+        </GlassCard>
+      )}
+    </div>
+  );
+}
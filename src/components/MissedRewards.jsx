@@ -0,0 +1,74 @@
+import { useState } from "react";
+import { GlassCard, StatCard } from "./ui";
+import { fmtAddr, fmtN } from "../lib/format";
+
+const TH = { padding: "10px 14px", color: "rgba(255,255,255,0.35)", fontWeight: 600, fontSize: 10, textTransform: "uppercase", letterSpacing: "0.1em", textAlign: "right" };
+const TD = { padding: "12px 14px", textAlign: "right" };
+const sectionTitle = { fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 20 };
+const ROUNDS_SHOWN = 50;
+
+// ── Missed-reward losses ──
+// What the delegator's orchestrators not calling reward has cost, lifetime and
+// per orchestrator, with the rounds behind it. Estimates — see getMissedRewards.
+export default function MissedRewards({ missed, ensNames, prices, style }) {
+  const [showAll, setShowAll] = useState(false);
+  const { rounds, byDelegate, totalLost, complete } = missed;
+  const name = (a) => ensNames[a] || fmtAddr(a);
+  const shown = showAll ? rounds : rounds.slice(0, ROUNDS_SHOWN);
+
+  return (
+    <div style={style}>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginBottom: 20 }}>
+        <StatCard label="Lost to missed reward calls" color="#ff5c7c" sub={`${rounds.length} missed round${rounds.length === 1 ? "" : "s"}${prices ? ` · ≈ $${fmtN(totalLost * prices.lptUsd, 0)} today` : ""}`}>
+          {fmtN(totalLost)}
+        </StatCard>
+        {byDelegate.map((d) => (
+          <StatCard key={d.delegate} label={name(d.delegate)} color={d.missed ? "#ffb84d" : "#00e88c"} sub={`missed ${d.missed} of ${d.bondedRounds} rounds bonded`}>
+            {fmtN(d.lost)}
+          </StatCard>
+        ))}
+      </div>
+
+      <GlassCard style={{ padding: "28px 32px", marginBottom: 20 }}>
+        <div style={sectionTitle}>Missed rounds</div>
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginTop: -12, marginBottom: 16, maxWidth: 640 }}>
+          LPT you would have earned had the orchestrator called reward: the round's mintable LPT × your share of active stake × (1 − reward cut).
+          {!complete && <span style={{ color: "#ffb84d" }}> Reward-call or bond history was capped, so older rounds may be missing.</span>}
+        </div>
+        {rounds.length === 0 ? (
+          <div style={{ fontSize: 13, color: "#00e88c" }}>✓ Reward was called in every round you were bonded.</div>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'Space Mono', monospace", fontSize: 13 }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+                  <th style={{ ...TH, textAlign: "left" }}>Round</th>
+                  <th style={{ ...TH, textAlign: "left" }}>Orchestrator</th>
+                  <th style={TH}>Your stake</th>
+                  <th style={TH}>Reward cut</th>
+                  <th style={TH}>Est. LPT lost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((r) => (
+                  <tr key={`${r.delegate}-${r.round}`} style={{ borderBottom: "1px solid rgba(255,255,255,0.03)" }}>
+                    <td style={{ ...TD, textAlign: "left", color: "#fff" }}>{r.round}</td>
+                    <td style={{ ...TD, textAlign: "left", color: "rgba(255,255,255,0.5)" }} title={r.delegate}>{name(r.delegate)}</td>
+                    <td style={{ ...TD, color: "rgba(255,255,255,0.5)" }}>{fmtN(r.stake)}</td>
+                    <td style={{ ...TD, color: "rgba(255,255,255,0.5)" }}>{r.rewardCut == null ? "—" : `${r.rewardCut.toFixed(2)}%`}</td>
+                    <td style={{ ...TD, color: "#ff5c7c", fontWeight: 700 }}>{r.lost == null ? "—" : fmtN(r.lost, 4)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {rounds.length > ROUNDS_SHOWN && (
+          <button onClick={() => setShowAll((v) => !v)} style={{ marginTop: 16, padding: "6px 12px", borderRadius: 6, border: "1px solid rgba(255,255,255,0.08)", background: "transparent", color: "rgba(255,255,255,0.5)", fontSize: 9, fontWeight: 700, cursor: "pointer", letterSpacing: "0.04em", textTransform: "uppercase" }}>
+            {showAll ? "Show fewer" : `Show all ${rounds.length} rounds`}
+          </button>
+        )}
+      </GlassCard>
+    </div>
+  );
+}
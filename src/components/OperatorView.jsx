@@ -0,0 +1,195 @@
+import { useState } from "react";
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
+import { GlassCard, ChipTab, StatCard, TT } from "./ui";
+import { operatorRoundsCSV, operatorFlowsCSV, downloadFile } from "../lib/export";
+import { fmtAddr, fmtD, fmtN } from "../lib/format";
+
+const TH = { padding: "10px 14px", color: "rgba(255,255,255,0.35)", fontWeight: 600, fontSize: 10, textTransform: "uppercase", letterSpacing: "0.1em", textAlign: "right" };
+const TD = { padding: "10px 14px", textAlign: "right" };
+const sectionTitle = { fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em" };
+const smallBtn = { padding: "4px 10px", borderRadius: 6, border: "1px solid rgba(255,255,255,0.08)", background: "transparent", color: "rgba(255,255,255,0.5)", fontSize: 9, fontWeight: 700, cursor: "pointer", letterSpacing: "0.04em", textTransform: "uppercase" };
+const WINDOWS = [30, 90, 365];
+const ROWS_SHOWN = 30;
+const signed = (n, d = 2) => `${n < 0 ? "−" : "+"}${fmtN(Math.abs(n), d)}`;
+
+// ── Operator view ──
+// The orchestrator's own side of its node (see getOperatorReport): what the
+// cuts earn per round, its stake against its delegators', who came and went,
+// and every reward call in the window with the missed ones marked.
+export default function OperatorView({ report, loading, rounds, onRounds, ensNames, style }) {
+  const [allRounds, setAllRounds] = useState(false);
+  const [allFlows, setAllFlows] = useState(false);
+  const name = (a) => ensNames[a] || fmtAddr(a);
+
+  const header = (
+    <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", marginBottom: 20 }}>
+      {WINDOWS.map((w) => (
+        <ChipTab key={w} label={`${w} rounds`} active={rounds === w} onClick={() => onRounds(w)} color="#ffb84d" />
+      ))}
+      <div style={{ flex: 1 }} />
+      {report && (
+        <>
+          <button onClick={() => downloadFile(`livepeer-operator-rounds-${report.id.slice(0, 8)}.csv`, operatorRoundsCSV(report.rows))} style={smallBtn}>Rounds CSV</button>
+          <button onClick={() => downloadFile(`livepeer-operator-flows-${report.id.slice(0, 8)}.csv`, operatorFlowsCSV(report.flows))} style={smallBtn}>Flows CSV</button>
+        </>
+      )}
+    </div>
+  );
+
+  if (loading || !report) {
+    return (
+      <div style={style}>
+        {header}
+        <div style={{ textAlign: "center", padding: 40, color: "rgba(255,255,255,0.3)" }}>
+          {loading ? "Loading operator history…" : "Operator history is unavailable right now"}
+        </div>
+      </div>
+    );
+  }
+
+  const { rows, flows, totals } = report;
+  const selfPct = report.totalStake > 0 ? (report.selfStake / report.totalStake) * 100 : 0;
+  const chart = rows.slice().reverse().map((r) => ({
+    round: `Round ${r.round}${r.ts ? ` · ${fmtD(r.ts)}` : ""}`,
+    lpt: +r.cutLPT.toFixed(4),
+    called: r.called,
+  }));
+  const shownRows = allRounds ? rows : rows.slice(0, ROWS_SHOWN);
+  const shownFlows = allFlows ? flows : flows.slice(0, ROWS_SHOWN);
+
+  return (
+    <div style={style}>
+      {header}
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginBottom: 20 }}>
+        <StatCard label="Reward-cut income" color="#00e88c" sub={`LPT over ${rows.length} rounds at a ${fmtN(report.rewardCut)}% cut · ≈ ${fmtN(rows.length ? totals.cutLPT / rows.length : 0)}/round`}>
+          {fmtN(totals.cutLPT)}
+        </StatCard>
+        <StatCard label="Fees kept" color="#c77dff" sub={`ETH after the ${fmtN(report.feeShare)}% fee share to delegators`}>
+          {fmtN(totals.keptETH, 4)}
+        </StatCard>
+        <StatCard label="Net delegator flow" color={totals.net >= 0 ? "#00e88c" : "#ff5c7c"} sub={`LPT · ${signed(totals.inflow, 0)} in, ${signed(-totals.outflow, 0)} out`}>
+          {signed(totals.net, 0)}
+        </StatCard>
+        <StatCard label="Reward calls" color={totals.missed ? "#ffb84d" : "#00e88c"} sub={totals.missed ? `${totals.missed} missed round${totals.missed === 1 ? "" : "s"}` : "None missed"}>
+          {totals.called}/{rows.length}
+        </StatCard>
+      </div>
+
+      {/* Self-stake against delegated stake */}
+      <GlassCard style={{ padding: "24px 32px", marginBottom: 20 }}>
+        <div style={{ ...sectionTitle, marginBottom: 14 }}>Self-stake vs delegated</div>
+        <div style={{ display: "flex", height: 14, borderRadius: 7, overflow: "hidden", background: "rgba(255,255,255,0.04)" }}>
+          <div style={{ width: `${selfPct}%`, background: "#64a0ff" }} />
+          <div style={{ flex: 1, background: "rgba(0,232,140,0.45)" }} />
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", flexWrap: "wrap", gap: 12, marginTop: 10, fontSize: 12, fontFamily: "'Space Mono', monospace" }}>
+          <span style={{ color: "#64a0ff" }}>Own {fmtN(report.selfStake)} LPT ({fmtN(selfPct)}%)</span>
+          <span style={{ color: "#00e88c" }}>Delegated {fmtN(report.delegatedStake)} LPT</span>
+        </div>
+      </GlassCard>
+
+      {/* Cut income per round, missed rounds in red */}
+      <GlassCard style={{ padding: "24px 32px", marginBottom: 20 }}>
+        <div style={{ ...sectionTitle, marginBottom: 6 }}>Reward-cut income per round</div>
+        <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginBottom: 16 }}>
+          LPT minted in each reward call × the cut then in force. Red marks a round without a reward call.
+        </div>
+        <ResponsiveContainer width="100%" height={200}>
+          <BarChart data={chart} barCategoryGap="10%">
+            <XAxis dataKey="round" tick={false} axisLine={false} tickLine={false} />
+            <YAxis tick={{ fill: "rgba(255,255,255,0.3)", fontSize: 10, fontFamily: "Space Mono" }} axisLine={false} tickLine={false} width={60} />
+            <Tooltip content={<TT />} />
+            <Bar dataKey="lpt" name="Cut LPT" minPointSize={3}>
+              {chart.map((c, i) => (
+                <Cell key={i} fill={c.called ? "#00e88c" : "#ff5c7c"} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </GlassCard>
+
+      {/* Reward-call log */}
+      <GlassCard style={{ padding: "24px 32px", marginBottom: 20 }}>
+        <div style={{ ...sectionTitle, marginBottom: 16 }}>
+          Reward calls
+          {!report.complete && <span style={{ marginLeft: 10, color: "#ffb84d", textTransform: "none", letterSpacing: 0, fontWeight: 600 }}>history was capped — older rounds may be missing</span>}
+        </div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'Space Mono', monospace", fontSize: 12 }}>
+            <thead>
+              <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+                <th style={{ ...TH, textAlign: "left" }}>Round</th>
+                <th style={{ ...TH, textAlign: "left" }}>Date</th>
+                <th style={{ ...TH, textAlign: "left" }}>Reward call</th>
+                <th style={TH}>Minted</th>
+                <th style={TH}>Cut LPT</th>
+                <th style={TH}>Fees</th>
+                <th style={TH}>Fees kept</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shownRows.map((r) => (
+                <tr key={r.round} style={{ borderBottom: "1px solid rgba(255,255,255,0.03)", background: r.called ? "transparent" : "rgba(255,92,124,0.05)" }}>
+                  <td style={{ ...TD, textAlign: "left", color: "#fff" }}>{r.round}</td>
+                  <td style={{ ...TD, textAlign: "left", color: "rgba(255,255,255,0.4)" }}>{r.ts ? fmtD(r.ts) : "—"}</td>
+                  <td style={{ ...TD, textAlign: "left", color: r.called ? "#00e88c" : "#ff5c7c", fontWeight: 700 }}>{r.called ? "✓ Called" : "✕ Missed"}</td>
+                  <td style={{ ...TD, color: "rgba(255,255,255,0.5)" }}>{r.rewardTokens ? fmtN(r.rewardTokens) : "—"}</td>
+                  <td style={{ ...TD, color: "#00e88c" }}>{r.cutLPT ? fmtN(r.cutLPT, 4) : "—"}</td>
+                  <td style={{ ...TD, color: "rgba(255,255,255,0.5)" }}>{r.fees ? fmtN(r.fees, 6) : "—"}</td>
+                  <td style={{ ...TD, color: "#c77dff" }}>{r.keptETH ? fmtN(r.keptETH, 6) : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {rows.length > ROWS_SHOWN && (
+          <button onClick={() => setAllRounds((v) => !v)} style={{ ...smallBtn, marginTop: 16 }}>
+            {allRounds ? "Show fewer" : `Show all ${rows.length} rounds`}
+          </button>
+        )}
+      </GlassCard>
+
+      {/* Delegator flows */}
+      <GlassCard style={{ padding: "24px 32px", marginBottom: 20 }}>
+        <div style={{ ...sectionTitle, marginBottom: 16 }}>Stake in and out</div>
+        {flows.length === 0 ? (
+          <div style={{ fontSize: 13, color: "rgba(255,255,255,0.4)" }}>No bonds, unbonds or rebonds in these {rows.length} rounds.</div>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'Space Mono', monospace", fontSize: 12 }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+                  <th style={{ ...TH, textAlign: "left" }}>Date</th>
+                  <th style={{ ...TH, textAlign: "left" }}>Round</th>
+                  <th style={{ ...TH, textAlign: "left" }}>Delegator</th>
+                  <th style={{ ...TH, textAlign: "left" }}>Type</th>
+                  <th style={TH}>LPT</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shownFlows.map((f, i) => (
+                  <tr key={`${f.ts}-${f.delegator}-${i}`} style={{ borderBottom: "1px solid rgba(255,255,255,0.03)" }}>
+                    <td style={{ ...TD, textAlign: "left", color: "rgba(255,255,255,0.4)" }}>{fmtD(f.ts)}</td>
+                    <td style={{ ...TD, textAlign: "left", color: "rgba(255,255,255,0.4)" }}>{f.round}</td>
+                    <td style={{ ...TD, textAlign: "left", color: "rgba(255,255,255,0.6)" }} title={f.delegator}>
+                      {name(f.delegator)}
+                      {f.self && <span style={{ marginLeft: 8, fontSize: 8, fontWeight: 700, color: "#64a0ff", background: "rgba(100,160,255,0.15)", padding: "2px 6px", borderRadius: 4, textTransform: "uppercase" }}>operator</span>}
+                    </td>
+                    <td style={{ ...TD, textAlign: "left", color: "rgba(255,255,255,0.5)" }}>{f.type}</td>
+                    <td style={{ ...TD, color: f.amount >= 0 ? "#00e88c" : "#ff5c7c", fontWeight: 700 }}>{signed(f.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {flows.length > ROWS_SHOWN && (
+          <button onClick={() => setAllFlows((v) => !v)} style={{ ...smallBtn, marginTop: 16 }}>
+            {allFlows ? "Show fewer" : `Show all ${flows.length}`}
+          </button>
+        )}
+      </GlassCard>
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import { GlassCard, StatCard, Countdown } from "./ui";
+import { fmtAddr, fmtDT, fmtN } from "../lib/format";
+
+const TH = { padding: "10px 14px", color: "rgba(255,255,255,0.35)", fontWeight: 600, fontSize: 10, textTransform: "uppercase", letterSpacing: "0.1em" };
+const TD = { padding: "14px", textAlign: "right" };
+const sectionTitle = { fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 20 };
+
+// ── Multi-wallet portfolio ──
+// Combined totals across several delegator wallets, one row per wallet.
+// Clicking a row opens that wallet in the regular per-wallet tabs.
+export default function PortfolioView({ portfolio, ensNames, prices, onOpen, style }) {
+  const { wallets, locks, totals, blendedAPY, blendedEthYieldPerLPT, currentRound } = portfolio;
+  const name = (a) => ensNames[a] || fmtAddr(a);
+  const loaded = wallets.filter((w) => !w.error);
+
+  return (
+    <div style={style}>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginBottom: 20 }}>
+        <StatCard label="Combined stake" sub={`${loaded.length} wallet${loaded.length === 1 ? "" : "s"}${prices ? ` · ≈ $${fmtN(totals.bonded * prices.lptUsd, 0)}` : ""}`}>
+          {fmtN(totals.bonded)}
+        </StatCard>
+        <StatCard label="Pending rewards" color="#64a0ff" sub={`${fmtN(totals.totalRewards)} LPT earned lifetime`}>
+          {fmtN(totals.pendingRewards)}
+        </StatCard>
+        <StatCard label="Pending fees" color="#c77dff" sub={prices ? `≈ $${fmtN(totals.pendingFees * prices.ethUsd)}` : "ETH"}>
+          {fmtN(totals.pendingFees, 5)}
+        </StatCard>
+        <StatCard
+          label="Blended reward APY"
+          color="#ffb84d"
+          sub={blendedAPY == null
+            ? "orchestrator data unavailable"
+            : `≈ ${fmtN(totals.bonded * blendedAPY / 100)} LPT/yr · ${fmtN(totals.bonded * blendedEthYieldPerLPT, 4)} ETH/yr fees`}
+        >
+          {blendedAPY == null ? "—" : `${blendedAPY.toFixed(2)}%`}
+        </StatCard>
+      </div>
+
+      <GlassCard style={{ padding: "28px 32px", marginBottom: 20 }}>
+        <div style={sectionTitle}>Wallets — click one to open it</div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'Space Mono', monospace", fontSize: 13 }}>
+            <thead>
+              <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+                {["Wallet", "Delegate", "Bonded LPT", "Share", "Pending LPT", "Pending ETH", "Delegate APY", "Unbonding"].map((h, i) => (
+                  <th key={h} style={{ ...TH, textAlign: i < 2 ? "left" : "right" }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {wallets.map((w) => w.error ? (
+                <tr key={w.input} style={{ borderBottom: "1px solid rgba(255,255,255,0.03)" }}>
+                  <td style={{ padding: "14px", color: "rgba(255,255,255,0.5)" }}>{w.input}</td>
+                  <td colSpan={7} style={{ padding: "14px", color: "#ff5c5c", fontSize: 11, fontFamily: "'DM Sans', system-ui, sans-serif" }}>{w.error}</td>
+                </tr>
+              ) : (
+                <tr key={w.address} onClick={() => onOpen(w.address)}
+                    style={{ borderBottom: "1px solid rgba(255,255,255,0.03)", transition: "background 0.2s", cursor: "pointer" }}
+                    onMouseEnter={(e) => (e.currentTarget.style.background = "rgba(0,232,140,0.04)")}
+                    onMouseLeave={(e) => (e.currentTarget.style.background = "transparent")}>
+                  <td style={{ padding: "14px", color: "#fff" }} title={w.address}>{name(w.address)}</td>
+                  <td style={{ padding: "14px", color: "rgba(255,255,255,0.5)" }} title={w.delegate || ""}>{w.delegate ? name(w.delegate) : "—"}</td>
+                  <td style={{ ...TD, color: "#00e88c", fontWeight: 700 }}>{fmtN(w.bonded)}</td>
+                  <td style={{ ...TD, color: "rgba(255,255,255,0.4)", fontSize: 11 }}>{totals.bonded > 0 ? `${(w.bonded / totals.bonded * 100).toFixed(1)}%` : "—"}</td>
+                  <td style={{ ...TD, color: "#64a0ff" }}>{fmtN(w.pendingRewards)}</td>
+                  <td style={{ ...TD, color: "#c77dff" }}>{fmtN(w.pendingFees, 5)}</td>
+                  <td style={{ ...TD, color: "#ffb84d" }}>{w.rewardAPY == null ? "—" : `${w.rewardAPY.toFixed(2)}%`}</td>
+                  <td style={{ ...TD, color: "rgba(255,255,255,0.5)" }}>{w.unbondingLocks.length ? fmtN(w.unbondingLocks.reduce((s, l) => s + l.amount, 0)) : "—"}</td>
+                </tr>
+              ))}
+              <tr style={{ borderTop: "2px solid rgba(0,232,140,0.15)" }}>
+                <td colSpan={2} style={{ padding: "14px 12px", fontWeight: 800, color: "rgba(255,255,255,0.7)" }}>TOTAL</td>
+                <td style={{ ...TD, fontWeight: 800, color: "#00e88c" }}>{fmtN(totals.bonded)}</td>
+                <td />
+                <td style={{ ...TD, fontWeight: 800, color: "#64a0ff" }}>{fmtN(totals.pendingRewards)}</td>
+                <td style={{ ...TD, fontWeight: 800, color: "#c77dff" }}>{fmtN(totals.pendingFees, 5)}</td>
+                <td style={{ ...TD, fontWeight: 800, color: "#ffb84d" }}>{blendedAPY == null ? "—" : `${blendedAPY.toFixed(2)}%`}</td>
+                <td style={{ ...TD, fontWeight: 800, color: "rgba(255,255,255,0.7)" }}>{fmtN(totals.withdrawableNow + totals.pendingUnbond)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </GlassCard>
+
+      {locks.length > 0 && (
+        <GlassCard glow={totals.withdrawableNow > 0 ? "#ff6b9d" : "#64a0ff"} style={{ padding: "24px 32px" }}>
+          <div style={{ display: "flex", alignItems: "baseline", justifyContent: "space-between", flexWrap: "wrap", gap: 12, marginBottom: 16 }}>
+            <div style={{ ...sectionTitle, marginBottom: 0 }}>Unbonding locks across wallets</div>
+            <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>current round {currentRound}</div>
+          </div>
+          <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+            {locks.map((l) => {
+              const roundsLeft = Math.max(0, l.withdrawRound - currentRound);
+              return (
+                <div key={l.id} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, padding: "10px 14px", borderRadius: 8, background: "rgba(255,255,255,0.03)" }}>
+                  <span style={{ fontFamily: "'Space Mono', monospace", fontWeight: 700, color: "#fff" }}>{fmtN(l.amount)} LPT</span>
+                  <span style={{ flex: 1, fontSize: 12, color: "rgba(255,255,255,0.4)", fontFamily: "'Space Mono', monospace" }}>{name(l.wallet)}</span>
+                  {roundsLeft === 0 ? (
+                    <span style={{ fontSize: 13, fontWeight: 700, color: "#00e88c" }}>✓ Withdrawable now</span>
+                  ) : l.unlocksAt ? (
+                    <span style={{ fontSize: 13, color: "#ffb84d" }} title={`Unlocks in round ${l.withdrawRound} — estimated from the current round length`}>
+                      ≈ {fmtDT(l.unlocksAt)} · <Countdown to={l.unlocksAt} done="any moment now" />
+                    </span>
+                  ) : (
+                    <span style={{ fontSize: 13, color: "#ffb84d" }}>unlocks round {l.withdrawRound} · ~{roundsLeft} {roundsLeft === 1 ? "round" : "rounds"}</span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <div style={{ display: "flex", gap: 24, marginTop: 16, fontSize: 12, color: "rgba(255,255,255,0.4)" }}>
+            <span>Withdrawable now: <b style={{ color: "#fff" }}>{fmtN(totals.withdrawableNow)} LPT</b></span>
+            <span>Still unbonding: <b style={{ color: "#fff" }}>{fmtN(totals.pendingUnbond)} LPT</b></span>
+          </div>
+        </GlassCard>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import { useState, useEffect } from "react";
+import { GlassCard, ChipTab } from "./ui";
+import { fetchCutHistory } from "../lib/livepeer";
+import { planRedelegation, cutHistoryStats } from "../lib/planner";
+import { fmtAddr, fmtN } from "../lib/format";
+
+const label = { fontSize: 9, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em", marginBottom: 4 };
+const select = { padding: "6px 10px", borderRadius: 8, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", color: "#fff", fontSize: 12, outline: "none", maxWidth: 300 };
+const TH = { padding: "8px 12px", color: "rgba(255,255,255,0.35)", fontWeight: 600, fontSize: 10, textTransform: "uppercase", letterSpacing: "0.1em", textAlign: "right" };
+const TD = { padding: "8px 12px", textAlign: "right" };
+
+const HORIZONS = [
+  { days: 30, label: "30d" },
+  { days: 90, label: "90d" },
+  { days: 180, label: "6m" },
+  { days: 365, label: "1y" },
+];
+const VERDICT = {
+  move: { color: "#00e88c", text: "Move" },
+  marginal: { color: "#ffb84d", text: "Marginal — moving gains little" },
+  stay: { color: "#64a0ff", text: "Stay" },
+};
+
+// ── Redelegation planner ──
+// Stay with the current delegate or move to a candidate? Loads both cut
+// histories so recent cut changes count (see planner.js). `onMove`, when
+// given, offers the bond() that moves the stake.
+export default function RedelegationPlanner({ orchestrators, protocol, roundsPerYear, stake, currentOrchId, ensNames, onMove, style }) {
+  const ranked = orchestrators.filter((o) => o.id !== currentOrchId).sort((a, b) => b.rewardAPY - a.rewardAPY);
+  const [candidateId, setCandidateId] = useState(ranked[0]?.id);
+  const [days, setDays] = useState(90);
+  // id → stats, null when unavailable; missing while loading
+  const [histories, setHistories] = useState({});
+
+  // Cut histories are cached, so re-requesting one already held is cheap
+  useEffect(() => {
+    let live = true;
+    for (const id of [currentOrchId, candidateId]) {
+      if (!id) continue;
+      fetchCutHistory(id)
+        .then((events) => cutHistoryStats(events))
+        .catch(() => null)
+        .then((stats) => { if (live) setHistories((h) => (id in h ? h : { ...h, [id]: stats })); });
+    }
+    return () => { live = false; };
+  }, [currentOrchId, candidateId]);
+
+  const current = orchestrators.find((o) => o.id === currentOrchId) || null;
+  const candidate = orchestrators.find((o) => o.id === candidateId);
+  const loading = !(candidateId in histories) || (currentOrchId && !(currentOrchId in histories));
+  const name = (id) => ensNames[id] || fmtAddr(id);
+  const horizonRounds = Math.round((days / 365.25) * roundsPerYear);
+  const plan = candidate && !loading
+    ? planRedelegation({ stake, current, candidate, protocol, roundsPerYear, horizonRounds, histories: { current: histories[currentOrchId], candidate: histories[candidateId] } })
+    : null;
+  const verdict = plan && VERDICT[plan.recommendation];
+  const sign = (v) => (v >= 0 ? "+" : "−");
+
+  return (
+    <GlassCard style={{ padding: "28px 32px", marginTop: 16, ...style }}>
+      <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 6 }}>
+        Redelegation planner — should you move?
+      </div>
+      <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginBottom: 20, maxWidth: 680 }}>
+        Expected earnings on {fmtN(stake)} LPT from staying with {current ? name(current.id) : "your current delegate"} versus moving it to a candidate, counting your stake diluting the candidate's fee pool.
+      </div>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 20 }}>
+        <div>
+          <div style={label}>Candidate</div>
+          <select value={candidateId} onChange={(e) => setCandidateId(e.target.value)} style={select}>
+            {ranked.map((o) => (
+              <option key={o.id} value={o.id}>{name(o.id)} — {o.rewardAPY.toFixed(1)}% APY · {o.reliability == null ? "reliability unknown" : `${o.reliability}% reliable`}</option>
+            ))}
+          </select>
+        </div>
+        <div style={{ display: "flex", gap: 6 }}>
+          {HORIZONS.map((h) => (
+            <ChipTab key={h.days} label={h.label} active={days === h.days} onClick={() => setDays(h.days)} color="#64a0ff" />
+          ))}
+        </div>
+      </div>
+
+      {loading && <div style={{ fontSize: 12, color: "rgba(255,255,255,0.3)" }}>Loading cut histories…</div>}
+
+      {plan && (
+        <>
+          <div style={{ display: "flex", gap: 24, alignItems: "baseline", flexWrap: "wrap", marginBottom: 16 }}>
+            <span style={{ fontSize: 24, fontWeight: 800, color: verdict.color }}>{verdict.text}</span>
+            <span style={{ fontSize: 13, color: "rgba(255,255,255,0.6)", fontFamily: "'Space Mono', monospace" }}>
+              {sign(plan.diff.lpt)}{fmtN(Math.abs(plan.diff.lpt))} LPT · {sign(plan.diff.eth)}{fmtN(Math.abs(plan.diff.eth), 5)} ETH over {days} days
+            </span>
+            <span style={{ fontSize: 12, color: "rgba(255,255,255,0.4)" }}>
+              {plan.breakEvenRounds == null
+                ? "Moving never pays for itself at these rates."
+                : `Break-even after ${plan.breakEvenRounds} round${plan.breakEvenRounds === 1 ? "" : "s"} (≈ ${fmtN((plan.breakEvenRounds / roundsPerYear) * 365.25, 1)} days).`}
+            </span>
+            {onMove && plan.recommendation !== "stay" && (
+              <button onClick={() => onMove(candidate.id)} style={{ padding: "6px 14px", borderRadius: 6, border: "1px solid rgba(0,232,140,0.3)", background: "transparent", color: "#00e88c", fontSize: 10, fontWeight: 700, cursor: "pointer", letterSpacing: "0.04em", textTransform: "uppercase" }}>
+                Move stake
+              </button>
+            )}
+          </div>
+
+          <div style={{ overflowX: "auto", marginBottom: 16 }}>
+            <table style={{ borderCollapse: "collapse", fontFamily: "'Space Mono', monospace", fontSize: 12 }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+                  <th style={{ ...TH, textAlign: "left" }} />
+                  <th style={TH}>Reward cut</th>
+                  <th style={TH}>Fee share</th>
+                  <th style={TH}>Reliability</th>
+                  <th style={TH}>Fee pool share</th>
+                  <th style={TH}>LPT / {days}d</th>
+                  <th style={TH}>ETH / {days}d</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[["Stay", plan.stay, "#64a0ff"], ["Move", plan.move, "#00e88c"]].map(([rowLabel, e, color]) => (
+                  <tr key={rowLabel} style={{ borderBottom: "1px solid rgba(255,255,255,0.03)" }}>
+                    <td style={{ ...TD, textAlign: "left", color, fontWeight: 700 }}>{rowLabel}</td>
+                    <td style={TD}>{e.rewardCut == null ? "—" : `${e.rewardCut.toFixed(2)}%`}</td>
+                    <td style={TD}>{e.feeShare == null ? "—" : `${e.feeShare.toFixed(2)}%`}</td>
+                    <td style={TD}>{e.reliability == null ? "—" : `${e.reliability}%`}</td>
+                    <td style={TD}>{(e.poolShare * 100).toFixed(3)}%</td>
+                    <td style={{ ...TD, color: "#00e88c" }}>{fmtN(e.totalLpt)}</td>
+                    <td style={{ ...TD, color: "#c77dff" }}>{fmtN(e.totalEth, 5)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={label}>Assumptions</div>
+          <ul style={{ margin: 0, paddingLeft: 18, fontSize: 11, color: "rgba(255,255,255,0.4)", lineHeight: 1.7 }}>
+            {plan.assumptions.map((a) => <li key={a}>{a}</li>)}
+          </ul>
+        </>
+      )}
+    </GlassCard>
+  );
+}
@@ -0,0 +1,123 @@
+import { GlassCard, ChipTab, StatCard } from "./ui";
+import { reliabilityOf, streaks, windowLabel, RELIABILITY_WINDOWS } from "../lib/reliability";
+import { roundStartsAt } from "../lib/livepeer";
+import { fmtD, fmtM, fmtN } from "../lib/format";
+
+const sectionTitle = { fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em" };
+// Rounds run a little under a day, so a column of seven reads roughly as a week
+const ROWS = 7;
+const CELL = { called: "rgba(0,232,140,0.75)", missed: "#ff5c7c", pending: "rgba(255,255,255,0.12)", none: "rgba(255,255,255,0.03)" };
+const cellSize = (rounds) => (rounds <= 90 ? 14 : rounds <= 400 ? 11 : 8);
+const range = (run) => (run.from === run.to ? `round ${run.from}` : `rounds ${run.from}–${run.to}`);
+
+// ── Reward-call reliability heatmap ──
+// One cell per round on the Orchestrator tab, called or missed, over the
+// window chosen here or in Compare. `rel` is the getRewardCallRounds result
+// for this orchestrator with its `called` rounds — or { loading } / { error }.
+export default function ReliabilityHeatmap({ rel, rounds, onRounds, style }) {
+  const header = (
+    <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", marginBottom: 16 }}>
+      <div style={{ ...sectionTitle, marginRight: 8 }}>Reward calls</div>
+      {RELIABILITY_WINDOWS.map((w) => (
+        <ChipTab key={w ?? "all"} label={windowLabel(w)} active={rounds === w} onClick={() => onRounds(w)} color="#ffb84d" />
+      ))}
+    </div>
+  );
+
+  if (!rel?.called) {
+    return (
+      <GlassCard style={{ padding: "24px 32px", marginBottom: 20, ...style }}>
+        {header}
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.3)", padding: "12px 0" }}>
+          {rel?.error ? `Couldn't load reward calls: ${rel.error}` : "Loading reward calls…"}
+        </div>
+      </GlassCard>
+    );
+  }
+
+  const r = reliabilityOf(rel.called, { currentRound: rel.currentRound, window: rounds });
+  if (r.from == null) {
+    return (
+      <GlassCard style={{ padding: "24px 32px", marginBottom: 20, ...style }}>
+        {header}
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.3)", padding: "12px 0" }}>This orchestrator has never called reward.</div>
+      </GlassCard>
+    );
+  }
+  const s = streaks(rel.called, r);
+  const called = new Set(rel.called);
+  const ts = (round) => (rel.timing?.currentRoundStart ? roundStartsAt(rel.timing, round) : null);
+  const size = cellSize(r.total);
+
+  // Columns of ROWS rounds, oldest first; a month label over the first column
+  // that starts in it
+  const columns = [];
+  for (let start = r.from; start <= r.to; start += ROWS) {
+    const cells = [];
+    for (let round = start; round < start + ROWS; round++) {
+      const state = round > r.to ? null : called.has(round) ? "called" : round === r.to ? "pending" : "missed";
+      cells.push({ round, state });
+    }
+    const t = ts(start);
+    const month = t ? fmtM(t) : null;
+    columns.push({ start, cells, label: month && month !== (columns.length ? columns[columns.length - 1].month : null) ? month : "", month });
+  }
+
+  return (
+    <GlassCard style={{ padding: "24px 32px", marginBottom: 20, ...style }}>
+      {header}
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginBottom: 20 }}>
+        <StatCard label="Reliability" color={r.pct >= 90 ? "#00e88c" : r.pct >= 70 ? "#ffb84d" : "#ff5c7c"} sub={`${fmtN(r.called, 0)} of ${fmtN(r.total, 0)} rounds${rounds ? "" : ` since round ${r.from}`}`}>
+          {r.pct}%
+        </StatCard>
+        <StatCard label="Longest streak" color="#00e88c" sub={s.longest.length ? range(s.longest) : "no calls in this window"}>
+          {fmtN(s.longest.length, 0)}
+        </StatCard>
+        <StatCard label="Longest outage" color={s.outage.length ? "#ff5c7c" : "#00e88c"} sub={s.outage.length ? range(s.outage) : "never missed in this window"}>
+          {fmtN(s.outage.length, 0)}
+        </StatCard>
+        <StatCard
+          label="Current streak"
+          color={s.current.called ? "#00e88c" : "#ff5c7c"}
+          sub={`${s.current.called ? "rounds called in a row" : "rounds missed in a row"}${s.current.pending ? " · this round not called yet" : ""}`}
+        >
+          {fmtN(s.current.length, 0)}
+        </StatCard>
+      </div>
+
+      <div style={{ overflowX: "auto", paddingBottom: 4 }}>
+        <div style={{ display: "flex", gap: 2, width: "max-content" }}>
+          {columns.map((col) => (
+            <div key={col.start} style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+              <div style={{ height: 14, width: size, fontSize: 9, color: "rgba(255,255,255,0.3)", whiteSpace: "nowrap", overflow: "visible" }}>{col.label}</div>
+              {col.cells.map((c) => (
+                <div
+                  key={c.round}
+                  title={c.state ? `Round ${c.round}${ts(c.round) ? ` · ${fmtD(ts(c.round))}` : ""} · ${c.state === "pending" ? "not called yet" : c.state}` : undefined}
+                  style={{
+                    width: size, height: size, borderRadius: 2,
+                    background: c.state ? CELL[c.state] : CELL.none,
+                    outline: c.state === "pending" ? "1px dashed rgba(255,255,255,0.3)" : "none",
+                    outlineOffset: -1,
+                  }}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: 14, alignItems: "center", flexWrap: "wrap", marginTop: 12, fontSize: 10, color: "rgba(255,255,255,0.3)" }}>
+        {[["called", "Called"], ["missed", "Missed"], ["pending", "Current round, not called yet"]].map(([k, label]) => (
+          <span key={k} style={{ display: "flex", alignItems: "center", gap: 5 }}>
+            <span style={{ width: 10, height: 10, borderRadius: 2, background: CELL[k] }} />
+            {label}
+          </span>
+        ))}
+        <span>· One cell per round, seven to a column</span>
+        {!rounds && <span>· From its first reward call{ts(r.from) ? `, ${fmtD(ts(r.from))}` : ""}</span>}
+      </div>
+    </GlassCard>
+  );
+}
@@ -0,0 +1,143 @@
+import { useState } from "react";
+import { ComposedChart, Area, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
+import { GlassCard, ChipTab } from "./ui";
+import { defaultScenarios, projectBands } from "../lib/projection";
+import { fmtAddr, fmtN } from "../lib/format";
+
+const label = { fontSize: 9, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em", marginBottom: 4 };
+const select = { padding: "6px 10px", borderRadius: 8, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", color: "#fff", fontSize: 12, outline: "none" };
+const input = { ...select, width: 64, fontFamily: "'Space Mono', monospace", textAlign: "right" };
+const TH = { padding: "8px 12px", color: "rgba(255,255,255,0.35)", fontWeight: 600, fontSize: 10, textTransform: "uppercase", letterSpacing: "0.1em", textAlign: "right" };
+const TD = { padding: "8px 12px", textAlign: "right" };
+
+const SCENARIOS = [
+  { key: "optimistic", label: "Optimistic", color: "#00e88c" },
+  { key: "base", label: "Base", color: "#64a0ff" },
+  { key: "pessimistic", label: "Pessimistic", color: "#ff6b9d" },
+];
+// Scenario fields as shown: participation is a fraction underneath
+const FIELDS = [
+  { key: "participation", label: "Participation %", toView: (v) => +(v * 100).toFixed(2), fromView: (v) => v / 100 },
+  { key: "rewardCut", label: "Reward cut %", toView: (v) => +v.toFixed(2), fromView: (v) => v },
+  { key: "reliability", label: "Reliability %", toView: (v) => +v.toFixed(0), fromView: (v) => v },
+];
+
+// ── Stake projection ──
+// Compounds the stake round by round for 1–5 years under a moving inflation
+// rate (see projection.js), for three editable scenarios. Edits belong to the
+// orchestrator they were made for; picking another starts from its defaults.
+export default function StakeProjection({ orchestrators, protocol, roundsPerYear, stake, currentOrchId, ensNames, style }) {
+  const [orchId, setOrchId] = useState(currentOrchId && orchestrators.some((o) => o.id === currentOrchId) ? currentOrchId : orchestrators[0]?.id);
+  const [years, setYears] = useState(3);
+  const [edited, setEdited] = useState(null);
+  // Inputs are uncontrolled so half-typed numbers survive; bumping this remounts them on reset
+  const [resets, setResets] = useState(0);
+
+  const orch = orchestrators.find((o) => o.id === orchId);
+  const scenarios = edited?.orchId === orchId ? edited.scenarios : defaultScenarios(protocol, orch);
+  const { points, scenarios: runs } = projectBands({ stake, protocol, roundsPerYear, years }, scenarios);
+  const name = (id) => ensNames[id] || fmtAddr(id);
+
+  function edit(scenario, field, value) {
+    const n = Number(value);
+    if (value === "" || !Number.isFinite(n) || n < 0 || n > 100) return;
+    setEdited({ orchId, scenarios: { ...scenarios, [scenario]: { ...scenarios[scenario], [field.key]: field.fromView(n) } } });
+  }
+
+  const staticEstimate = orch ? stake * (orch.rewardAPY / 100) * years : 0;
+  const inflationEnd = points[points.length - 1].inflation;
+
+  return (
+    <GlassCard style={{ padding: "28px 32px", marginTop: 16, ...style }}>
+      <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 6 }}>
+        Stake projection — dynamic inflation
+      </div>
+      <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginBottom: 20, maxWidth: 680 }}>
+        Inflation moves {(protocol.inflationChange / 1e7).toFixed(5)}% per round toward the {(protocol.targetBondingRate / 1e7).toFixed(0)}% participation target — up while participation is below it, down while above.
+        Starting from {fmtN(stake)} LPT, each scenario's participation is reached over the first year and rewards compound every round. Reliability scales rewards by the share of rounds the orchestrator calls reward.
+      </div>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 20 }}>
+        <div>
+          <div style={label}>Orchestrator</div>
+          <select value={orchId} onChange={(e) => setOrchId(e.target.value)} style={{ ...select, maxWidth: 260 }}>
+            {orchestrators.map((o) => (
+              <option key={o.id} value={o.id}>{name(o.id)}{o.id === currentOrchId ? " (yours)" : ""} — cut {(o.rewardCut / 10000).toFixed(1)}%</option>
+            ))}
+          </select>
+        </div>
+        <div style={{ display: "flex", gap: 6 }}>
+          {[1, 2, 3, 4, 5].map((y) => (
+            <ChipTab key={y} label={`${y}y`} active={years === y} onClick={() => setYears(y)} color="#64a0ff" />
+          ))}
+        </div>
+        {edited?.orchId === orchId && (
+          <button onClick={() => { setEdited(null); setResets((n) => n + 1); }} style={{ padding: "6px 12px", borderRadius: 6, border: "1px solid rgba(255,255,255,0.08)", background: "transparent", color: "rgba(255,255,255,0.5)", fontSize: 9, fontWeight: 700, cursor: "pointer", letterSpacing: "0.04em", textTransform: "uppercase" }}>
+            Reset scenarios
+          </button>
+        )}
+      </div>
+
+      <div style={{ overflowX: "auto", marginBottom: 20 }}>
+        <table style={{ borderCollapse: "collapse", fontFamily: "'Space Mono', monospace", fontSize: 12 }}>
+          <thead>
+            <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+              <th style={{ ...TH, textAlign: "left" }}>Scenario</th>
+              {FIELDS.map((f) => <th key={f.key} style={TH}>{f.label}</th>)}
+              <th style={TH}>Stake in {years}y</th>
+              <th style={TH}>Earned</th>
+            </tr>
+          </thead>
+          <tbody>
+            {SCENARIOS.map((s) => (
+              <tr key={s.key} style={{ borderBottom: "1px solid rgba(255,255,255,0.03)" }}>
+                <td style={{ ...TD, textAlign: "left", color: s.color, fontWeight: 700 }}>{s.label}</td>
+                {FIELDS.map((f) => (
+                  <td key={f.key} style={TD}>
+                    <input
+                      key={`${orchId}-${resets}`}
+                      type="number" min={0} max={100} step="any"
+                      defaultValue={f.toView(scenarios[s.key][f.key])}
+                      onChange={(e) => edit(s.key, f, e.target.value)}
+                      style={input}
+                    />
+                  </td>
+                ))}
+                <td style={{ ...TD, color: "#fff", fontWeight: 700 }}>{fmtN(runs[s.key].finalStake)}</td>
+                <td style={{ ...TD, color: s.color }}>+{fmtN(runs[s.key].earned)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <ResponsiveContainer width="100%" height={260}>
+        <ComposedChart data={points}>
+          <XAxis dataKey="years" type="number" domain={[0, years]} tickCount={years + 1} tick={{ fill: "rgba(255,255,255,0.3)", fontSize: 9, fontFamily: "Space Mono" }} axisLine={false} tickLine={false} tickFormatter={(v) => `${v.toFixed(0)}y`} />
+          <YAxis tick={{ fill: "rgba(255,255,255,0.3)", fontSize: 9, fontFamily: "Space Mono" }} axisLine={false} tickLine={false} width={60} domain={["auto", "auto"]} tickFormatter={(v) => fmtN(v, 0)} />
+          <Tooltip content={({ active, payload }) => {
+            if (!active || !payload?.length) return null;
+            const p = payload[0].payload;
+            return (
+              <div style={{ background: "rgba(6,6,14,0.97)", border: "1px solid rgba(255,255,255,0.1)", borderRadius: 12, padding: "12px 16px", boxShadow: "0 12px 40px rgba(0,0,0,0.6)", fontFamily: "'Space Mono', monospace" }}>
+                <div style={{ fontSize: 10, color: "rgba(255,255,255,0.4)", marginBottom: 6, fontWeight: 600 }}>Year {p.years.toFixed(2)} · base inflation {p.inflation.toFixed(4)}%/round</div>
+                {SCENARIOS.map((s) => (
+                  <div key={s.key} style={{ fontSize: 12, fontWeight: 700, color: s.color }}>{s.label}: {fmtN(p[s.key])} LPT</div>
+                ))}
+              </div>
+            );
+          }} />
+          <Area type="monotone" dataKey="band" stroke="none" fill="#64a0ff" fillOpacity={0.12} isAnimationActive={false} />
+          <Line type="monotone" dataKey="optimistic" stroke="#00e88c" strokeWidth={1} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+          <Line type="monotone" dataKey="base" stroke="#64a0ff" strokeWidth={2} dot={false} isAnimationActive={false} />
+          <Line type="monotone" dataKey="pessimistic" stroke="#ff6b9d" strokeWidth={1} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginTop: 10 }}>
+        For comparison, the table's static APY gives +{fmtN(staticEstimate)} LPT over {years} year{years === 1 ? "" : "s"} without compounding.
+        Base-case inflation ends at {inflationEnd.toFixed(4)}%/round (now {(protocol.inflation / 1e7).toFixed(4)}%).
+      </div>
+    </GlassCard>
+  );
+}
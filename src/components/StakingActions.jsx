@@ -0,0 +1,68 @@
+import { useState } from "react";
+import { GlassCard } from "./ui";
+import { pendingFeesWei, pendingStakeWei, withdrawFeesTx, unbondTx } from "../lib/wallet";
+import { pendingFees as pendingFeesOf } from "../lib/livepeer";
+import { fmtN, parseUnits, formatUnits } from "../lib/format";
+
+const btn = { padding: "8px 14px", borderRadius: 8, border: "1px solid rgba(255,255,255,0.1)", background: "transparent", color: "rgba(255,255,255,0.6)", fontSize: 11, fontWeight: 700, cursor: "pointer", letterSpacing: "0.04em", textTransform: "uppercase" };
+const label = { fontSize: 9, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em", marginBottom: 6 };
+
+// ── Staking actions ──
+// Shown when the connected wallet is the delegator on screen. Amounts that mean
+// "everything" are read from BondingManager through the wallet in exact wei;
+// `onTx` hands the built transaction to the confirmation dialog.
+export default function StakingActions({ provider, account, position, onTx, style }) {
+  const [amount, setAmount] = useState("");
+  const [error, setError] = useState("");
+  const pendingFees = pendingFeesOf(position);
+
+  const run = (fn) => async () => {
+    setError("");
+    try { await fn(); } catch (err) { setError(err.message); }
+  };
+
+  const withdrawFees = run(async () => {
+    const wei = await pendingFeesWei(provider, account, position.currentRound);
+    if (wei === 0n) throw new Error("There are no fees to withdraw");
+    onTx(withdrawFeesTx(account, wei));
+  });
+  const maxUnbond = run(async () => setAmount(formatUnits(await pendingStakeWei(provider, account, position.currentRound))));
+  const unbond = run(async () => {
+    const wei = parseUnits(amount);
+    if (wei === 0n) throw new Error("Enter an amount of LPT to unbond");
+    onTx(unbondTx(wei));
+  });
+
+  return (
+    <GlassCard glow="#00e88c" style={{ padding: "24px 32px", marginBottom: 20, ...style }}>
+      <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 16 }}>Staking actions</div>
+      <div style={{ display: "flex", gap: 32, flexWrap: "wrap", alignItems: "flex-end" }}>
+        <div>
+          <div style={label}>Pending fees</div>
+          <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+            <span style={{ fontFamily: "'Space Mono', monospace", fontWeight: 700, color: "#c77dff" }}>{fmtN(pendingFees, 6)} ETH</span>
+            <button onClick={withdrawFees} disabled={pendingFees <= 0} style={{ ...btn, opacity: pendingFees > 0 ? 1 : 0.4 }}>Withdraw fees</button>
+          </div>
+        </div>
+        <div>
+          <div style={label}>Unbond LPT</div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <input
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="0.0"
+              inputMode="decimal"
+              style={{ width: 160, padding: "8px 12px", borderRadius: 8, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", color: "#fff", fontSize: 13, fontFamily: "'Space Mono', monospace", outline: "none" }}
+            />
+            <button onClick={maxUnbond} style={btn}>Max</button>
+            <button onClick={unbond} disabled={!amount} style={{ ...btn, color: "#ff6b9d", borderColor: "rgba(255,107,157,0.3)", opacity: amount ? 1 : 0.4 }}>Unbond</button>
+          </div>
+        </div>
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.35)", maxWidth: 260 }}>
+          To move your stake, pick an orchestrator in the Compare tab. Withdraw and rebond buttons sit on each unbonding lock.
+        </div>
+      </div>
+      {error && <div style={{ marginTop: 14, fontSize: 12, color: "#ff5c5c" }}>{error}</div>}
+    </GlassCard>
+  );
+}
@@ -0,0 +1,135 @@
+import { useState } from "react";
+import { GlassCard } from "./ui";
+import { buildTaxReport, taxReportCSV, FIATS, TAX_YEARS, TAX_EXPORTS } from "../lib/tax";
+import { listPriceSources } from "../lib/prices";
+import { downloadFile } from "../lib/export";
+import { fmtN } from "../lib/format";
+
+const label = { fontSize: 9, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em", marginBottom: 4 };
+const select = { padding: "6px 10px", borderRadius: 8, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", color: "#fff", fontSize: 12, outline: "none" };
+const btn = { padding: "6px 12px", borderRadius: 6, border: "1px solid rgba(255,255,255,0.08)", background: "transparent", color: "rgba(255,255,255,0.5)", fontSize: 9, fontWeight: 700, cursor: "pointer", letterSpacing: "0.04em", textTransform: "uppercase" };
+const TH = { padding: "10px 14px", color: "rgba(255,255,255,0.35)", fontWeight: 600, fontSize: 10, textTransform: "uppercase", letterSpacing: "0.1em", textAlign: "right" };
+const TD = { padding: "12px 14px", textAlign: "right" };
+
+// ── Staking income / tax report ──
+// Values each claim at that day's price and totals it per tax year. Built on
+// demand — it calls a third-party price API for every claim day it hasn't
+// cached yet.
+export default function TaxReport({ address, claims, claimsComplete, style }) {
+  const sources = listPriceSources();
+  const [fiat, setFiat] = useState("USD");
+  const [yearStart, setYearStart] = useState("calendar");
+  const [source, setSource] = useState(sources[0].id);
+  const [report, setReport] = useState(null);
+  const [building, setBuilding] = useState(false);
+  const [error, setError] = useState("");
+
+  async function build() {
+    setBuilding(true);
+    setError("");
+    try {
+      setReport(await buildTaxReport(claims, { fiat, yearStart, source }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBuilding(false);
+    }
+  }
+
+  function exportReport(layout, taxYear) {
+    const suffix = taxYear ? `-${taxYear.replace("/", "-")}` : "";
+    downloadFile(`livepeer-income-${address.slice(0, 8)}${suffix}-${layout}.csv`, taxReportCSV(report, layout, taxYear));
+  }
+
+  // Changing an option invalidates the report on screen
+  const change = (setter) => (e) => { setter(e.target.value); setReport(null); };
+  const showFiat = report && report.fiat !== "USD";
+
+  return (
+    <GlassCard style={{ padding: "28px 32px", marginBottom: 20, ...style }}>
+      <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 6 }}>
+        Income report — claims valued at the day's price
+      </div>
+      <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginBottom: 20, maxWidth: 640 }}>
+        Each claim's LPT and ETH is valued at the closing price on the (UTC) day it was claimed. Figures are a starting point for your own tax treatment, not advice.
+        {!claimsComplete && <span style={{ color: "#ffb84d" }}> Claim history was capped, so the oldest claims are missing.</span>}
+      </div>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 20 }}>
+        <div>
+          <div style={label}>Currency</div>
+          <select value={fiat} onChange={change(setFiat)} style={select}>
+            {FIATS.map((f) => <option key={f} value={f}>{f}</option>)}
+          </select>
+        </div>
+        <div>
+          <div style={label}>Tax year starts</div>
+          <select value={yearStart} onChange={change(setYearStart)} style={select}>
+            {Object.entries(TAX_YEARS).map(([k, y]) => <option key={k} value={k}>{y.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <div style={label}>Price source</div>
+          <select value={source} onChange={change(setSource)} style={select}>
+            {sources.map((s) => <option key={s.id} value={s.id}>{s.label} — {s.note}</option>)}
+          </select>
+        </div>
+        <button onClick={build} disabled={building || !claims.length} style={{ ...btn, color: "#00e88c", borderColor: "rgba(0,232,140,0.3)", cursor: building ? "wait" : "pointer" }}>
+          {building ? "Fetching prices…" : report ? "Rebuild" : "Build report"}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ padding: "10px 14px", background: "rgba(255,92,92,0.08)", border: "1px solid rgba(255,92,92,0.15)", borderRadius: 8, color: "#ff5c5c", fontSize: 12, marginBottom: 16 }}>{error}</div>
+      )}
+
+      {report && (
+        <>
+          {report.missingPrices > 0 && (
+            <div style={{ fontSize: 12, color: "#ffb84d", marginBottom: 12 }}>
+              ⚠ No price for {report.missingPrices} claim{report.missingPrices === 1 ? "" : "s"} — their value is left blank in exports. Try another price source.
+            </div>
+          )}
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'Space Mono', monospace", fontSize: 13 }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+                  <th style={{ ...TH, textAlign: "left" }}>Tax year</th>
+                  <th style={TH}>Claims</th>
+                  <th style={TH}>LPT</th>
+                  <th style={TH}>ETH</th>
+                  <th style={TH}>USD</th>
+                  {showFiat && <th style={TH}>{report.fiat}</th>}
+                  <th style={TH}>Export</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.years.map((y) => (
+                  <tr key={y.taxYear} style={{ borderBottom: "1px solid rgba(255,255,255,0.03)" }}>
+                    <td style={{ ...TD, textAlign: "left", color: "#fff", fontWeight: 700 }}>{y.taxYear}</td>
+                    <td style={{ ...TD, color: "rgba(255,255,255,0.5)" }}>{y.claims}</td>
+                    <td style={{ ...TD, color: "#00e88c" }}>{fmtN(y.lpt)}</td>
+                    <td style={{ ...TD, color: "#c77dff" }}>{fmtN(y.eth, 5)}</td>
+                    <td style={{ ...TD, color: "#fff" }}>${fmtN(y.usd)}{y.missing > 0 && <span style={{ color: "#ffb84d" }}> *</span>}</td>
+                    {showFiat && <td style={{ ...TD, color: "#fff" }}>{fmtN(y.fiatValue)} {report.fiat}</td>}
+                    <td style={{ ...TD, whiteSpace: "nowrap" }}>
+                      {TAX_EXPORTS.map((x) => (
+                        <button key={x.id} onClick={() => exportReport(x.id, y.taxYear)} style={{ ...btn, marginLeft: 6, padding: "3px 8px" }}>{x.label}</button>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 16, flexWrap: "wrap" }}>
+            <span style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>All years:</span>
+            {TAX_EXPORTS.map((x) => (
+              <button key={x.id} onClick={() => exportReport(x.id)} style={btn}>{x.label}</button>
+            ))}
+          </div>
+        </>
+      )}
+    </GlassCard>
+  );
+}
@@ -0,0 +1,99 @@
+import { useState, useEffect } from "react";
+import { GlassCard } from "./ui";
+import { preflight, sendTx, explorerTxUrl } from "../lib/wallet";
+import { fmtAddr, fmtN } from "../lib/format";
+
+const btn = { padding: "10px 20px", borderRadius: 10, border: "1px solid rgba(255,255,255,0.1)", background: "transparent", color: "rgba(255,255,255,0.6)", fontSize: 13, fontWeight: 700, cursor: "pointer" };
+
+const STATUS = {
+  estimating: { color: "rgba(255,255,255,0.5)", text: "Simulating the transaction and estimating gas…" },
+  ready: { color: "#00e88c", text: "Simulation passed — confirm to sign it in your wallet." },
+  signing: { color: "#ffb84d", text: "Waiting for your signature in the wallet…" },
+  pending: { color: "#64a0ff", text: "Submitted — waiting for it to be mined…" },
+  confirmed: { color: "#00e88c", text: "✓ Confirmed. The dashboard refreshes once the subgraph has indexed it." },
+  failed: { color: "#ff5c5c", text: "✗ The transaction was mined but reverted." },
+};
+
+// ── Transaction confirmation ──
+// Pre-flight summary and gas estimate for one wallet.js transaction, then the
+// signing → pending → confirmed / failed flow. Nothing is sent until Confirm.
+export default function TxDialog({ provider, account, tx, onClose, onConfirmed }) {
+  const [status, setStatus] = useState("estimating");
+  const [gas, setGas] = useState(null);
+  const [hash, setHash] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let live = true;
+    preflight(provider, account, tx)
+      .then((g) => { if (live) { setGas(g); setStatus("ready"); } })
+      .catch((err) => { if (live) setError(err.message); });
+    return () => { live = false; };
+  }, [provider, account, tx]);
+
+  async function confirm() {
+    setError("");
+    try {
+      const result = await sendTx(provider, account, tx, {
+        gasLimit: gas.gasLimit,
+        onStatus: (s) => { setStatus(s.status); if (s.hash) setHash(s.hash); },
+      });
+      if (result.status === "confirmed") onConfirmed?.(result);
+    } catch (err) {
+      setError(err.message);
+      // A rejected signature can simply be retried
+      setStatus((s) => (s === "signing" ? "ready" : s));
+    }
+  }
+
+  const busy = status === "signing" || status === "pending";
+  const done = status === "confirmed" || status === "failed";
+
+  return (
+    <div
+      onClick={() => !busy && onClose()}
+      style={{ position: "fixed", inset: 0, zIndex: 200, background: "rgba(3,3,8,0.75)", backdropFilter: "blur(6px)", display: "flex", alignItems: "center", justifyContent: "center", padding: 20 }}
+    >
+      <GlassCard glow="#00e88c" onClick={(e) => e.stopPropagation()} style={{ padding: "28px 32px", width: "100%", maxWidth: 520 }}>
+        <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 6 }}>Confirm transaction</div>
+        <div style={{ fontSize: 22, fontWeight: 800, color: "#fff", marginBottom: 20 }}>{tx.title}</div>
+
+        <div style={{ display: "grid", gridTemplateColumns: "auto 1fr", gap: "8px 16px", fontSize: 13, marginBottom: 20 }}>
+          {tx.summary.map(([label, value]) => (
+            <Row key={label} label={label} value={value} />
+          ))}
+          <Row label="From" value={account} mono />
+          <Row label="Contract" value={`BondingManager ${fmtAddr(tx.to)}`} mono />
+          <Row label="Network fee" value={gas ? `≈ ${fmtN(Number(gas.fee), 7)} ETH (${gas.gasLimit.toLocaleString("en-US")} gas)` : "—"} mono />
+        </div>
+
+        <div style={{ fontSize: 12, color: error ? "#ff5c5c" : STATUS[status].color, marginBottom: 20, minHeight: 18 }}>
+          {error || STATUS[status].text}
+          {hash && (
+            <> · <a href={explorerTxUrl(hash)} target="_blank" rel="noopener" style={{ color: "#64a0ff" }}>{fmtAddr(hash)} on Arbiscan</a></>
+          )}
+        </div>
+
+        <div style={{ display: "flex", gap: 10, justifyContent: "flex-end" }}>
+          <button onClick={onClose} disabled={busy} style={{ ...btn, cursor: busy ? "not-allowed" : "pointer", opacity: busy ? 0.4 : 1 }}>{done ? "Close" : "Cancel"}</button>
+          {!done && (
+            <button
+              onClick={confirm}
+              disabled={status !== "ready"}
+              style={{ ...btn, border: "none", background: status === "ready" ? "linear-gradient(135deg, #00e88c, #00c8a0)" : "rgba(255,255,255,0.06)", color: status === "ready" ? "#06060e" : "rgba(255,255,255,0.3)", cursor: status === "ready" ? "pointer" : "default" }}
+            >
+              {busy ? "Working…" : "Confirm in wallet"}
+            </button>
+          )}
+        </div>
+      </GlassCard>
+    </div>
+  );
+}
+
+const Row = ({ label, value, mono }) => (
+  <>
+    <span style={{ color: "rgba(255,255,255,0.35)" }}>{label}</span>
+    <span style={{ color: "rgba(255,255,255,0.8)", wordBreak: "break-all", fontFamily: mono ? "'Space Mono', monospace" : undefined, fontSize: mono ? 12 : 13 }}>{value}</span>
+  </>
+);
@@ -0,0 +1,46 @@
+import { useState } from "react";
+import { GlassCard } from "./ui";
+import { diffSnapshots } from "../lib/visits";
+import { fmtDT, fmtDur, fmtN } from "../lib/format";
+
+const select = { padding: "4px 8px", borderRadius: 6, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)", color: "#fff", fontSize: 11, outline: "none" };
+const TONE = { up: "#00e88c", down: "#ff5c7c", same: "rgba(255,255,255,0.7)" };
+
+// ── What changed since the last visit ──
+// `earlier` are this address's saved snapshots (oldest first, see visits.js),
+// `now` the one for what's on screen. Compares against the newest by default;
+// any earlier one can be picked.
+export default function VisitChanges({ earlier, now, position, onDismiss, style }) {
+  const [pick, setPick] = useState(earlier.length - 1);
+  const before = earlier[Math.min(pick, earlier.length - 1)];
+  const { elapsed, rounds, changes } = diffSnapshots(before, now, position);
+
+  return (
+    <GlassCard style={{ padding: "20px 28px", marginBottom: 20, ...style }}>
+      <div style={{ display: "flex", gap: 12, alignItems: "baseline", flexWrap: "wrap", marginBottom: 14 }}>
+        <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em" }}>
+          {pick === earlier.length - 1 ? "Since your last visit" : "Since"}
+        </div>
+        <select value={pick} onChange={(e) => setPick(Number(e.target.value))} style={select}>
+          {earlier.map((v, i) => (
+            <option key={v.ts} value={i}>{fmtDT(v.ts)}{i === earlier.length - 1 ? " (last visit)" : ""}</option>
+          ))}
+        </select>
+        <span style={{ fontSize: 11, color: "rgba(255,255,255,0.35)" }}>
+          {fmtDur(elapsed)} ago{rounds > 0 ? ` · ${fmtN(rounds, 0)} round${rounds === 1 ? "" : "s"}` : ""}
+        </span>
+        <div style={{ flex: 1 }} />
+        <button onClick={onDismiss} style={{ padding: "4px 10px", borderRadius: 8, border: "1px solid rgba(255,255,255,0.1)", background: "transparent", color: "rgba(255,255,255,0.5)", fontSize: 10, fontWeight: 700, cursor: "pointer" }}>✕</button>
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))", gap: 10 }}>
+        {changes.map((c) => (
+          <div key={c.key} style={{ padding: "10px 14px", borderRadius: 10, background: "rgba(255,255,255,0.02)", border: "1px solid rgba(255,255,255,0.04)" }}>
+            <div style={{ fontSize: 9, fontWeight: 700, color: "rgba(255,255,255,0.3)", textTransform: "uppercase", letterSpacing: "0.1em", marginBottom: 4 }}>{c.label}</div>
+            <div style={{ fontSize: 15, fontWeight: 700, color: TONE[c.tone], fontFamily: "'Space Mono', monospace" }}>{c.value}</div>
+            {c.detail && <div style={{ fontSize: 11, color: "rgba(255,255,255,0.4)", marginTop: 4, lineHeight: 1.5 }}>{c.detail}</div>}
+          </div>
+        ))}
+      </div>
+    </GlassCard>
+  );
+}
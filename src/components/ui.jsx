@@ -0,0 +1,113 @@
+// ── Shared UI primitives ──
+// The glass-card look used by every view of the dashboard.
+
+import { useState, useEffect, useRef } from "react";
+import { fmtN, fmtCountdown } from "../lib/format";
+
+// ── Animated counter ──
+export function AnimNum({ value, decimals = 2, prefix = "", suffix = "" }) {
+  const [display, setDisplay] = useState(0);
+  const ref = useRef(null);
+  useEffect(() => {
+    const target = Number(value) || 0;
+    const start = display;
+    const dur = 1200;
+    const t0 = performance.now();
+    const tick = (now) => {
+      const p = Math.min((now - t0) / dur, 1);
+      const ease = 1 - Math.pow(1 - p, 3);
+      setDisplay(start + (target - start) * ease);
+      if (p < 1) ref.current = requestAnimationFrame(tick);
+    };
+    ref.current = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(ref.current);
+  }, [value]);
+  return <span>{prefix}{fmtN(display, decimals)}{suffix}</span>;
+}
+
+// ── Live countdown ──
+// Ticks every second down to `to` (unix seconds), then shows `done`.
+export function Countdown({ to, done = "now" }) {
+  const [now, setNow] = useState(() => Date.now() / 1000);
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now() / 1000), 1000);
+    return () => clearInterval(id);
+  }, []);
+  return <span style={{ fontVariantNumeric: "tabular-nums" }}>{to > now ? fmtCountdown(to - now) : done}</span>;
+}
+
+// ── Glass card ──
+export const GlassCard = ({ children, style = {}, glow, ...props }) => (
+  <div style={{
+    background: "linear-gradient(135deg, rgba(255,255,255,0.03) 0%, rgba(255,255,255,0.01) 100%)",
+    backdropFilter: "blur(24px)", WebkitBackdropFilter: "blur(24px)",
+    border: "1px solid rgba(255,255,255,0.06)",
+    borderRadius: 20,
+    boxShadow: glow
+      ? `0 0 30px ${glow}15, 0 4px 24px rgba(0,0,0,0.3), inset 0 1px 0 rgba(255,255,255,0.04)`
+      : "0 4px 24px rgba(0,0,0,0.2), inset 0 1px 0 rgba(255,255,255,0.04)",
+    transition: "border-color 0.3s, box-shadow 0.3s, transform 0.3s",
+    ...style,
+  }} {...props}>
+    {children}
+  </div>
+);
+
+// ── Chip tab ──
+export const ChipTab = ({ label, active, onClick, color = "#00e88c" }) => (
+  <button onClick={onClick} style={{
+    padding: "8px 20px", borderRadius: 99,
+    border: active ? `1px solid ${color}55` : "1px solid rgba(255,255,255,0.06)",
+    background: active ? `${color}18` : "rgba(255,255,255,0.02)",
+    color: active ? color : "rgba(255,255,255,0.4)",
+    fontSize: 11, fontWeight: 700, letterSpacing: "0.04em",
+    cursor: "pointer", transition: "all 0.25s ease",
+    boxShadow: active ? `0 0 16px ${color}20` : "none",
+  }}>
+    {label}
+  </button>
+);
+
+// ── Tooltip ──
+export const TT = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div style={{
+      background: "rgba(6,6,14,0.97)", border: "1px solid rgba(255,255,255,0.1)",
+      borderRadius: 12, padding: "12px 16px",
+      boxShadow: "0 12px 40px rgba(0,0,0,0.6), 0 0 20px rgba(0,232,140,0.05)",
+      backdropFilter: "blur(12px)",
+    }}>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.4)", marginBottom: 6, fontWeight: 600 }}>{label}</div>
+      {payload.map((p, i) => (
+        <div key={i} style={{ fontSize: 13, fontWeight: 700, color: p.color || "#00e88c", fontFamily: "'Space Mono', monospace" }}>
+          {p.name}: {typeof p.value === "number" ? p.value.toLocaleString("en-US", { maximumFractionDigits: 6 }) : p.value}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// ── Stat card ──
+export const StatCard = ({ label, children, sub, color = "#00e88c" }) => (
+  <GlassCard glow={color} style={{ padding: "24px 28px", flex: 1, minWidth: 220, position: "relative", overflow: "hidden" }}>
+    <div style={{ position: "absolute", top: 0, left: 0, right: 0, height: 2, background: `linear-gradient(90deg, transparent, ${color}60, transparent)` }} />
+    <div style={{ fontSize: 11, fontWeight: 700, color: "rgba(255,255,255,0.35)", textTransform: "uppercase", letterSpacing: "0.12em", marginBottom: 10 }}>{label}</div>
+    <div style={{ fontSize: 30, fontWeight: 800, color, fontFamily: "'Space Mono', monospace", letterSpacing: "-0.02em" }}>{children}</div>
+    {sub && <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginTop: 6 }}>{sub}</div>}
+  </GlassCard>
+);
+
+// ── Result-set completeness badge ──
+export const Completeness = ({ complete, count, noun = "results" }) => (
+  <span
+    title={complete ? `All ${count} ${noun} loaded` : `Stopped at ${count} ${noun} — older ${noun} are not shown`}
+    style={{
+      marginLeft: 10, fontSize: 9, fontWeight: 700, padding: "2px 7px", borderRadius: 4, letterSpacing: "0.06em", verticalAlign: "middle",
+      color: complete ? "#00e88c" : "#ffb84d",
+      background: complete ? "rgba(0,232,140,0.1)" : "rgba(255,184,77,0.12)",
+    }}
+  >
+    {complete ? "COMPLETE" : `CAPPED AT ${count}`}
+  </span>
+);
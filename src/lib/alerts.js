@@ -0,0 +1,239 @@
+// ── Orchestrator alerts ──
+// Compares a fresh getWatchSnapshot against what the previous check saw and
+// reports what changed: a reward-cut / fee-share update, reward calls falling
+// behind, an orchestrator leaving the active set, its stake dropping sharply,
+// an unbonding lock becoming withdrawable. No UI and no timers here — the
+// dashboard polls it and raises browser notifications, `livepeer alerts` polls
+// it and delivers through sinks.js; the same rules and state shapes work for both.
+//
+//   checkAlerts(rules, state)     → { alerts, state }   (state is JSON-safe; persist it)
+//   checkWatchList(rules, state)  → the same for several delegators at once, plus errors
+//
+// Conditions (behind, withdrawable) alert once when they start; history (cut
+// changes, leaving the set) needs a previous check, so the first check for an
+// orchestrator only records a baseline.
+
+import { getWatchSnapshot } from "./livepeer.js";
+import { fmtAddr, fmtN } from "./format.js";
+
+export const ALERT_TYPES = {
+  cutChange: { label: "Reward cut or fee share changed", color: "#ff6b9d" },
+  rewardBehind: { label: "Reward calls fell behind", color: "#ffb84d" },
+  leftActiveSet: { label: "Left the active set", color: "#ff5c5c" },
+  lockWithdrawable: { label: "Unbonding lock withdrawable", color: "#00e88c" },
+  stakeDrop: { label: "Stake dropped sharply", color: "#c77dff" },
+};
+
+// delegator: whose delegate and locks to watch ("" for none)
+// followDelegate: watch that delegator's current delegate, whoever it is
+// orchestrators: extra orchestrator addresses to watch
+// missedRounds: full rounds without a reward call before rewardBehind fires
+// stakeDropPct: fall in an orchestrator's total stake, from its highest since
+//   the last stakeDrop alert, that counts as large
+export const DEFAULT_RULES = {
+  enabled: false,
+  delegator: "",
+  followDelegate: true,
+  orchestrators: [],
+  types: Object.fromEntries(Object.keys(ALERT_TYPES).map((t) => [t, true])),
+  missedRounds: 1,
+  stakeDropPct: 10,
+  pollMinutes: 10,
+};
+
+const ADDRESS = /^0x[a-f0-9]{40}$/;
+
+export function normalizeRules(rules = {}) {
+  const r = { ...DEFAULT_RULES, ...rules, types: { ...DEFAULT_RULES.types, ...rules.types } };
+  const delegator = String(r.delegator || "").trim().toLowerCase();
+  return {
+    ...r,
+    enabled: Boolean(r.enabled),
+    delegator: ADDRESS.test(delegator) ? delegator : "",
+    orchestrators: [...new Set((r.orchestrators || []).map((a) => String(a).trim().toLowerCase()).filter((a) => ADDRESS.test(a)))],
+    missedRounds: Math.max(1, Math.round(Number(r.missedRounds)) || DEFAULT_RULES.missedRounds),
+    stakeDropPct: Math.min(100, Math.max(1, Number(r.stakeDropPct) || DEFAULT_RULES.stakeDropPct)),
+    pollMinutes: Math.max(1, Number(r.pollMinutes) || DEFAULT_RULES.pollMinutes),
+  };
+}
+
+const alert = (type, key, title, body, extra = {}) => ({ id: `${type}:${key}`, type, ts: Math.floor(Date.now() / 1000), title, body, ...extra });
+
+// The diff itself — pure, so it can be checked against hand-made snapshots.
+// `state` is { delegate, orchs: { [id]: { active, rewardCut, feeShare, cutSeenTs, behind, stakeRef } }, locks: [key] }.
+export function diffSnapshot(rules, state, snap, ids) {
+  const prev = state || {};
+  const alerts = [];
+  const orchs = {};
+  const on = (type) => rules.types[type];
+
+  for (const id of ids) {
+    const t = snap.orchestrators.find((o) => o.id === id);
+    const was = prev.orchs?.[id];
+    const events = snap.cutChanges.filter((e) => e.delegate === id);
+    const name = fmtAddr(id);
+    const now = {
+      active: Boolean(t?.active),
+      rewardCut: t?.rewardCut ?? was?.rewardCut ?? null,
+      feeShare: t?.feeShare ?? was?.feeShare ?? null,
+      cutSeenTs: Math.max(was?.cutSeenTs || 0, ...events.map((e) => e.ts)),
+      behind: false,
+      // High-water mark the next drop is measured from
+      stakeRef: t ? Math.max(was?.stakeRef ?? 0, t.totalStake) : was?.stakeRef ?? null,
+    };
+
+    if (was) {
+      // Oldest first, each compared to the settings before it
+      let from = was;
+      for (const e of events.filter((x) => x.ts > (was.cutSeenTs || 0)).reverse()) {
+        const changes = [];
+        if (from.rewardCut != null && e.rewardCut !== from.rewardCut) changes.push(`reward cut ${fmtN(from.rewardCut)}% → ${fmtN(e.rewardCut)}%`);
+        if (from.feeShare != null && e.feeShare !== from.feeShare) changes.push(`fee share ${fmtN(from.feeShare)}% → ${fmtN(e.feeShare)}%`);
+        if (changes.length && on("cutChange")) {
+          const raised = e.rewardCut > from.rewardCut || e.feeShare < from.feeShare;
+          alerts.push(alert("cutChange", e.id, `${name} ${raised ? "raised its cut" : "changed its cut"}`, changes.join(", "), { orchestrator: id, raised }));
+        }
+        from = e;
+      }
+      if (was.active && !now.active && on("leftActiveSet")) {
+        alerts.push(alert("leftActiveSet", `${id}:${snap.currentRound}`, `${name} left the active set`, "Stake bonded to it earns no rewards or fees until it is back.", { orchestrator: id }));
+      }
+      const drop = t && was.stakeRef > 0 ? ((was.stakeRef - t.totalStake) / was.stakeRef) * 100 : 0;
+      if (drop >= rules.stakeDropPct) {
+        if (on("stakeDrop")) {
+          alerts.push(alert("stakeDrop", `${id}:${snap.currentRound}:${Math.round(t.totalStake)}`, `${name} lost ${fmtN(drop, 1)}% of its stake`,
+            `Total stake fell from ${fmtN(was.stakeRef, 0)} to ${fmtN(t.totalStake, 0)} LPT — delegators are moving their stake out.`, { orchestrator: id }));
+        }
+        now.stakeRef = t.totalStake;
+      }
+    }
+
+    // The current round is still open, so only rounds before it count as missed
+    const missed = t?.lastRewardRound != null ? snap.currentRound - t.lastRewardRound - 1 : null;
+    now.behind = Boolean(now.active && missed != null && missed >= rules.missedRounds);
+    if (now.behind && !was?.behind && on("rewardBehind")) {
+      alerts.push(alert("rewardBehind", `${id}:${t.lastRewardRound}`, `${name} stopped calling reward`,
+        `Last reward call in round ${t.lastRewardRound}; ${missed} full round${missed === 1 ? "" : "s"} missed since.`, { orchestrator: id }));
+    }
+    orchs[id] = now;
+  }
+
+  const withdrawable = snap.locks.filter((l) => l.withdrawRound <= snap.currentRound);
+  const lockKey = (l) => `${rules.delegator}:${l.lockId}:${l.withdrawRound}`;
+  if (on("lockWithdrawable")) {
+    for (const l of withdrawable.filter((x) => !(prev.locks || []).includes(lockKey(x)))) {
+      alerts.push(alert("lockWithdrawable", lockKey(l), `${fmtN(l.amount)} LPT can be withdrawn`, `Unbonding lock #${l.lockId} of ${fmtAddr(rules.delegator)} unlocked in round ${l.withdrawRound}.`, { delegator: rules.delegator }));
+    }
+  }
+
+  return { alerts, state: { delegate: snap.delegate, orchs, locks: withdrawable.map(lockKey), checkedAt: Math.floor(Date.now() / 1000) } };
+}
+
+// One check. Resolves to { alerts, state, watched }; pass `state` back in
+// next time. A delegator who has just redelegated costs a second request, so
+// the new delegate is watched from this check on.
+export async function checkAlerts(rules, state = null) {
+  const r = normalizeRules(rules);
+  const ids = new Set(r.orchestrators);
+  if (r.followDelegate && state?.delegate) ids.add(state.delegate);
+  let snap = await getWatchSnapshot([...ids], r.delegator || null);
+  if (r.followDelegate && snap.delegate && !ids.has(snap.delegate)) {
+    ids.add(snap.delegate);
+    if (state?.delegate && !r.orchestrators.includes(state.delegate)) ids.delete(state.delegate);
+    snap = await getWatchSnapshot([...ids], r.delegator || null);
+  }
+  return { ...diffSnapshot(r, state, snap, [...ids]), watched: [...ids] };
+}
+
+// Several delegators (`rules.delegators`) plus the `rules.orchestrators`, as
+// one check per delegator and one for the orchestrators on their own. State
+// is { watches: { [delegator or "-"]: checkAlerts state }, fired: [id] }: an
+// orchestrator two watches share would otherwise alert twice, so ids already
+// fired are remembered (the newest FIRED_LIMIT) and dropped. A watch whose
+// check fails keeps its old state and is listed in `errors`; the rest go on.
+const FIRED_LIMIT = 1000;
+
+export async function checkWatchList(rules, state = null) {
+  const r = normalizeRules(rules);
+  const delegators = [...new Set((rules.delegators || []).map((a) => normalizeRules({ delegator: a }).delegator).filter(Boolean))];
+  const watches = delegators.map((delegator) => ({ key: delegator, rules: { ...r, delegator, orchestrators: [] } }));
+  if (r.orchestrators.length) watches.push({ key: "-", rules: { ...r, delegator: "", followDelegate: false } });
+
+  const fired = new Set(state?.fired || []);
+  const next = { watches: {}, fired: [] };
+  const alerts = [];
+  const errors = [];
+  const watched = new Set();
+  for (const w of watches) {
+    const prev = state?.watches?.[w.key] || null;
+    let res;
+    try {
+      res = await checkAlerts(w.rules, prev);
+    } catch (err) {
+      errors.push({ watch: w.key, error: err });
+      if (prev) next.watches[w.key] = prev;
+      continue;
+    }
+    next.watches[w.key] = res.state;
+    res.watched.forEach((id) => watched.add(id));
+    for (const a of res.alerts) {
+      if (fired.has(a.id)) continue;
+      fired.add(a.id);
+      alerts.push(a);
+    }
+  }
+  next.fired = [...fired].slice(-FIRED_LIMIT);
+  return { alerts, state: next, watched: [...watched], errors };
+}
+
+// ── Browser persistence ──
+// Rules, last-check state and the alert log live in localStorage, next to the
+// data-source settings. All three are no-ops where there is no localStorage.
+const KEYS = { rules: "livepeer-dashboard:alert-rules", state: "livepeer-dashboard:alert-state", log: "livepeer-dashboard:alert-log" };
+const LOG_LIMIT = 200;
+const storage = () => (typeof localStorage !== "undefined" ? localStorage : null);
+
+function read(key, fallback) {
+  try {
+    return JSON.parse(storage()?.getItem(key) || "null") ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+const write = (key, value) => storage()?.setItem(key, JSON.stringify(value));
+
+export const loadAlertRules = () => normalizeRules(read(KEYS.rules, {}));
+export const saveAlertRules = (rules) => write(KEYS.rules, normalizeRules(rules));
+export const loadAlertState = () => read(KEYS.state, null);
+export const saveAlertState = (state) => write(KEYS.state, state);
+
+// Newest first, capped at LOG_LIMIT. Returns the new log.
+export const loadAlertLog = () => read(KEYS.log, []);
+export function appendAlertLog(alerts) {
+  const log = [...alerts.slice().reverse(), ...loadAlertLog()].slice(0, LOG_LIMIT);
+  write(KEYS.log, log);
+  return log;
+}
+export function clearAlertLog() {
+  storage()?.removeItem(KEYS.log);
+  return [];
+}
+
+// ── Browser notifications ──
+// "unsupported" where there is no Notification API (Node, some mobile browsers).
+export const notificationPermission = () => (typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+
+export async function requestNotificationPermission() {
+  if (typeof Notification === "undefined") return "unsupported";
+  return Notification.requestPermission();
+}
+
+// One notification per alert; `tag` keeps a re-fired alert from stacking.
+export function showNotifications(alerts) {
+  if (notificationPermission() !== "granted") return;
+  for (const a of alerts) {
+    try {
+      new Notification(a.title, { body: a.body, tag: a.id });
+    } catch { /* best-effort — the alert is in the log either way */ }
+  }
+}
@@ -0,0 +1,119 @@
+// ── Persistent response cache ──
+// Subgraph responses are kept in IndexedDB, keyed by subgraph id + query, so
+// reopening the dashboard paints instantly from the previous session instead of
+// re-paying the gateway for the full earnings / rewardEvents / events scans.
+// Falls back to an in-memory Map where IndexedDB is unavailable (private mode,
+// Node scripts).
+
+const DB_NAME = "livepeer-dashboard";
+const STORE = "responses";
+
+const memory = new Map();
+const inflight = new Map();
+const listeners = new Set();
+let dbPromise = null;
+
+function openDB() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDB();
+  if (!db) return undefined;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function emit(event) {
+  listeners.forEach((fn) => {
+    try { fn(event); } catch { /* a broken listener must not break fetching */ }
+  });
+}
+
+// Subscribe to cache activity. Events: { type: "hit" | "stale" | "fetched" |
+// "revalidating" | "revalidated" | "revalidate-failed" | "cleared", key,
+// fetchedAt, changed }. Returns an unsubscribe function.
+export function onCacheEvent(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export async function cacheGet(key) {
+  if (memory.has(key)) return memory.get(key);
+  try {
+    const entry = await withStore("readonly", (s) => s.get(key));
+    if (entry) memory.set(key, entry);
+    return entry || null;
+  } catch {
+    return null;
+  }
+}
+
+export async function cachePut(key, data) {
+  const entry = { data, fetchedAt: Date.now() };
+  memory.set(key, entry);
+  try {
+    await withStore("readwrite", (s) => s.put(entry, key));
+  } catch { /* quota exceeded or private mode — the memory copy still serves this session */ }
+  return entry;
+}
+
+export async function cacheClear() {
+  memory.clear();
+  try {
+    await withStore("readwrite", (s) => s.clear());
+  } catch { /* nothing persisted to clear */ }
+  emit({ type: "cleared" });
+}
+
+// Fetch once per key at a time — the 5-minute auto-refresh and a tab switch can
+// ask for the same query in the same tick.
+function refresh(key, fetcher) {
+  if (inflight.has(key)) return inflight.get(key);
+  const p = fetcher()
+    .then((data) => cachePut(key, data))
+    .finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+// Stale-while-revalidate read. Fresh entries (younger than `ttl` ms) are served
+// as-is; stale entries are served immediately while a background fetch updates
+// the cache and emits "revalidated" with `changed` set when the response moved.
+// A miss goes to the network and waits.
+export async function swr(key, ttl, fetcher) {
+  const hit = await cacheGet(key);
+  if (hit && Date.now() - hit.fetchedAt < ttl) {
+    emit({ type: "hit", key, fetchedAt: hit.fetchedAt });
+    return hit.data;
+  }
+  if (hit) {
+    emit({ type: "stale", key, fetchedAt: hit.fetchedAt });
+    if (!inflight.has(key)) {
+      emit({ type: "revalidating", key });
+      refresh(key, fetcher).then(
+        (entry) => emit({ type: "revalidated", key, fetchedAt: entry.fetchedAt, changed: JSON.stringify(entry.data) !== JSON.stringify(hit.data) }),
+        (err) => emit({ type: "revalidate-failed", key, error: err }),
+      );
+    }
+    return hit.data;
+  }
+  const entry = await refresh(key, fetcher);
+  emit({ type: "fetched", key, fetchedAt: entry.fetchedAt });
+  return entry.data;
+}
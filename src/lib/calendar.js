@@ -0,0 +1,35 @@
+// ── Calendar export ──
+// iCalendar (.ics) events for unbonding locks, so the day a lock can be
+// withdrawn lands in someone's calendar with a reminder instead of being a
+// round number nobody remembers to check.
+
+const icsDate = (ts) => new Date(ts * 1000).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+// RFC 5545 text escaping
+const icsText = (s) => String(s).replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\n/g, "\\n");
+// Content lines are folded at 75 octets; 60 characters keeps multi-byte text under it
+const fold = (line) => line.match(/.{1,60}/gu).join("\r\n ");
+
+// One VEVENT per lock. `locks` are getDelegatorPosition unbonding locks; any
+// without an `unlocksAt` estimate are skipped. The reminder fires
+// `reminderMinutes` before the estimated time.
+export function unbondingLocksICS(locks, { address, reminderMinutes = 60 } = {}) {
+  const events = locks.filter((l) => l.unlocksAt).map((l) => [
+    "BEGIN:VEVENT",
+    `UID:${l.id}-${l.withdrawRound}@livepeer-dashboard`,
+    `DTSTAMP:${icsDate(Date.now() / 1000)}`,
+    `DTSTART:${icsDate(l.unlocksAt)}`,
+    `DTEND:${icsDate(l.unlocksAt + 30 * 60)}`,
+    `SUMMARY:${icsText(`Withdraw ${l.exactAmount ?? l.amount} LPT from Livepeer`)}`,
+    `DESCRIPTION:${icsText([
+      `Unbonding lock #${l.lockId}${address ? ` of ${address}` : ""} becomes withdrawable in round ${l.withdrawRound}.`,
+      "The time is estimated from the current round length — rounds start when someone initializes them, so it can be a little later.",
+    ].join("\n"))}`,
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${icsText(`${l.exactAmount ?? l.amount} LPT is ready to withdraw`)}`,
+    `TRIGGER:-PT${reminderMinutes}M`,
+    "END:VALARM",
+    "END:VEVENT",
+  ]);
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Livepeer Dashboard//Unbonding locks//EN", "CALSCALE:GREGORIAN", ...events.flat().map(fold), "END:VCALENDAR", ""].join("\r\n");
+}
@@ -0,0 +1,106 @@
+// ── Data-source configuration ──
+// Build-time defaults come from Vite env vars. Visitors can override them at
+// runtime from the settings panel (persisted in localStorage) and Node scripts
+// through `configure()`. Endpoints are resolved at call time, so a saved change
+// applies to the very next request.
+
+import { graphRequest, rpcRequest, redactUrl } from "./transport.js";
+
+const env = import.meta.env || {};
+const envList = (v) => (v || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+export const DEFAULTS = {
+  apiKey: env.VITE_GRAPH_API_KEY || "",
+  livepeerSubgraphId: env.VITE_LIVEPEER_SUBGRAPH_ID || "",
+  ensSubgraphId: env.VITE_ENS_SUBGRAPH_ID || "",
+  livepeerGraphqlUrl: "",
+  ensGraphqlUrl: "",
+  rpcUrl: "",
+};
+
+// Fallbacks tried after anything the user configured. Both Graph gateways serve
+// the same decentralized-network subgraphs; extra URLs (a self-hosted
+// graph-node, a private RPC) come from comma-separated env vars.
+const GRAPH_GATEWAYS = ["https://gateway.thegraph.com", "https://gateway-arbitrum.network.thegraph.com"];
+const BUILD_EXTRAS = {
+  livepeer: envList(env.VITE_LIVEPEER_SUBGRAPH_URLS),
+  ens: envList(env.VITE_ENS_SUBGRAPH_URLS),
+  rpc: envList(env.VITE_ARB_RPC_URLS),
+};
+const PUBLIC_RPCS = ["https://arb1.arbitrum.io/rpc", "https://arbitrum-one-rpc.publicnode.com"];
+
+const STORAGE_KEY = "livepeer-dashboard:settings";
+const storage = () => (typeof localStorage !== "undefined" ? localStorage : null);
+const nonEmpty = (obj) => Object.fromEntries(Object.entries(obj || {}).filter(([k, v]) => k in DEFAULTS && typeof v === "string" && v.trim()).map(([k, v]) => [k, v.trim()]));
+
+let overrides = {};
+
+// What the visitor saved in the settings panel (only the fields they filled in).
+export function loadSettings() {
+  try {
+    return nonEmpty(JSON.parse(storage()?.getItem(STORAGE_KEY) || "{}"));
+  } catch {
+    return {};
+  }
+}
+
+export function saveSettings(settings) {
+  const clean = nonEmpty(settings);
+  if (Object.keys(clean).length) storage()?.setItem(STORAGE_KEY, JSON.stringify(clean));
+  else storage()?.removeItem(STORAGE_KEY);
+}
+
+// Programmatic overrides (CLI flags, scripts) — win over saved settings.
+export function configure(values) {
+  overrides = { ...overrides, ...nonEmpty(values) };
+}
+
+// Effective settings: build defaults ← saved (or draft) settings ← overrides.
+export function getSettings(saved = loadSettings()) {
+  return { ...DEFAULTS, ...nonEmpty(saved), ...overrides };
+}
+
+// `name` is "livepeer" or "ens". `key` identifies the data source in the
+// response cache, so switching indexers never serves another source's answers.
+export function subgraphSource(name, settings = getSettings()) {
+  const id = settings[`${name}SubgraphId`];
+  const custom = envList(settings[`${name}GraphqlUrl`]);
+  return {
+    key: custom[0] || id,
+    endpoints: [
+      ...custom,
+      ...(settings.apiKey && id ? GRAPH_GATEWAYS.map((g) => `${g}/api/${settings.apiKey}/subgraphs/id/${id}`) : []),
+      ...BUILD_EXTRAS[name],
+    ],
+  };
+}
+
+export function rpcEndpoints(settings = getSettings()) {
+  return [...envList(settings.rpcUrl), ...BUILD_EXTRAS.rpc, ...PUBLIC_RPCS];
+}
+
+const META_QUERY = "{ _meta { block { number timestamp } deployment hasIndexingErrors } }";
+
+// Probe every endpoint `settings` would use on its own, so the panel can
+// show exactly which one is broken. Resolves to [{ source, endpoint, ok, detail }].
+export function testConnection(settings = getSettings()) {
+  const checks = [];
+  for (const name of ["livepeer", "ens"]) {
+    for (const url of subgraphSource(name, settings).endpoints) {
+      checks.push(graphRequest([url], META_QUERY).then(
+        ({ _meta: m }) => ({
+          source: name, endpoint: redactUrl(url), ok: !m.hasIndexingErrors,
+          detail: `block ${m.block.number}${m.hasIndexingErrors ? " · has indexing errors" : ""}`,
+        }),
+        (err) => ({ source: name, endpoint: redactUrl(url), ok: false, detail: err.message }),
+      ));
+    }
+  }
+  for (const url of rpcEndpoints(settings)) {
+    checks.push(rpcRequest([url], "eth_blockNumber", []).then(
+      (n) => ({ source: "rpc", endpoint: url, ok: true, detail: `Arbitrum One · block ${Number(n)}` }),
+      (err) => ({ source: "rpc", endpoint: url, ok: false, detail: err.message }),
+    ));
+  }
+  return Promise.all(checks);
+}
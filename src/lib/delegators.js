@@ -0,0 +1,121 @@
+// ── Delegator concentration & churn ──
+// How fragile an orchestrator's stake is: how much of it sits with a few
+// delegators, who has been arriving and leaving, how long the stake has stayed
+// and who hasn't claimed in a long time. From getOrchestrator's delegator list
+// and getDelegatorExits.
+
+// The usual antitrust reading of the Herfindahl–Hirschman index (0–10000)
+const HHI_LEVELS = [
+  { max: 1500, label: "Diversified", color: "#00e88c" },
+  { max: 2500, label: "Moderately concentrated", color: "#ffb84d" },
+  { max: Infinity, label: "Highly concentrated", color: "#ff5c7c" },
+];
+
+const monthOf = (ts) => new Date(ts * 1000).toISOString().slice(0, 7);
+
+// Rounds without a claim after which a delegator counts as dormant: about a
+// year's worth, given getRoundTiming's `timing`.
+export const dormantLimit = (timing) => Math.round(timing?.roundsPerYear || 410);
+
+// Gini coefficient of non-negative amounts: 0 when everyone holds the same, → 1
+// when one holder has it all.
+export function gini(amounts) {
+  const xs = amounts.filter((x) => x > 0).sort((a, b) => a - b);
+  const sum = xs.reduce((s, x) => s + x, 0);
+  if (xs.length < 2 || sum === 0) return 0;
+  const weighted = xs.reduce((s, x, i) => s + (i + 1) * x, 0);
+  return (2 * weighted) / (xs.length * sum) - (xs.length + 1) / xs.length;
+}
+
+// `delegators` as getOrchestrator lists them (largest first is not assumed).
+// Shares are fractions of the listed stake.
+export function concentration(delegators) {
+  const stakes = delegators.map((d) => d.bondedAmount).filter((x) => x > 0).sort((a, b) => b - a);
+  const total = stakes.reduce((s, x) => s + x, 0);
+  const shares = stakes.map((x) => (total > 0 ? x / total : 0));
+  const hhi = shares.reduce((s, x) => s + (x * 100) ** 2, 0);
+  return {
+    count: stakes.length,
+    total,
+    top1: shares[0] || 0,
+    top10: shares.slice(0, 10).reduce((s, x) => s + x, 0),
+    hhi,
+    level: HHI_LEVELS.find((l) => hhi < l.max),
+    gini: gini(stakes),
+  };
+}
+
+// Arrivals and departures by month, stake-weighted tenure and dormant
+// delegators. `exits` and `timing` come from getDelegatorExits; without
+// `timing` there is no current round or round length to go by, and all of it
+// comes back empty.
+//
+// Months are "YYYY-MM", oldest first, gaps filled: { month, joined,
+// joinedStake, left, leftStake, unbonded }. `joined` counts today's delegators
+// by the round their delegation started; `left` counts delegators no longer
+// bonded here, in the month of their last unbond or move away, `leftStake`
+// what those took; `unbonded` is every unbond and move-out that month,
+// partial ones included. Delegators unclaimed for `dormantRounds` (default a
+// year of rounds) are listed largest first.
+export function churn(delegators, { exits = [], timing = null, dormantRounds } = {}) {
+  const currentRound = timing?.currentRound ?? null;
+  const roundTs = (round) => (timing?.currentRoundStart ? timing.currentRoundStart + (round - timing.currentRound) * timing.secPerRound : null);
+  const months = {};
+  const month = (key) => (months[key] ||= { month: key, joined: 0, joinedStake: 0, left: 0, leftStake: 0, unbonded: 0 });
+
+  for (const d of delegators) {
+    const ts = roundTs(Number(d.startRound));
+    if (ts == null || !(d.bondedAmount > 0)) continue;
+    const m = month(monthOf(ts));
+    m.joined++;
+    m.joinedStake += d.bondedAmount;
+  }
+  const bonded = new Set(delegators.map((d) => d.id.toLowerCase()));
+  const lastExit = {};
+  for (const e of exits) {
+    month(monthOf(e.ts)).unbonded += e.amount;
+    if (bonded.has(e.delegator)) continue;
+    const prev = lastExit[e.delegator];
+    lastExit[e.delegator] = { ts: Math.max(prev?.ts || 0, e.ts), amount: (prev?.amount || 0) + e.amount };
+  }
+  for (const { ts, amount } of Object.values(lastExit)) {
+    const m = month(monthOf(ts));
+    m.left++;
+    m.leftStake += amount;
+  }
+
+  // Fill the gaps so a chart's x axis is evenly spaced
+  const keys = Object.keys(months).sort();
+  const filled = [];
+  if (keys.length) {
+    let [y, m] = keys[0].split("-").map(Number);
+    for (;;) {
+      const key = `${y}-${String(m).padStart(2, "0")}`;
+      filled.push(month(key));
+      if (key === keys[keys.length - 1]) break;
+      if (++m > 12) { y++; m = 1; }
+    }
+  }
+
+  let tenureRounds = null;
+  if (currentRound != null) {
+    const held = delegators.filter((d) => d.bondedAmount > 0 && d.startRound);
+    const stake = held.reduce((s, d) => s + d.bondedAmount, 0);
+    tenureRounds = stake > 0 ? held.reduce((s, d) => s + d.bondedAmount * Math.max(0, currentRound - Number(d.startRound)), 0) / stake : null;
+  }
+
+  const limit = dormantRounds ?? dormantLimit(timing);
+  const dormant = currentRound == null ? [] : delegators
+    .filter((d) => d.bondedAmount > 0 && d.lastClaimRound && currentRound - Number(d.lastClaimRound) >= limit)
+    .map((d) => ({ ...d, roundsSince: currentRound - Number(d.lastClaimRound) }))
+    .sort((a, b) => b.bondedAmount - a.bondedAmount);
+
+  return {
+    months: filled,
+    tenureRounds,
+    tenureYears: tenureRounds != null && timing?.roundsPerYear ? tenureRounds / timing.roundsPerYear : null,
+    dormantRounds: limit,
+    dormant,
+    dormantStake: dormant.reduce((s, d) => s + d.bondedAmount, 0),
+  };
+}
@@ -0,0 +1,85 @@
+// ── CSV exports ──
+// Shared by the dashboard's download buttons and the CLI, so a spreadsheet
+// built from either has the same columns.
+
+// Quote only the cells that need it — most exports are plain numbers and
+// addresses, and the files should diff cleanly against older ones.
+const cell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCSV = (headers, rows) => [headers, ...rows].map((r) => r.map(cell).join(",")).join("\n");
+
+// The Compare table. `simStake` is the stake the estimate columns are sized for.
+export function orchestratorsCSV(orchs, ensNames, simStake) {
+  const headers = ["Orchestrator", "ENS Name", "Reward APY %", "30d ETH", "90d ETH", "Lifetime ETH", "ETH/LPT/yr", "Reward Cut %", "Fee Share %", "Total Stake", "Reward Calling", "Reliability %", "Est LPT/yr", "Est ETH/yr"];
+  const rows = orchs.map((o) => [
+    o.id, ensNames[o.id] || "", o.rewardAPY.toFixed(2), o.eth30d.toFixed(4),
+    o.eth90d.toFixed(4), o.totalETH.toFixed(2),
+    o.ethYieldPerLPT.toFixed(6), (o.rewardCut / 10000).toFixed(2), (o.feeShare / 10000).toFixed(2),
+    o.stake.toFixed(0), o.callingReward ? "Yes" : "No", o.reliability ?? "",
+    (simStake * o.rewardAPY / 100).toFixed(2), (simStake * o.ethYieldPerLPT).toFixed(6),
+  ]);
+  return toCSV(headers, rows);
+}
+
+// A delegator's EarningsClaimed history, oldest first.
+export function claimsCSV(claims) {
+  const headers = ["Date", "Timestamp", "Rounds", "Round Range", "LPT Claimed", "ETH Claimed", "Orchestrator"];
+  const rows = claims.map((c) => [
+    new Date(c.ts * 1000).toISOString().slice(0, 10), c.ts, c.rounds, c.r,
+    c.lpt.toFixed(6), c.eth.toFixed(8), c.delegate || "",
+  ]);
+  return toCSV(headers, rows);
+}
+
+// The per-round earnings ledger (getRewardLedger rows), oldest first.
+export function ledgerCSV(rows) {
+  const headers = ["Round", "Date", "Orchestrator", "Stake", "LPT Earned", "ETH Earned", "Reward Called"];
+  return toCSV(headers, rows.map((r) => [
+    r.round, r.ts ? new Date(r.ts * 1000).toISOString().slice(0, 10) : "", r.delegate,
+    r.stake.toFixed(6), r.lpt.toFixed(6), r.eth.toFixed(8), r.called ? "Yes" : "No",
+  ]));
+}
+
+// Rounds lost to missed reward calls (getMissedRewards rounds), newest first.
+export function missedRewardsCSV(rounds) {
+  const headers = ["Round", "Orchestrator", "Stake", "Reward Cut %", "Est LPT Lost"];
+  return toCSV(headers, rounds.map((r) => [
+    r.round, r.delegate, r.stake.toFixed(6), r.rewardCut == null ? "" : r.rewardCut.toFixed(2), r.lost == null ? "" : r.lost.toFixed(6),
+  ]));
+}
+
+// An operator's income and reward calls per round (getOperatorReport rows), newest first.
+export function operatorRoundsCSV(rows) {
+  const headers = ["Round", "Date", "Reward Called", "Reward LPT", "Cut LPT", "Fees ETH", "Fees Kept ETH", "Pool Stake"];
+  return toCSV(headers, rows.map((r) => [
+    r.round, r.ts ? new Date(r.ts * 1000).toISOString().slice(0, 10) : "", r.called ? "Yes" : "Missed",
+    r.rewardTokens.toFixed(6), r.cutLPT.toFixed(6), r.fees.toFixed(8), r.keptETH.toFixed(8), r.poolStake == null ? "" : r.poolStake.toFixed(6),
+  ]));
+}
+
+// Stake moving to and from an operator (getOperatorReport flows), newest first.
+export function operatorFlowsCSV(flows) {
+  const headers = ["Date", "Round", "Delegator", "Type", "LPT", "Operator's Own"];
+  return toCSV(headers, flows.map((f) => [
+    new Date(f.ts * 1000).toISOString().slice(0, 10), f.round, f.delegator, f.type, f.amount.toFixed(6), f.self ? "Yes" : "No",
+  ]));
+}
+
+// A stake projection curve (projectBands points).
+export function projectionCSV(points) {
+  const headers = ["Years", "Optimistic LPT", "Base LPT", "Pessimistic LPT", "Base Inflation %/round"];
+  return toCSV(headers, points.map((p) => [
+    p.years.toFixed(3), p.optimistic.toFixed(4), p.base.toFixed(4), p.pessimistic.toFixed(4), p.inflation.toFixed(6),
+  ]));
+}
+
+// Browser only — hand `text` to the user as a file download.
+export function downloadFile(filename, text, type = "text/csv") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
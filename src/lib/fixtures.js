@@ -0,0 +1,216 @@
+// ── Offline fixture mode ──
+// A `fetch` stand-in that answers The Graph, Arbitrum RPC and CoinGecko requests
+// from recorded fixture files, plus a recorder that captures a real session into
+// one. Lets the dashboard be developed, demoed and regression-checked with no
+// network. Switched on by env flags (see installFromEnv) and loaded lazily, so
+// none of it ships in a normal build.
+//
+// Fixture file: { version: 1, entries: [{ key, loose, status, body }] }
+//   key   — exact request identity (full query text, RPC params, URL)
+//   loose — coarser identity (GraphQL root fields, RPC method + selector, URL
+//           path and non-numeric params), so a session recorded for one
+//           address can replay for another and hand-written fixtures need not
+//           spell out every query
+// Bodies may contain "{{now}}" / "{{now-SECONDS}}" strings, replaced with unix
+// timestamps at replay time so round timings and subgraph lag stay realistic.
+// An optional top-level `wallet` holds createMockProvider options; with it the
+// replay also installs a mock wallet, so staking actions can be clicked through.
+
+import { configure, rpcEndpoints } from "./config.js";
+import { rpcRequest } from "./transport.js";
+
+// Where the data layer is pointed while fixtures are installed. Every request is
+// intercepted anyway; these just guarantee an endpoint exists without an API key
+// and keep fixture responses in their own response-cache namespace.
+const FIXTURE_SOURCES = {
+  livepeerGraphqlUrl: "https://fixtures.invalid/livepeer",
+  ensGraphqlUrl: "https://fixtures.invalid/ens",
+  rpcUrl: "https://fixtures.invalid/arbitrum",
+};
+
+// Top-level field names of a GraphQL document, sorted — "{ a(x: 1) { b } c }" → ["a", "c"].
+export function rootFields(query) {
+  const body = query.slice(query.indexOf("{") + 1, query.lastIndexOf("}"));
+  const fields = [];
+  let depth = 0;
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '"') i = body.indexOf('"', i + 1);
+    else if (c === "{" || c === "(") depth++;
+    else if (c === "}" || c === ")") depth--;
+    else if (depth === 0 && /[A-Za-z_]/.test(c)) {
+      const name = body.slice(i).match(/^[A-Za-z_]\w*/)[0];
+      fields.push(name);
+      i += name.length - 1;
+    }
+  }
+  return fields.sort();
+}
+
+export function describeRequest(input, init = {}) {
+  const url = new URL(typeof input === "string" ? input : input.url);
+  let body = null;
+  try { body = init.body ? JSON.parse(init.body) : null; } catch { /* not JSON */ }
+  if (body?.query) {
+    return { key: `graphql:${body.query.replace(/\s+/g, " ").trim()}`, loose: `graphql:fields:${rootFields(body.query).join(",")}` };
+  }
+  if (body?.jsonrpc) {
+    const call = body.params?.[0];
+    const loose = body.method === "eth_call"
+      ? `rpc:eth_call:${call?.to?.toLowerCase()}:${call?.data?.slice(0, 10)}`
+      : `rpc:${body.method}`;
+    return { key: `rpc:${body.method}:${JSON.stringify(body.params)}`, loose };
+  }
+  // Numeric query values are timestamps, limits and windows; the rest (coin,
+  // currency) decide what the response is about, so they stay in the loose key.
+  const params = [...url.searchParams].filter(([, v]) => !/^\d+$/.test(v)).sort().map(([k, v]) => `${k}=${v}`).join("&");
+  return { key: `get:${url.host}${url.pathname}${url.search}`, loose: `get:${url.host}${url.pathname}${params ? `?${params}` : ""}` };
+}
+
+const expandTime = (body) => JSON.parse(
+  JSON.stringify(body).replace(/"\{\{now(-\d+)?\}\}"/g, (_, off) => String(Math.floor(Date.now() / 1000) + Number(off || 0))),
+);
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+// A fetch that only ever answers from `fixture`. Unknown requests get a 404 with
+// a GraphQL-style error, which the transport reports instead of hanging.
+export function createFixtureFetch(fixture) {
+  const exact = new Map();
+  const loose = new Map();
+  for (const e of fixture.entries || []) {
+    if (e.key) exact.set(e.key, e);
+    if (e.loose && !loose.has(e.loose)) loose.set(e.loose, e);
+  }
+  return async (input, init) => {
+    const req = describeRequest(input, init);
+    const hit = exact.get(req.key) || loose.get(req.loose);
+    if (!hit) {
+      console.warn(`[fixtures] no fixture for ${req.loose}`);
+      return jsonResponse(404, { errors: [{ message: `No fixture recorded for ${req.loose}` }] });
+    }
+    return jsonResponse(hit.status || 200, expandTime(hit.body));
+  };
+}
+
+// Wraps a real fetch and remembers every JSON response it sees.
+export function createRecorder(realFetch) {
+  const entries = new Map();
+  return {
+    async fetch(input, init) {
+      const res = await realFetch(input, init);
+      try {
+        const body = await res.clone().json();
+        const req = describeRequest(input, init);
+        entries.set(req.key, { ...req, status: res.status, body });
+      } catch { /* not JSON — nothing worth replaying */ }
+      return res;
+    },
+    get size() { return entries.size; },
+    toJSON: () => ({ version: 1, recordedAt: new Date().toISOString(), entries: [...entries.values()] }),
+  };
+}
+
+// ── Mock wallet ──
+// A scripted EIP-1193 provider for running wallet.js with no chain. It signs
+// whatever it's asked to, mines each transaction after `confirmAfter` receipt
+// polls and answers everything else (eth_call, balances) through `readRpc`.
+//   reverts — { "0x<selector>": "reason" }: eth_estimateGas reverts with it
+//   fails   — selectors whose transactions mine with status 0 (failed)
+//   reject  — every approval request fails as if the user declined
+// `sent` records the transactions, for checking what was built.
+export function createMockProvider({ account, chainId = "0xa4b1", readRpc, reverts = {}, fails = [], reject = false, confirmAfter = 2 } = {}) {
+  const listeners = {};
+  const pollsLeft = new Map();
+  const sent = [];
+  let chain = chainId;
+  const emit = (event, value) => (listeners[event] || []).forEach((fn) => fn(value));
+  const rpcError = (code, message) => Object.assign(new Error(message), { code });
+  const selector = (tx) => tx?.data?.slice(0, 10);
+  const approve = () => { if (reject) throw rpcError(4001, "User rejected the request."); };
+
+  const handlers = {
+    eth_requestAccounts: () => { approve(); return [account]; },
+    eth_accounts: () => [account],
+    eth_chainId: () => chain,
+    wallet_switchEthereumChain: ([{ chainId: next }]) => { approve(); chain = next; emit("chainChanged", chain); return null; },
+    wallet_addEthereumChain: () => null,
+    eth_estimateGas: ([tx]) => {
+      const reason = reverts[selector(tx)];
+      if (reason) throw rpcError(3, `execution reverted: ${reason}`);
+      return "0x55730"; // 350k, about what BondingManager calls cost
+    },
+    eth_gasPrice: () => "0x989680", // 0.01 gwei, a typical Arbitrum price
+    eth_sendTransaction: ([tx]) => {
+      approve();
+      const hash = `0x${(sent.length + 1).toString(16).padStart(64, "0")}`;
+      sent.push({ hash, ...tx });
+      pollsLeft.set(hash, confirmAfter);
+      return hash;
+    },
+    eth_getTransactionReceipt: ([hash]) => {
+      const left = pollsLeft.get(hash);
+      if (left == null) return null;
+      if (left > 0) { pollsLeft.set(hash, left - 1); return null; }
+      const tx = sent.find((t) => t.hash === hash);
+      return { transactionHash: hash, status: fails.includes(selector(tx)) ? "0x0" : "0x1", blockNumber: "0x1", gasUsed: "0x4c4b4" };
+    },
+  };
+
+  return {
+    isMock: true,
+    sent,
+    async request({ method, params = [] }) {
+      if (handlers[method]) return handlers[method](params);
+      if (readRpc) return readRpc(method, params);
+      throw rpcError(4200, `The mock wallet does not support ${method}`);
+    },
+    on(event, fn) { (listeners[event] ||= []).push(fn); },
+    removeListener(event, fn) { listeners[event] = (listeners[event] || []).filter((f) => f !== fn); },
+    switchAccount(next) { account = next; emit("accountsChanged", [next]); },
+  };
+}
+
+function mountRecorderButton(recorder) {
+  const btn = document.createElement("button");
+  Object.assign(btn.style, {
+    position: "fixed", bottom: "16px", right: "16px", zIndex: 1000, padding: "8px 14px", borderRadius: "99px",
+    border: "1px solid rgba(255,92,92,0.4)", background: "rgba(40,6,12,0.9)", color: "#ff5c5c",
+    font: "700 11px 'DM Sans', system-ui, sans-serif", cursor: "pointer",
+  });
+  const label = () => { btn.textContent = `⏺ Save fixtures (${recorder.size})`; };
+  label();
+  setInterval(label, 1000);
+  btn.onclick = () => {
+    const blob = new Blob([JSON.stringify(recorder.toJSON(), null, 1)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url; a.download = `livepeer-fixtures-${new Date().toISOString().slice(0, 10)}.json`; a.click();
+    URL.revokeObjectURL(url);
+  };
+  document.body.appendChild(btn);
+}
+
+// VITE_RECORD_FIXTURES=1 — record the session; a floating button downloads it
+//                          (drop the file into fixtures/ to replay it).
+// VITE_FIXTURES=<name>   — replay fixtures/<name>.json, no network at all.
+export async function installFromEnv(env) {
+  if (env.VITE_RECORD_FIXTURES) {
+    const recorder = createRecorder(globalThis.fetch.bind(globalThis));
+    globalThis.fetch = recorder.fetch;
+    mountRecorderButton(recorder);
+    console.info("[fixtures] recording — use the button in the corner to save");
+    return;
+  }
+  const sets = import.meta.glob("/fixtures/*.json", { import: "default" });
+  const load = sets[`/fixtures/${env.VITE_FIXTURES}.json`];
+  if (!load) throw new Error(`Unknown fixture set "${env.VITE_FIXTURES}" — expected fixtures/${env.VITE_FIXTURES}.json`);
+  const fixture = await load();
+  globalThis.fetch = createFixtureFetch(fixture);
+  configure(FIXTURE_SOURCES);
+  // Replaces any injected wallet — nothing may reach a real chain in fixture mode
+  if (fixture.wallet) {
+    globalThis.ethereum = createMockProvider({ ...fixture.wallet, readRpc: (method, params) => rpcRequest(rpcEndpoints(), method, params) });
+  }
+  console.info(`[fixtures] replaying fixtures/${env.VITE_FIXTURES}.json`);
+}
@@ -0,0 +1,40 @@
+// ── Display formatting ──
+// Shared by the dashboard and the data layer (event descriptions, sync-check
+// mismatches), so numbers read the same everywhere.
+
+export const fmtAddr = (a) => a ? `${a.slice(0, 6)}…${a.slice(-4)}` : "—";
+export const fmtD = (ts) => new Date(ts * 1000).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+export const fmtM = (ts) => new Date(ts * 1000).toLocaleDateString("en-US", { month: "short", year: "2-digit" });
+export const fmtN = (n, d = 2) => Number(n).toLocaleString("en-US", { maximumFractionDigits: d, minimumFractionDigits: d });
+export const fmtDur = (sec) => {
+  const s = Math.max(0, Math.round(sec));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)} min`;
+  if (s < 86400) return `${Math.floor(s / 3600)} h`;
+  return `${Math.floor(s / 86400)} d`;
+};
+export const fmtAgo = (ms) => (ms < 60000 ? "just now" : `${fmtDur(ms / 1000)} ago`);
+export const fmtDT = (ts) => new Date(ts * 1000).toLocaleString("en-US", { weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+// "3d 04h 12m 05s" — for live countdowns, so the width doesn't jump every second
+export const fmtCountdown = (sec) => {
+  const s = Math.max(0, Math.floor(sec));
+  const pad = (n) => String(n).padStart(2, "0");
+  const hms = `${pad(Math.floor(s / 3600) % 24)}h ${pad(Math.floor(s / 60) % 60)}m ${pad(s % 60)}s`;
+  return s >= 86400 ? `${Math.floor(s / 86400)}d ${hms}` : hms;
+};
+
+// Decimal string ⇄ integer base units (wei for LPT and ETH) as BigInt —
+// floats would lose the last wei of an amount someone is about to withdraw.
+export const parseUnits = (value, decimals = 18) => {
+  const m = String(value).trim().match(/^(\d*)(?:\.(\d*))?$/);
+  if (!m || (!m[1] && !m[2])) throw new Error(`"${value}" is not an amount`);
+  return BigInt(m[1] || "0") * 10n ** BigInt(decimals) + BigInt((m[2] || "").slice(0, decimals).padEnd(decimals, "0"));
+};
+export const formatUnits = (units, decimals = 18) => {
+  const scale = 10n ** BigInt(decimals);
+  const frac = String(units % scale).padStart(decimals, "0").replace(/0+$/, "");
+  return `${units / scale}${frac ? `.${frac}` : ""}`;
+};
+
+// Exact sum of decimal strings such as subgraph BigDecimals
+export const addDecimals = (values, decimals = 18) => formatUnits(values.reduce((sum, v) => sum + parseUnits(v, decimals), 0n), decimals);
@@ -0,0 +1,1147 @@
+// ── Livepeer data client ──
+// Everything the dashboard knows how to fetch and derive, with no React in it,
+// so scripts and bots get exactly the numbers the UI shows. Reads go through the
+// response cache and the failover transport; endpoints come from config.js
+// (call `configure()` first when running outside the browser).
+//
+//   getDelegatorPosition(addressOrEns) → stake, rewards, fees, claims, events, locks
+//   getOrchestrators()                 → active orchestrators with APY / fee yield
+//   getOrchestrator(addressOrEns)      → one orchestrator with its delegators
+//   getNetworkStats()                  → protocol totals, broadcasters, tickets, daily volume
+//   getWatchSnapshot(ids, delegator)   → uncached state of watched orchestrators, for alerts
+//
+// Amounts are plain numbers in LPT / ETH. Bad input and "not found" throw a
+// plain Error; data-source failures throw a DataSourceError (see transport.js).
+
+import { swr } from "./cache.js";
+import { paginate, PAGE_SIZE } from "./paginate.js";
+import { DEFAULT_RELIABILITY_WINDOW } from "./reliability.js";
+import { graphRequest, rpcRequest, DataSourceError } from "./transport.js";
+import { subgraphSource, rpcEndpoints } from "./config.js";
+import { fmtAddr, fmtD, fmtN } from "./format.js";
+
+export const BONDING_MANAGER = "0x35bcf3c30594191d53231e4ff333e8a770453e40";
+
+// uint256 eth_call result → token units. An empty "0x" means the call hit no
+// code or reverted silently; BigInt("0x") would throw an opaque SyntaxError.
+function decodeUint256(hex) {
+  if (typeof hex !== "string" || !/^0x[0-9a-f]+$/i.test(hex)) {
+    throw new DataSourceError("rpc-revert", "BondingManager call returned no data");
+  }
+  return Number(BigInt(hex)) / 1e18;
+}
+
+// Fetch live pendingStake and pendingFees from BondingManager contract
+async function fetchPendingStakeAndFees(delegatorAddr, currentRound) {
+  const addr = delegatorAddr.slice(2).padStart(64, "0");
+  const round = BigInt(currentRound).toString(16).padStart(64, "0");
+  // pendingStake(address,uint256) selector: 0x9d0b2c7a
+  const stakeData = "0x9d0b2c7a" + addr + round;
+  // pendingFees(address,uint256) selector: 0xf595f1cc
+  const feesData = "0xf595f1cc" + addr + round;
+  const call = (data) => rpcRequest(rpcEndpoints(), "eth_call", [{ to: BONDING_MANAGER, data }, "latest"]).then(decodeUint256);
+  const [stake, fees] = await Promise.all([call(stakeData), call(feesData)]);
+  return { stake, fees };
+}
+
+// The stored delegator struct straight from BondingManager — the on-chain side
+// of the subgraph reconciliation. getDelegator(address) selector: 0xa64ad595,
+// returns (bondedAmount, fees, delegateAddress, delegatedAmount, startRound,
+// lastClaimRound, nextUnbondingLockId).
+async function fetchOnChainDelegator(delegatorAddr) {
+  const data = "0xa64ad595" + delegatorAddr.slice(2).padStart(64, "0");
+  const hex = await rpcRequest(rpcEndpoints(), "eth_call", [{ to: BONDING_MANAGER, data }, "latest"]);
+  if (typeof hex !== "string" || hex.length < 2 + 64 * 7) {
+    throw new DataSourceError("rpc-revert", "BondingManager getDelegator returned no data");
+  }
+  const word = (i) => "0x" + hex.slice(2 + i * 64, 2 + (i + 1) * 64);
+  return {
+    bondedAmount: decodeUint256(word(0)),
+    delegate: "0x" + word(2).slice(-40),
+    lastClaimRound: Number(BigInt(word(5))),
+  };
+}
+
+// ── Subgraph freshness & reconciliation ──
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const ARB_BLOCK_SECONDS = 0.25;
+const LAG_WARN_SECONDS = 5 * 60;
+// Both sides are 18-decimal amounts rendered to floats — allow rounding noise,
+// flag anything bigger.
+const stakeTolerance = (amt) => Math.max(0.01, Math.abs(amt) * 0.001);
+
+// Compare where the subgraph has indexed to with the chain head, and the
+// subgraph's view of this delegator with BondingManager's. Goes straight to the
+// endpoints rather than through the response cache — the question is where the
+// indexer is right now.
+export async function checkSubgraphSync(addr, del) {
+  const [meta, head, chain] = await Promise.all([
+    graphRequest(subgraphSource("livepeer").endpoints, QUERIES.meta),
+    rpcRequest(rpcEndpoints(), "eth_blockNumber", []),
+    fetchOnChainDelegator(addr),
+  ]);
+  const subgraphBlock = Number(meta._meta.block.number);
+  const chainBlock = Number(head);
+  const lagBlocks = Math.max(0, chainBlock - subgraphBlock);
+  const indexedAt = Number(meta._meta.block.timestamp);
+  const lagSeconds = indexedAt ? Math.max(0, Date.now() / 1000 - indexedAt) : lagBlocks * ARB_BLOCK_SECONDS;
+
+  const mismatches = [];
+  const sgBonded = Number(del.bondedAmount);
+  if (Math.abs(sgBonded - chain.bondedAmount) > stakeTolerance(chain.bondedAmount)) {
+    mismatches.push({ field: "Bonded amount", subgraph: `${fmtN(sgBonded)} LPT`, chain: `${fmtN(chain.bondedAmount)} LPT` });
+  }
+  const sgDelegate = (del.delegate?.id || ZERO_ADDRESS).toLowerCase();
+  if (sgDelegate !== chain.delegate.toLowerCase()) {
+    mismatches.push({ field: "Delegate", subgraph: fmtAddr(sgDelegate), chain: fmtAddr(chain.delegate) });
+  }
+  const sgLastClaim = Number(del.lastClaimRound?.id || 0);
+  if (sgLastClaim !== chain.lastClaimRound) {
+    mismatches.push({ field: "Last claim round", subgraph: sgLastClaim, chain: chain.lastClaimRound });
+  }
+  return {
+    subgraphBlock, chainBlock, lagBlocks, lagSeconds, mismatches,
+    lagging: lagSeconds > LAG_WARN_SECONDS,
+    indexingErrors: Boolean(meta._meta.hasIndexingErrors),
+  };
+}
+
+const QUERIES = {
+  meta: `{ _meta { block { number timestamp } hasIndexingErrors } }`,
+  delegator: (id) => `{
+    delegator(id: "${id}") {
+      id
+      bondedAmount
+      principal
+      unbonded
+      delegatedAmount
+      fees
+      withdrawnFees
+      startRound
+      delegate { id totalStake rewardCut feeShare active lastRewardRound { id } serviceURI thirtyDayVolumeETH ninetyDayVolumeETH }
+      lastClaimRound { id }
+      unbondingLocks { id unbondingLockId amount withdrawRound delegate { id } }
+    }
+  }`,
+  // Reward calls of one or more orchestrators, newest first. Aliased so its
+  // responses stay apart from other rewardEvents queries in recorded fixtures.
+  rewardCalls: (ids, cursor = "", first = PAGE_SIZE) => `{
+    rewardCalls: rewardEvents(where: { delegate_in: [${ids.map((id) => `"${id}"`).join(", ")}], ${cursor} }, orderBy: timestamp, orderDirection: desc, first: ${first}) {
+      id timestamp delegate { id } round { id }
+    }
+  }`,
+  // What a round minted and the active stake it was split over (aliased for the
+  // same reason — `rounds` alone is the recentRounds query)
+  roundSupply: (ids) => `{
+    roundSupply: rounds(where: { id_in: [${ids.map((id) => `"${id}"`).join(", ")}] }, first: ${PAGE_SIZE}) {
+      id mintableTokens totalActiveStake
+    }
+  }`,
+  // List queries take a `where` cursor fragment from `paginate` (empty on the
+  // first page) and must order the way the matching `paginate` call expects.
+  earnings: (id, cursor = "") => `{
+    earningsClaimedEvents(where: { delegator: "${id}", ${cursor} }, orderBy: timestamp, orderDirection: asc, first: ${PAGE_SIZE}) {
+      id timestamp startRound endRound { id } rewardTokens fees delegate { id }
+    }
+  }`,
+  // One request carries every event type still being paged; `cursors` holds only
+  // the fields that came back full last time.
+  events: (id, cursors) => `{${Object.entries(cursors).map(([field, cursor]) => `
+    ${field}(where: { delegator: "${id}", ${cursor} }, orderBy: timestamp, orderDirection: asc, first: ${PAGE_SIZE}) {
+      ${EVENT_FIELDS[field]}
+    }`).join("")}
+  }`,
+  transcoders: `{
+    transcoders(where: { active: true }, first: 100, orderBy: totalStake, orderDirection: desc) {
+      id active rewardCut feeShare totalStake
+      thirtyDayVolumeETH sixtyDayVolumeETH ninetyDayVolumeETH totalVolumeETH
+      lastRewardRound { id }
+    }
+  }`,
+  protocol: `{
+    protocol(id: "0") {
+      inflation inflationChange targetBondingRate totalActiveStake totalSupply participationRate
+      totalVolumeETH totalVolumeUSD winningTicketCount delegatorsCount
+      currentRound { id mintableTokens }
+      lptPriceEth
+    }
+  }`,
+  recentRounds: `{ rounds(first: 2, orderBy: startTimestamp, orderDirection: desc) { id startTimestamp } }`,
+  broadcasters: `{
+    broadcasters(first: 20, orderBy: thirtyDayVolumeETH, orderDirection: desc) {
+      id deposit reserve totalVolumeETH totalVolumeUSD
+      thirtyDayVolumeETH sixtyDayVolumeETH ninetyDayVolumeETH
+      firstFundedDay lastFundedDay
+    }
+  }`,
+  recentTickets: `{
+    winningTicketRedeemedEvents(first: 50, orderBy: timestamp, orderDirection: desc) {
+      id timestamp
+      faceValue faceValueUSD
+      sender { id thirtyDayVolumeETH totalVolumeETH }
+      recipient { id totalStake feeShare thirtyDayVolumeETH }
+      round { id }
+    }
+  }`,
+  dailyVolume: `{
+    days(first: 30, orderBy: date, orderDirection: desc) {
+      id date volumeETH volumeUSD activeTranscoderCount delegatorsCount
+    }
+  }`,
+  cutHistory: (id, cursor = "") => `{
+    transcoderUpdateEvents(where: { delegate: "${id}", ${cursor} }, orderBy: timestamp, orderDirection: asc, first: ${PAGE_SIZE}) {
+      id timestamp rewardCut feeShare round { id }
+    }
+  }`,
+  // Everything the alert engine compares between checks, in one request.
+  // Aliased so it never shares a recorded fixture with the Compare queries.
+  watch: (ids, delegator) => `{
+    protocol(id: "0") { currentRound { id } }
+    watched: transcoders(where: { id_in: [${ids.map((id) => `"${id}"`).join(", ")}] }) {
+      id active totalStake rewardCut feeShare lastRewardRound { id }
+    }
+    cutChanges: transcoderUpdateEvents(where: { delegate_in: [${ids.map((id) => `"${id}"`).join(", ")}] }, orderBy: timestamp, orderDirection: desc, first: 50) {
+      id timestamp rewardCut feeShare delegate { id }
+    }
+    ${delegator ? `watcher: delegator(id: "${delegator}") { delegate { id } unbondingLocks { unbondingLockId amount withdrawRound } }` : ""}
+  }`,
+  orchestratorDetail: (id) => `{
+    transcoder(id: "${id}") {
+      id active totalStake rewardCut feeShare
+      thirtyDayVolumeETH sixtyDayVolumeETH ninetyDayVolumeETH totalVolumeETH
+      lastRewardRound { id }
+      serviceURI
+    }
+  }`,
+  orchestratorDelegators: (id, cursor = "") => `{
+    delegators(where: { delegate: "${id}", bondedAmount_gt: "0", ${cursor} }, orderBy: id, orderDirection: asc, first: ${PAGE_SIZE}) {
+      id bondedAmount startRound lastClaimRound { id }
+    }
+  }`,
+  // Per-round earnings pools of the given orchestrators — what each round's
+  // reward call minted and the fees it collected, against the stake it was split
+  // over. `rounds` ({ from, to }) limits them to a window; pool ids are
+  // "<delegate>-<round>", so for one orchestrator id order is round order.
+  pools: (ids, cursor = "", rounds = null) => `{
+    pools(where: { delegate_in: [${ids.map((id) => `"${id}"`).join(", ")}], ${rounds ? `round_gte: "${rounds.from}", round_lte: "${rounds.to}", ` : ""}${cursor} }, orderBy: id, orderDirection: asc, first: ${PAGE_SIZE}) {
+      id delegate { id } round { id startTimestamp } rewardTokens fees totalStake rewardCut feeShare
+    }
+  }`,
+  // Stake moving to and from one orchestrator, newest first; `cursors` holds
+  // the FLOW_FIELDS still being paged, as in `events`
+  operatorFlows: (id, cursors) => `{${Object.entries(cursors).map(([field, cursor]) => `
+    ${field}: ${FLOW_FIELDS[field].entity}(where: { ${FLOW_FIELDS[field].match}: "${id}", ${cursor} }, orderBy: timestamp, orderDirection: desc, first: ${PAGE_SIZE}) {
+      ${FLOW_FIELDS[field].fields}
+    }`).join("")}
+  }`,
+};
+
+const EVENT_FIELDS = {
+  bondEvents: "id timestamp round { id } bondedAmount additionalAmount newDelegate { id } oldDelegate { id }",
+  unbondEvents: "id timestamp round { id } amount delegate { id }",
+  rebondEvents: "id timestamp round { id } amount delegate { id }",
+  withdrawStakeEvents: "id timestamp round { id } amount",
+  withdrawFeesEvents: "id timestamp round { id } amount",
+};
+
+// Bonds into and out of an orchestrator are two queries on the same entity,
+// so each field is aliased
+const FLOW_FIELDS = {
+  bondsIn: { entity: "bondEvents", match: "newDelegate", fields: "id timestamp round { id } delegator { id } bondedAmount additionalAmount oldDelegate { id }" },
+  bondsOut: { entity: "bondEvents", match: "oldDelegate", fields: "id timestamp round { id } delegator { id } bondedAmount additionalAmount newDelegate { id }" },
+  unbonds: { entity: "unbondEvents", match: "delegate", fields: "id timestamp round { id } delegator { id } amount" },
+  rebonds: { entity: "rebondEvents", match: "delegate", fields: "id timestamp round { id } delegator { id } amount" },
+};
+
+// How long a cached response counts as fresh. Past its TTL a response is still
+// shown instantly, then revalidated in the background. Claim and event history
+// only ever grows at the end, so it can sit much longer than live stake/volume.
+const MIN = 60 * 1000;
+const TTL = {
+  default: 5 * MIN,
+  delegator: 2 * MIN,
+  protocol: 2 * MIN,
+  rewardCalls: 10 * MIN,
+  earnings: 15 * MIN,
+  events: 15 * MIN,
+  transcoders: 5 * MIN,
+  recentRounds: 30 * MIN,
+  sparkline: 30 * MIN,
+  broadcasters: 5 * MIN,
+  recentTickets: 1 * MIN,
+  dailyVolume: 30 * MIN,
+  cutHistory: 60 * MIN,
+  orchestratorDetail: 5 * MIN,
+  pools: 10 * MIN,
+  operatorFlows: 10 * MIN,
+  roundSupply: 24 * 60 * MIN,
+  ens: 24 * 60 * MIN,
+};
+
+// `subgraph` is "livepeer" or "ens"; its endpoints come from the runtime
+// settings, so a key or indexer saved in the settings panel applies immediately.
+// `fresh` skips the cache entirely — for polling, where a stale answer would
+// hold back a change by a whole interval.
+async function gqlFetch(query, { subgraph = "livepeer", ttl = TTL.default, fresh = false } = {}) {
+  const source = subgraphSource(subgraph);
+  if (fresh) return graphRequest(source.endpoints, query);
+  return swr(`${source.key}:${query}`, ttl, () => graphRequest(source.endpoints, query));
+}
+
+// Every reward-cut / fee-share change an orchestrator has made, oldest first.
+export async function fetchCutHistory(orchId) {
+  const pages = await paginate(
+    (q) => gqlFetch(q, { ttl: TTL.cutHistory }),
+    (c) => QUERIES.cutHistory(orchId, c.transcoderUpdateEvents),
+    ["transcoderUpdateEvents"],
+    { orderBy: "timestamp", maxPages: 5 },
+  );
+  return pages.transcoderUpdateEvents.items.map((e) => ({
+    ts: Number(e.timestamp),
+    date: fmtD(Number(e.timestamp)),
+    rewardCut: Number(e.rewardCut) / 10000,
+    feeShare: Number(e.feeShare) / 10000,
+    round: e.round?.id,
+  }));
+}
+
+export async function resolveENS(name) {
+  const data = await gqlFetch(`{ domains(where: { name: "${name.toLowerCase()}" }) { resolvedAddress { id } } }`, { subgraph: "ens", ttl: TTL.ens });
+  const addr = data?.domains?.[0]?.resolvedAddress?.id;
+  if (!addr) throw new Error(`Could not resolve ENS name "${name}". Make sure it's a valid .eth name.`);
+  return addr;
+}
+
+export async function batchResolveENS(addresses) {
+  const names = {};
+  try {
+    const addrList = addresses.map((a) => `"${a.toLowerCase()}"`).join(",");
+    const data = await gqlFetch(`{ domains(where: { resolvedAddress_in: [${addrList}] }, first: 1000) { name resolvedAddress { id } } }`, { subgraph: "ens", ttl: TTL.ens });
+    (data?.domains || []).forEach((d) => {
+      if (d.name && d.resolvedAddress?.id) {
+        const addr = d.resolvedAddress.id.toLowerCase();
+        if (!names[addr] || d.name.length < names[addr].length) names[addr] = d.name;
+      }
+    });
+  } catch { /* ENS resolution is best-effort */ }
+  return names;
+}
+
+// ── CoinGecko price fetch ──
+export async function fetchCoinGeckoPrices() {
+  try {
+    const res = await fetch(
+      "https://api.coingecko.com/api/v3/simple/price?ids=ethereum,livepeer&vs_currencies=usd&include_24hr_change=true"
+    );
+    const json = await res.json();
+    return {
+      ethUsd: json.ethereum?.usd || 0,
+      ethChange24h: json.ethereum?.usd_24h_change || 0,
+      lptUsd: json.livepeer?.usd || 0,
+      lptChange24h: json.livepeer?.usd_24h_change || 0,
+    };
+  } catch (e) {
+    console.warn("CoinGecko price fetch failed:", e);
+    return null;
+  }
+}
+
+export async function fetchLptSparkline() {
+  try {
+    const res = await fetch(
+      "https://api.coingecko.com/api/v3/coins/livepeer/market_chart?vs_currency=usd&days=7"
+    );
+    const json = await res.json();
+    // Sample down to ~28 points (every 6th data point from hourly data)
+    const prices = json.prices || [];
+    const step = Math.max(1, Math.floor(prices.length / 28));
+    return prices.filter((_, i) => i % step === 0).map(([ts, price]) => ({ ts, price }));
+  } catch (e) {
+    console.warn("CoinGecko sparkline fetch failed:", e);
+    return null;
+  }
+}
+
+// ── Public API ──
+
+// A 0x address or .eth name → lowercase address.
+export async function resolveAddress(input) {
+  const s = input.trim();
+  if (s.endsWith(".eth")) return resolveENS(s);
+  const addr = s.toLowerCase();
+  if (!/^0x[a-f0-9]{40}$/.test(addr)) {
+    throw new Error("Please enter a valid Ethereum address (0x...) or ENS name (.eth)");
+  }
+  return addr;
+}
+
+function normalizeProtocol(protocol) {
+  return {
+    inflation: Number(protocol.inflation),
+    inflationChange: Number(protocol.inflationChange),
+    targetBondingRate: Number(protocol.targetBondingRate),
+    totalActiveStake: Number(protocol.totalActiveStake),
+    totalSupply: Number(protocol.totalSupply),
+    participationRate: Number(protocol.participationRate),
+    currentRound: protocol.currentRound.id,
+    mintableTokens: Number(protocol.currentRound.mintableTokens),
+    lptPriceEth: Number(protocol.lptPriceEth),
+    totalVolumeETH: Number(protocol.totalVolumeETH),
+    totalVolumeUSD: Number(protocol.totalVolumeUSD),
+    winningTicketCount: Number(protocol.winningTicketCount),
+    delegatorsCount: Number(protocol.delegatorsCount),
+  };
+}
+
+// The ACTUAL round length, derived live from the last two round start times. A
+// Livepeer round is ~21.4h (not 24h), so there are ~410 rounds/year, not 365 —
+// hardcoding 365 made every APY ~11% too low. Resolves to { secPerRound,
+// roundsPerYear, currentRound, currentRoundStart } (the last two null if the
+// subgraph returned no rounds).
+export async function getRoundTiming() {
+  const data = await gqlFetch(QUERIES.recentRounds, { ttl: TTL.recentRounds });
+  const rr = data?.rounds || [];
+  const secPerRound = (rr.length >= 2 && Number(rr[0].startTimestamp) > Number(rr[1].startTimestamp))
+    ? Number(rr[0].startTimestamp) - Number(rr[1].startTimestamp)
+    : 76950;
+  return {
+    secPerRound,
+    roundsPerYear: 31557600 / secPerRound,
+    currentRound: rr.length ? Number(rr[0].id) : null,
+    currentRoundStart: rr.length ? Number(rr[0].startTimestamp) : null,
+  };
+}
+
+// Estimated unix time `round` starts, projected from the current round at the
+// live round length. Rounds only start once someone initializes them, so real
+// starts drift a little later.
+export const roundStartsAt = (timing, round) => timing.currentRoundStart + (round - timing.currentRound) * timing.secPerRound;
+
+export async function getProtocol() {
+  const data = await gqlFetch(QUERIES.protocol, { ttl: TTL.protocol });
+  return normalizeProtocol(data.protocol);
+}
+
+// ETH a position can withdraw now. `totalFees` is BondingManager's
+// pendingFees(), which already leaves out what was withdrawn — subtracting
+// `withdrawnFees` again would count withdrawals twice.
+export const pendingFees = (position) => position.totalFees;
+
+// Full position of one delegator: live stake and fees from BondingManager, the
+// subgraph's claim and event history, unbonding locks, the delegate's recent
+// reward calling and a subgraph-vs-chain sync check (null if that failed).
+export async function getDelegatorPosition(input) {
+  const addr = await resolveAddress(input);
+  // Claims and events are cursor-paginated to the end (up to 20k claims and
+  // 10k events per type), so long-lived delegators get their full history.
+  const [delData, earnPages, evtPages, protoData, timing] = await Promise.all([
+    gqlFetch(QUERIES.delegator(addr), { ttl: TTL.delegator }),
+    paginate((q) => gqlFetch(q, { ttl: TTL.earnings }), (c) => QUERIES.earnings(addr, c.earningsClaimedEvents), ["earningsClaimedEvents"], { orderBy: "timestamp" }),
+    paginate((q) => gqlFetch(q, { ttl: TTL.events }), (c) => QUERIES.events(addr, c), Object.keys(EVENT_FIELDS), { orderBy: "timestamp", maxPages: 10 }),
+    gqlFetch(QUERIES.protocol, { ttl: TTL.protocol }),
+    getRoundTiming().catch(() => null),
+  ]);
+  const allEarnings = earnPages.earningsClaimedEvents.items;
+  const evtData = Object.fromEntries(Object.entries(evtPages).map(([f, r]) => [f, r.items]));
+
+  if (!delData.delegator) throw new Error("No delegator found at this address. Make sure the wallet has delegated LPT on Livepeer (Arbitrum).");
+
+  const del = delData.delegator;
+  const claims = allEarnings.map((c) => {
+    const startR = Number(c.startRound);
+    const endR = Number(c.endRound.id);
+    const rounds = Math.max(endR - startR + 1, 1);
+    return {
+      id: c.id,
+      r: `${startR}–${endR}`,
+      lpt: Number(c.rewardTokens),
+      eth: Number(c.fees),
+      ts: Number(c.timestamp),
+      rounds,
+      delegate: c.delegate?.id,
+    };
+  });
+
+  // Build events timeline
+  const events = [];
+  (evtData.bondEvents || []).forEach((e) => {
+    const isRebond = Number(e.additionalAmount) === 0 && e.oldDelegate;
+    events.push({
+      t: isRebond ? "redelegate" : "bond",
+      ts: Number(e.timestamp),
+      round: Number(e.round.id),
+      desc: isRebond
+        ? `Moved delegation to ${fmtAddr(e.newDelegate.id)}`
+        : `Bonded ${fmtN(Number(e.additionalAmount))} LPT`,
+      val: `${fmtN(Number(e.additionalAmount))} LPT`,
+      to: fmtAddr(e.newDelegate.id),
+    });
+  });
+  (evtData.unbondEvents || []).forEach((e) => {
+    events.push({ t: "unbond", ts: Number(e.timestamp), round: Number(e.round.id), desc: `Unbonded ${fmtN(Number(e.amount))} LPT`, val: `${fmtN(Number(e.amount))} LPT` });
+  });
+  (evtData.rebondEvents || []).forEach((e) => {
+    events.push({ t: "rebond", ts: Number(e.timestamp), round: Number(e.round.id), desc: `Rebonded ${fmtN(Number(e.amount))} LPT`, val: `${fmtN(Number(e.amount))} LPT` });
+  });
+  (evtData.withdrawStakeEvents || []).forEach((e) => {
+    events.push({ t: "withdraw", ts: Number(e.timestamp), round: Number(e.round.id), desc: `Withdrew ${fmtN(Number(e.amount))} LPT stake`, val: `${fmtN(Number(e.amount))} LPT` });
+  });
+  (evtData.withdrawFeesEvents || []).forEach((e) => {
+    events.push({ t: "withdrawFees", ts: Number(e.timestamp), round: Number(e.round.id), desc: `Withdrew ${fmtN(Number(e.amount), 6)} ETH fees`, val: `${fmtN(Number(e.amount), 6)} ETH` });
+  });
+  claims.forEach((c) => {
+    events.push({ t: "claim", ts: c.ts, round: 0, desc: `Claimed ${fmtN(c.lpt)} LPT + ${fmtN(c.eth, 6)} ETH (${c.r})`, val: `${fmtN(c.lpt)} LPT` });
+  });
+  events.sort((a, b) => a.ts - b.ts);
+
+  // The same history reduced to bonded-stake movements, for getRewardLedger
+  const stakeChanges = [
+    ...(evtData.bondEvents || []).map((e) => ({ ts: Number(e.timestamp), round: Number(e.round.id), amount: Number(e.additionalAmount), delegate: e.newDelegate?.id?.toLowerCase() })),
+    ...(evtData.unbondEvents || []).map((e) => ({ ts: Number(e.timestamp), round: Number(e.round.id), amount: -Number(e.amount) })),
+    ...(evtData.rebondEvents || []).map((e) => ({ ts: Number(e.timestamp), round: Number(e.round.id), amount: Number(e.amount) })),
+  ].sort((a, b) => a.ts - b.ts);
+
+  // Fetch live balances from BondingManager contract
+  const currentRound = protoData.protocol.currentRound.id;
+  // The sync check is best-effort — if it fails the banner just stays hidden
+  const [live, sync] = await Promise.all([
+    fetchPendingStakeAndFees(addr, currentRound),
+    checkSubgraphSync(addr, del).catch(() => null),
+  ]);
+  // Reward-call reliability of the delegate over the last 30 rounds — a
+  // missed round means delegators earned no inflationary reward that round.
+  let rewardReliability = null;
+  if (del.delegate?.id) {
+    try {
+      const rc = await gqlFetch(QUERIES.rewardCalls([del.delegate.id.toLowerCase()], "", 40), { ttl: TTL.rewardCalls });
+      const cur = Number(currentRound);
+      const W = 30;
+      const called = new Set((rc?.rewardCalls || []).map((e) => Number(e.round.id)).filter((r) => r > cur - W && r <= cur));
+      rewardReliability = { called: called.size, window: W, pct: Math.round((called.size / W) * 100) };
+    } catch { /* best-effort */ }
+  }
+  const claimedLPT = claims.reduce((s, c) => s + c.lpt, 0);
+  const bondedAmt = live.stake;
+  const principal = Number(del.principal);
+  // Lifetime rewards = current stake − lifetime principal deposited + lifetime
+  // unbonded. Without the `+ unbonded` term, any account that has unbonded
+  // reads 0 rewards, because current stake drops below cumulative principal.
+  const lifetimeUnbondedAmt = Number(del.unbonded || 0);
+  const totalRewards = Math.max(0, bondedAmt - principal + lifetimeUnbondedAmt);
+  const pendingRewards = Math.max(0, totalRewards - claimedLPT);
+
+  return {
+    address: addr,
+    delegator: del,
+    claims,
+    events,
+    stakeChanges,
+    bondedAmount: bondedAmt,
+    principal,
+    unbonded: Number(del.unbonded || 0),
+    delegatedAmount: Number(del.delegatedAmount || 0),
+    currentRound: Number(currentRound),
+    rewardReliability,
+    sync,
+    roundTiming: timing,
+    // `exactAmount` is the subgraph's decimal string, for typing into a
+    // withdraw form; `unlocksAt` the estimated unix time, null without timing
+    unbondingLocks: (del.unbondingLocks || []).map((l) => ({
+      id: l.id,
+      lockId: l.unbondingLockId,
+      amount: Number(l.amount),
+      exactAmount: l.amount,
+      delegate: l.delegate?.id?.toLowerCase(),
+      withdrawRound: Number(l.withdrawRound),
+      unlocksAt: timing?.currentRoundStart ? roundStartsAt(timing, Number(l.withdrawRound)) : null,
+    })).filter((l) => l.amount > 0).sort((a, b) => a.withdrawRound - b.withdrawRound),
+    totalFees: live.fees,
+    withdrawnFees: Number(del.withdrawnFees),
+    delegate: del.delegate,
+    earned: claimedLPT,
+    totalRewards,
+    pendingRewards,
+    totalETH: claims.reduce((s, c) => s + c.eth, 0),
+    totalRounds: claims.reduce((s, c) => s + c.rounds, 0),
+    claimsComplete: earnPages.earningsClaimedEvents.complete,
+    eventsComplete: Object.values(evtPages).every((r) => r.complete),
+  };
+}
+
+// Round-by-round earnings of a position (from getDelegatorPosition), rebuilt
+// from the delegates' earnings pools rather than from claims — since rewards
+// accrue automatically, claims are rare and span hundreds of rounds. Each
+// round the delegator earns its share (stake / pool stake) of what the pool
+// left for delegators, and the LPT compounds into next round's stake. Bonds,
+// unbonds and rebonds take effect the round after they happen.
+//
+// Resolves to { rows, totals, reconciliation, complete }, rows being every
+// round with stake bonded: { round, ts, delegate, stake, lpt, eth, called }.
+// `reconciliation` compares the end state with BondingManager — a gap means
+// history the subgraph didn't return (capped pages, pre-migration stake).
+export async function getRewardLedger(position) {
+  const changes = position.stakeChanges;
+  const delegates = [...new Set(changes.map((c) => c.delegate).filter(Boolean))];
+  if (!delegates.length) return null;
+  const pages = await paginate(
+    (q) => gqlFetch(q, { ttl: TTL.pools }),
+    (c) => QUERIES.pools(delegates, c.pools),
+    ["pools"],
+    { maxPages: 10 },
+  );
+  const pools = new Map(pages.pools.items.map((p) => [`${p.delegate.id.toLowerCase()}-${p.round.id}`, p]));
+  const self = position.address.toLowerCase();
+
+  const rows = [];
+  let stake = 0;
+  let delegate = null;
+  let next = 0;
+  for (let round = changes[0].round; round <= position.currentRound; round++) {
+    const p = pools.get(`${delegate}-${round}`);
+    if (delegate && stake > 0) {
+      let lpt = 0;
+      let eth = 0;
+      if (p && Number(p.totalStake) > 0) {
+        const share = stake / Number(p.totalStake);
+        const rewardCut = Number(p.rewardCut) / 1e6;
+        const feeShare = Number(p.feeShare) / 1e6;
+        lpt = Number(p.rewardTokens) * (1 - rewardCut) * share;
+        eth = Number(p.fees) * feeShare * share;
+        // An orchestrator bonded to itself also keeps the cut
+        if (delegate === self) {
+          lpt += Number(p.rewardTokens) * rewardCut;
+          eth += Number(p.fees) * (1 - feeShare);
+        }
+      }
+      rows.push({ round, ts: p ? Number(p.round.startTimestamp) : null, delegate, stake, lpt, eth, called: Number(p?.rewardTokens || 0) > 0 });
+      stake += lpt;
+    }
+    for (; next < changes.length && changes[next].round === round; next++) {
+      stake = Math.max(0, stake + changes[next].amount);
+      if (changes[next].delegate) delegate = changes[next].delegate;
+    }
+  }
+
+  const lpt = rows.reduce((s, r) => s + r.lpt, 0);
+  const eth = rows.reduce((s, r) => s + r.eth, 0);
+  const chainFees = position.totalFees + position.withdrawnFees;
+  return {
+    rows,
+    totals: { lpt, eth, rounds: rows.length, missedRounds: rows.filter((r) => !r.called).length },
+    reconciliation: {
+      stake: { ledger: stake, chain: position.bondedAmount, diff: stake - position.bondedAmount, ok: Math.abs(stake - position.bondedAmount) <= stakeTolerance(position.bondedAmount) },
+      fees: { ledger: eth, chain: chainFees, diff: eth - chainFees, ok: Math.abs(eth - chainFees) <= Math.max(1e-6, chainFees * 0.001) },
+    },
+    complete: pages.pools.complete && position.eventsComplete,
+  };
+}
+
+// Rounds a position had stake bonded, from its bond history alone: principal
+// only, so later rounds understate the compounded stake getRewardLedger finds.
+function bondedRounds(position) {
+  const changes = position.stakeChanges;
+  const rows = [];
+  let stake = 0;
+  let delegate = null;
+  let next = 0;
+  for (let round = changes[0]?.round ?? Infinity; round <= position.currentRound; round++) {
+    if (delegate && stake > 0) rows.push({ round, delegate, stake });
+    for (; next < changes.length && changes[next].round === round; next++) {
+      stake = Math.max(0, stake + changes[next].amount);
+      if (changes[next].delegate) delegate = changes[next].delegate;
+    }
+  }
+  return rows;
+}
+
+// What missed reward calls cost a position: every round it was bonded to an
+// orchestrator that didn't call reward, priced at the LPT it would have earned
+// — that round's mintable tokens × its share of the active stake × (1 − reward
+// cut). Pass the getRewardLedger result to size each round on compounded stake.
+//
+// Resolves to { rounds, byDelegate, totalLost, complete }; rounds are
+// { round, delegate, stake, rewardCut, lost }, newest first.
+export async function getMissedRewards(position, ledger = null) {
+  const bonded = ledger ? ledger.rows : bondedRounds(position);
+  const delegates = [...new Set(bonded.map((r) => r.delegate))];
+  if (!delegates.length) return { rounds: [], byDelegate: [], totalLost: 0, complete: true };
+  const firstRound = bonded[0].round;
+
+  const [calls, cutHistories] = await Promise.all([
+    paginate(
+      (q) => gqlFetch(q, { ttl: TTL.rewardCalls }),
+      (c) => QUERIES.rewardCalls(delegates, c.rewardCalls),
+      ["rewardCalls"],
+      { orderBy: "timestamp", direction: "desc", stopWhen: (items) => Number(items[items.length - 1].round.id) < firstRound },
+    ),
+    Promise.all(delegates.map((id) => fetchCutHistory(id).catch(() => []))),
+  ]);
+  // Cut short by stopWhen is fine as long as the scan got back past the first round
+  const scanned = calls.rewardCalls.items;
+  const scanComplete = calls.rewardCalls.complete || (scanned.length > 0 && Number(scanned[scanned.length - 1].round.id) < firstRound);
+  const called = new Set(scanned.map((e) => `${e.delegate.id.toLowerCase()}-${e.round.id}`));
+  const missed = bonded.filter((r) => !called.has(`${r.delegate}-${r.round}`));
+
+  const supply = new Map();
+  for (let i = 0; i < missed.length; i += PAGE_SIZE) {
+    const ids = [...new Set(missed.slice(i, i + PAGE_SIZE).map((r) => String(r.round)))];
+    const data = await gqlFetch(QUERIES.roundSupply(ids), { ttl: TTL.roundSupply });
+    for (const r of data.roundSupply || []) supply.set(Number(r.id), r);
+  }
+
+  // Reward cut in force in a round: the last change at or before it, else the
+  // earliest one on record
+  const cuts = Object.fromEntries(delegates.map((id, i) => [id, cutHistories[i]]));
+  const cutAt = (delegate, round) => {
+    const history = cuts[delegate];
+    if (!history.length) return null;
+    let cut = history[0].rewardCut;
+    for (const c of history) if (Number(c.round) <= round) cut = c.rewardCut;
+    return cut;
+  };
+
+  const self = position.address.toLowerCase();
+  const rounds = missed.map((r) => {
+    const s = supply.get(r.round);
+    const rewardCut = cutAt(r.delegate, r.round);
+    const totalActive = Number(s?.totalActiveStake || 0);
+    const keep = r.delegate === self ? 1 : 1 - (rewardCut ?? 0) / 100;
+    const lost = totalActive > 0 ? Number(s.mintableTokens) * (r.stake / totalActive) * keep : null;
+    return { round: r.round, delegate: r.delegate, stake: r.stake, rewardCut, lost };
+  }).reverse();
+
+  const byDelegate = delegates.map((id) => {
+    const mine = rounds.filter((r) => r.delegate === id);
+    return {
+      delegate: id,
+      bondedRounds: bonded.filter((r) => r.delegate === id).length,
+      missed: mine.length,
+      lost: mine.reduce((s, r) => s + (r.lost || 0), 0),
+    };
+  });
+  return {
+    rounds,
+    byDelegate,
+    totalLost: byDelegate.reduce((s, d) => s + d.lost, 0),
+    complete: scanComplete && position.eventsComplete,
+  };
+}
+
+// Rounds in which each of `ids` called reward over the last `rounds` rounds, or
+// over its whole history when `rounds` is null. Fetched in delegate_in batches
+// sized to a few pages each — scanning every reward call on the network newest
+// first runs into its page cap long before a 365-round window. Batches run one
+// after another, and all of them together stop at REWARD_CALL_PAGE_BUDGET pages
+// so a whole-history Compare list can't flood the gateway.
+//
+// Resolves to { currentRound, fromRound, timing, byId: { [id]: rounds, oldest
+// first }, complete }; fromRound is null for the whole history. Orchestrators
+// the budget didn't reach, or didn't reach the end of, are left out of byId —
+// unknown, not unreliable.
+const REWARD_CALL_PAGE_BUDGET = 60;
+
+export async function getRewardCallRounds(ids, { rounds = DEFAULT_RELIABILITY_WINDOW, currentRound = null } = {}) {
+  const timing = await getRoundTiming();
+  const cur = currentRound ?? timing.currentRound;
+  const fromRound = rounds ? cur - rounds + 1 : null;
+  const reached = (items) => fromRound != null && items.length > 0 && Number(items[items.length - 1].round.id) < fromRound;
+  const perBatch = Math.max(1, Math.floor((5 * PAGE_SIZE) / (rounds || cur)));
+  const batches = [];
+  for (let i = 0; i < ids.length; i += perBatch) batches.push(ids.slice(i, i + perBatch).map((id) => id.toLowerCase()));
+
+  const byId = {};
+  let complete = true;
+  let budget = REWARD_CALL_PAGE_BUDGET;
+  for (const batch of batches) {
+    if (budget <= 0) {
+      complete = false;
+      break;
+    }
+    const { rewardCalls } = await paginate(
+      (q) => {
+        budget--;
+        return gqlFetch(q, { ttl: TTL.rewardCalls });
+      },
+      (c) => QUERIES.rewardCalls(batch, c.rewardCalls),
+      ["rewardCalls"],
+      { orderBy: "timestamp", direction: "desc", maxPages: budget, stopWhen: fromRound == null ? undefined : reached },
+    );
+    // Cut short by stopWhen is fine as long as the scan got back past the window;
+    // a batch the budget cut off mid-scan would pass its oldest fetched round off
+    // as the start, so its orchestrators stay unknown instead
+    if (!rewardCalls.complete && !reached(rewardCalls.items)) {
+      complete = false;
+      continue;
+    }
+    batch.forEach((id) => (byId[id] = new Set()));
+    for (const e of rewardCalls.items) {
+      const round = Number(e.round.id);
+      if (round <= cur && (fromRound == null || round >= fromRound)) byId[e.delegate.id.toLowerCase()]?.add(round);
+    }
+  }
+  return {
+    currentRound: cur,
+    fromRound,
+    timing,
+    byId: Object.fromEntries(Object.entries(byId).map(([id, set]) => [id, [...set].sort((a, b) => a - b)])),
+    complete,
+  };
+}
+
+// Every active orchestrator with its reward APY, fee yield and reward-call
+// reliability over `reliabilityRounds` (null when unknown). Resolves to { protocol, roundsPerYear, reliabilityWindow, orchestrators }.
+export async function getOrchestrators() {
+  const [tData, pData, { roundsPerYear }] = await Promise.all([
+    gqlFetch(QUERIES.transcoders, { ttl: TTL.transcoders }),
+    gqlFetch(QUERIES.protocol, { ttl: TTL.protocol }),
+    getRoundTiming(),
+  ]);
+  const protocol = pData.protocol;
+  const mintable = Number(protocol.currentRound.mintableTokens);
+  const totalActive = Number(protocol.totalActiveStake);
+  const currentRoundId = protocol.currentRound.id;
+
+  // Reward-call reliability over the last 30 rounds, the window the planner
+  // and projections use; Compare fetches longer windows itself
+  const relWindow = DEFAULT_RELIABILITY_WINDOW;
+  let relCalls = null;
+  try {
+    relCalls = await getRewardCallRounds(tData.transcoders.map((t) => t.id), { rounds: relWindow, currentRound: Number(currentRoundId) });
+  } catch { /* best-effort — reliability just shows as unknown */ }
+  // null when the reward calls couldn't be fetched, or the page budget left this
+  // orchestrator out: unknown, not 0%
+  const relOf = (id) => {
+    const called = relCalls?.byId[id.toLowerCase()];
+    if (!called) return { reliableRounds: null, reliability: null, reliabilityRounds: null };
+    const n = called.length;
+    return { reliableRounds: n, reliability: Math.round((n / relWindow) * 100), reliabilityRounds: relWindow };
+  };
+
+  const orchestrators = tData.transcoders.map((t) => {
+    const stake = Number(t.totalStake);
+    const rewardCut = Number(t.rewardCut);
+    const feeShare = Number(t.feeShare);
+    const eth30d = Number(t.thirtyDayVolumeETH);
+    const eth60d = Number(t.sixtyDayVolumeETH);
+    const eth90d = Number(t.ninetyDayVolumeETH);
+    const totalETHVol = Number(t.totalVolumeETH);
+
+    // Reward APY: per-round delegator yield, annualized
+    const baseYield = totalActive > 0 ? mintable / totalActive : 0;
+    const delegatorYield = baseYield * (1 - rewardCut / 1000000);
+    const rewardAPY = delegatorYield * roundsPerYear * 100;
+
+    // ETH yield: delegator share of 30d fees, per LPT staked, annualized
+    const delegatorFees30d = eth30d * (feeShare / 1000000);
+    const ethYieldPerLPT = stake > 0 ? (delegatorFees30d / stake) * 12 : 0;
+
+    return {
+      id: t.id,
+      rewardCut,
+      feeShare,
+      stake,
+      eth30d,
+      eth60d,
+      eth90d,
+      totalETH: totalETHVol,
+      rewardAPY,
+      ethYieldPerLPT,
+      delegatorFees30d,
+      isWorking: eth30d > 0,
+      lastRewardRound: t.lastRewardRound?.id,
+      callingReward: t.lastRewardRound?.id === currentRoundId,
+      ...relOf(t.id),
+      sparkline: null,
+    };
+  });
+  return { protocol: normalizeProtocol(protocol), roundsPerYear, reliabilityWindow: relWindow, orchestrators };
+}
+
+// The watched orchestrators' current settings, their latest cut changes and
+// the delegator's delegate and unbonding locks, bypassing the cache. Resolves
+// to { currentRound, orchestrators: [{ id, active, totalStake, rewardCut,
+// feeShare, lastRewardRound }], cutChanges (newest first), delegate, locks }. An
+// orchestrator missing from `orchestrators` has no transcoder record at all.
+export async function getWatchSnapshot(ids, delegator = null) {
+  const data = await gqlFetch(QUERIES.watch(ids, delegator), { fresh: true });
+  return {
+    currentRound: Number(data.protocol.currentRound.id),
+    orchestrators: (data.watched || []).map((t) => ({
+      id: t.id,
+      active: Boolean(t.active),
+      totalStake: Number(t.totalStake),
+      rewardCut: Number(t.rewardCut) / 10000,
+      feeShare: Number(t.feeShare) / 10000,
+      lastRewardRound: t.lastRewardRound ? Number(t.lastRewardRound.id) : null,
+    })),
+    cutChanges: (data.cutChanges || []).map((e) => ({
+      id: e.id,
+      ts: Number(e.timestamp),
+      delegate: e.delegate.id,
+      rewardCut: Number(e.rewardCut) / 10000,
+      feeShare: Number(e.feeShare) / 10000,
+    })),
+    delegate: data.watcher?.delegate?.id || null,
+    locks: (data.watcher?.unbondingLocks || []).map((l) => ({
+      lockId: Number(l.unbondingLockId),
+      amount: Number(l.amount),
+      withdrawRound: Number(l.withdrawRound),
+    })),
+  };
+}
+
+// Daily fee volume over the last 30 days for the given orchestrators.
+// Resolves to { [id]: [{ d, v }] }.
+export async function getOrchestratorSparklines(ids) {
+  if (!ids.length) return {};
+  const dayStart = Math.floor((Math.floor(Date.now() / 1000) - 30 * 86400) / 86400);
+  const data = await gqlFetch(`{
+    transcoderDays(where: { transcoder_in: [${ids.map((id) => `"${id}"`).join(",")}], date_gte: ${dayStart} }, first: 1000, orderBy: date, orderDirection: asc) {
+      transcoder { id }
+      date
+      volumeETH
+    }
+  }`, { ttl: TTL.sparkline });
+  const byOrch = {};
+  (data?.transcoderDays || []).forEach((d) => {
+    (byOrch[d.transcoder.id] ||= []).push({ d: Number(d.date), v: Number(d.volumeETH) });
+  });
+  return byOrch;
+}
+
+// One orchestrator with every delegator currently bonded to it, largest first.
+// Cuts are in percent here (the subgraph stores them scaled by 1e6).
+export async function getOrchestrator(input) {
+  const orchId = await resolveAddress(input);
+  const [result, delPages] = await Promise.all([
+    gqlFetch(QUERIES.orchestratorDetail(orchId), { ttl: TTL.orchestratorDetail }),
+    paginate((q) => gqlFetch(q, { ttl: TTL.orchestratorDetail }), (c) => QUERIES.orchestratorDelegators(orchId, c.delegators), ["delegators"]),
+  ]);
+  const t = result.transcoder;
+  if (!t) throw new Error("Orchestrator not found");
+  const delegators = delPages.delegators.items.map((d) => ({
+    id: d.id,
+    bondedAmount: Number(d.bondedAmount),
+    startRound: d.startRound,
+    lastClaimRound: d.lastClaimRound?.id,
+  })).sort((a, b) => b.bondedAmount - a.bondedAmount);
+  return {
+    id: t.id,
+    active: t.active,
+    totalStake: Number(t.totalStake),
+    rewardCut: Number(t.rewardCut) / 10000,
+    feeShare: Number(t.feeShare) / 10000,
+    eth30d: Number(t.thirtyDayVolumeETH),
+    eth60d: Number(t.sixtyDayVolumeETH),
+    eth90d: Number(t.ninetyDayVolumeETH),
+    totalETH: Number(t.totalVolumeETH),
+    lastRewardRound: t.lastRewardRound?.id,
+    serviceURI: t.serviceURI,
+    delegators,
+    delegatorsComplete: delPages.delegators.complete,
+  };
+}
+
+// Delegators leaving an orchestrator, for the churn figures next to its
+// delegator list: every unbond from it and every move to another orchestrator,
+// newest first, plus the round timing to date them by month. Resolves to
+// { timing, exits: [{ ts, round, delegator, type, amount }], complete }.
+export async function getDelegatorExits(input) {
+  const id = (await resolveAddress(input)).toLowerCase();
+  const [pages, timing] = await Promise.all([
+    paginate(
+      (q) => gqlFetch(q, { ttl: TTL.operatorFlows }),
+      (c) => QUERIES.operatorFlows(id, c),
+      ["unbonds", "bondsOut"],
+      { orderBy: "timestamp", direction: "desc", maxPages: 10 },
+    ),
+    getRoundTiming().catch(() => null),
+  ]);
+  const exit = (e, type, amount) => ({ ts: Number(e.timestamp), round: Number(e.round.id), delegator: e.delegator.id.toLowerCase(), type, amount });
+  const exits = [
+    ...pages.unbonds.items.map((e) => exit(e, "unbond", Number(e.amount))),
+    ...pages.bondsOut.items
+      .filter((e) => e.newDelegate?.id?.toLowerCase() !== id)
+      .map((e) => exit(e, "move out", Number(e.bondedAmount) - Number(e.additionalAmount))),
+  ].sort((a, b) => b.ts - a.ts);
+  return { timing, exits, complete: pages.unbonds.complete && pages.bondsOut.complete };
+}
+
+// The operator's side of an orchestrator over its last `rounds` rounds: what
+// the reward cut and fee share earned it per round, its own stake against
+// what delegators bring, and delegators arriving and leaving. Cuts in percent.
+//
+// Resolves to { id, active, totalStake, rewardCut, feeShare, currentRound,
+// fromRound, selfStake, delegatedStake, rows, flows, totals, complete }:
+//   rows   — every round of the window since the orchestrator's first pool,
+//            newest first: { round, ts, called, rewardTokens, cutLPT, fees,
+//            keptETH, poolStake }. `called: false` is a missed reward call.
+//   flows  — stake moves, newest first: { ts, round, delegator, type, amount,
+//            self }; type is bond | move in | move out | unbond | rebond and
+//            amount is signed (negative leaves). `self` is the operator's own.
+//   totals — the window summed; inflow/outflow/net count delegators only.
+export async function getOperatorReport(input, { rounds = 90 } = {}) {
+  const id = (await resolveAddress(input)).toLowerCase();
+  const [detail, selfData, pData, timing] = await Promise.all([
+    gqlFetch(QUERIES.orchestratorDetail(id), { ttl: TTL.orchestratorDetail }),
+    gqlFetch(QUERIES.delegator(id), { ttl: TTL.delegator }),
+    gqlFetch(QUERIES.protocol, { ttl: TTL.protocol }),
+    getRoundTiming().catch(() => null),
+  ]);
+  const t = detail.transcoder;
+  if (!t) throw new Error("Orchestrator not found");
+  const currentRound = Number(pData.protocol.currentRound.id);
+  const fromRound = currentRound - rounds + 1;
+  const beforeWindow = (items) => Number(items[items.length - 1].round.id) < fromRound;
+
+  const [poolPages, callPages, flowPages, pending] = await Promise.all([
+    // Only the window's pools, so an old orchestrator's early rounds can't use
+    // up the pages; a window too long for them shows up as `complete: false`
+    paginate((q) => gqlFetch(q, { ttl: TTL.pools }), (c) => QUERIES.pools([id], c.pools, { from: fromRound, to: currentRound }), ["pools"]),
+    paginate(
+      (q) => gqlFetch(q, { ttl: TTL.rewardCalls }),
+      (c) => QUERIES.rewardCalls([id], c.rewardCalls),
+      ["rewardCalls"],
+      { orderBy: "timestamp", direction: "desc", stopWhen: beforeWindow },
+    ),
+    paginate(
+      (q) => gqlFetch(q, { ttl: TTL.operatorFlows }),
+      (c) => QUERIES.operatorFlows(id, c),
+      Object.keys(FLOW_FIELDS),
+      { orderBy: "timestamp", direction: "desc", maxPages: 10, stopWhen: beforeWindow },
+    ),
+    fetchPendingStakeAndFees(id, currentRound).catch(() => null),
+  ]);
+
+  // Self-stake is the operator's own delegator record, when bonded to itself.
+  // BondingManager's pending stake includes rewards not yet claimed.
+  const self = selfData.delegator;
+  const bondedToSelf = self?.delegate?.id?.toLowerCase() === id;
+  const totalStake = Number(t.totalStake);
+  const selfStake = bondedToSelf ? (pending?.stake ?? Number(self.bondedAmount)) : 0;
+
+  const pools = new Map(poolPages.pools.items.map((p) => [Number(p.round.id), p]));
+  const called = new Set(callPages.rewardCalls.items.map((e) => Number(e.round.id)));
+  const firstRound = Math.max(fromRound, Math.min(...pools.keys(), ...called));
+  const rows = [];
+  for (let round = currentRound; round >= firstRound; round--) {
+    const p = pools.get(round);
+    const rewardTokens = Number(p?.rewardTokens || 0);
+    const fees = Number(p?.fees || 0);
+    rows.push({
+      round,
+      ts: p ? Number(p.round.startTimestamp) : timing?.currentRoundStart ? roundStartsAt(timing, round) : null,
+      called: called.has(round) || rewardTokens > 0,
+      rewardTokens,
+      cutLPT: p ? rewardTokens * (Number(p.rewardCut) / 1e6) : 0,
+      fees,
+      keptETH: p ? fees * (1 - Number(p.feeShare) / 1e6) : 0,
+      poolStake: p ? Number(p.totalStake) : null,
+    });
+  }
+
+  const flow = (e, type, amount) => ({
+    ts: Number(e.timestamp),
+    round: Number(e.round.id),
+    delegator: e.delegator.id.toLowerCase(),
+    type,
+    amount,
+    self: e.delegator.id.toLowerCase() === id,
+  });
+  const from = (e) => e.oldDelegate?.id?.toLowerCase();
+  const to = (e) => e.newDelegate?.id?.toLowerCase();
+  const { bondsIn, bondsOut, unbonds, rebonds } = Object.fromEntries(Object.entries(flowPages).map(([f, r]) => [f, r.items]));
+  const flows = [
+    // A bond from another orchestrator (or none) brings the whole stake along
+    ...bondsIn.map((e) => (from(e) === id
+      ? flow(e, "bond", Number(e.additionalAmount))
+      : flow(e, from(e) && from(e) !== ZERO_ADDRESS ? "move in" : "bond", Number(e.bondedAmount)))),
+    ...bondsOut.filter((e) => to(e) !== id).map((e) => flow(e, "move out", -(Number(e.bondedAmount) - Number(e.additionalAmount)))),
+    ...unbonds.map((e) => flow(e, "unbond", -Number(e.amount))),
+    ...rebonds.map((e) => flow(e, "rebond", Number(e.amount))),
+  ].filter((f) => f.round >= fromRound && f.amount !== 0).sort((a, b) => b.ts - a.ts);
+
+  const delegatorFlows = flows.filter((f) => !f.self);
+  const inflow = delegatorFlows.filter((f) => f.amount > 0).reduce((s, f) => s + f.amount, 0);
+  const outflow = -delegatorFlows.filter((f) => f.amount < 0).reduce((s, f) => s + f.amount, 0);
+  return {
+    id,
+    active: Boolean(t.active),
+    totalStake,
+    rewardCut: Number(t.rewardCut) / 10000,
+    feeShare: Number(t.feeShare) / 10000,
+    currentRound,
+    fromRound,
+    selfStake,
+    delegatedStake: Math.max(0, totalStake - selfStake),
+    rows,
+    flows,
+    totals: {
+      cutLPT: rows.reduce((s, r) => s + r.cutLPT, 0),
+      keptETH: rows.reduce((s, r) => s + r.keptETH, 0),
+      called: rows.filter((r) => r.called).length,
+      missed: rows.filter((r) => !r.called).length,
+      inflow,
+      outflow,
+      net: inflow - outflow,
+    },
+    complete: poolPages.pools.complete && [callPages.rewardCalls, ...Object.values(flowPages)].every((r) => r.complete || beforeWindow(r.items)),
+  };
+}
+
+// Protocol totals plus the demand side: top broadcasters, recent winning
+// tickets, the biggest broadcaster→orchestrator flows and 30 days of volume.
+export async function getNetworkStats() {
+  const [bData, tData, dData, protocol] = await Promise.all([
+    gqlFetch(QUERIES.broadcasters, { ttl: TTL.broadcasters }),
+    gqlFetch(QUERIES.recentTickets, { ttl: TTL.recentTickets }),
+    gqlFetch(QUERIES.dailyVolume, { ttl: TTL.dailyVolume }),
+    getProtocol(),
+  ]);
+
+  const broadcasters = (bData.broadcasters || []).map((b) => ({
+    id: b.id,
+    deposit: Number(b.deposit),
+    reserve: Number(b.reserve),
+    totalVolumeETH: Number(b.totalVolumeETH),
+    totalVolumeUSD: Number(b.totalVolumeUSD),
+    eth30d: Number(b.thirtyDayVolumeETH),
+    eth60d: Number(b.sixtyDayVolumeETH),
+    eth90d: Number(b.ninetyDayVolumeETH),
+    firstFundedDay: Number(b.firstFundedDay),
+    lastFundedDay: Number(b.lastFundedDay),
+  }));
+
+  const tickets = (tData.winningTicketRedeemedEvents || []).map((t) => ({
+    id: t.id,
+    ts: Number(t.timestamp),
+    faceValue: Number(t.faceValue),
+    faceValueUSD: Number(t.faceValueUSD),
+    sender: t.sender.id,
+    senderVol30d: Number(t.sender.thirtyDayVolumeETH),
+    recipient: t.recipient.id,
+    recipientStake: Number(t.recipient.totalStake),
+    recipientFeeShare: Number(t.recipient.feeShare),
+    round: t.round.id,
+  }));
+
+  // Aggregate ticket flows: sender→recipient
+  const flows = {};
+  tickets.forEach((t) => {
+    const key = `${t.sender}->${t.recipient}`;
+    if (!flows[key]) flows[key] = { sender: t.sender, recipient: t.recipient, totalETH: 0, count: 0, recipientFeeShare: t.recipientFeeShare };
+    flows[key].totalETH += t.faceValue;
+    flows[key].count += 1;
+  });
+  const topFlows = Object.values(flows).sort((a, b) => b.totalETH - a.totalETH).slice(0, 15);
+
+  const dailyVolume = (dData.days || []).map((d) => ({
+    date: fmtD(Number(d.date) * 86400),
+    eth: Number(d.volumeETH),
+    usd: Number(d.volumeUSD),
+    orchestrators: Number(d.activeTranscoderCount),
+    delegators: Number(d.delegatorsCount),
+  })).reverse();
+
+  return { protocol, broadcasters, tickets, topFlows, dailyVolume };
+}
@@ -0,0 +1,68 @@
+// ── Cursor pagination ──
+// The Graph caps `first` at 1000 and `skip` degrades (and is capped) on large
+// collections, so list queries walk a cursor instead: `id_gt`/`id_lt` when the
+// collection is ordered by id, `timestamp_gte`/`timestamp_lte` (with id dedupe)
+// when it is ordered by time. Several fields can share one request — each page
+// only asks again for the fields that came back full.
+
+export const PAGE_SIZE = 1000;
+
+// The `where` fragment that continues after `last`. Empty for the first page;
+// GraphQL treats commas as whitespace, so builders can splice it in as
+// `where: { delegator: "0x…", ${cursor} }` without caring whether it is empty.
+function cursorAfter(last, orderBy, direction) {
+  if (!last) return "";
+  if (orderBy === "id") return `id_${direction === "desc" ? "lt" : "gt"}: "${last.id}"`;
+  return `${orderBy}_${direction === "desc" ? "lte" : "gte"}: ${last[orderBy]}`;
+}
+
+// Page through one or more top-level fields until each is exhausted or capped.
+//
+//   fetchPage(query)        → response data (e.g. `(q) => gqlFetch(q, { ttl })`)
+//   buildQuery(cursors)     → query string; `cursors` maps each still-open field
+//                             to its `where` cursor fragment
+//   fields                  → field names, e.g. ["bondEvents", "unbondEvents"]
+//   orderBy / direction     → must match the ordering the query asks for
+//   maxPages                → per-field cap; hitting it marks the field capped
+//   stopWhen(items, field)  → optional early stop (e.g. scanned far enough back)
+//
+// Returns { [field]: { items, complete } }. `complete` is false when the field
+// was cut off by `maxPages` or `stopWhen` rather than running out of results.
+export async function paginate(fetchPage, buildQuery, fields, {
+  orderBy = "id",
+  direction = "asc",
+  pageSize = PAGE_SIZE,
+  maxPages = 20,
+  stopWhen,
+} = {}) {
+  const out = {};
+  const seen = {};
+  const open = {};
+  fields.forEach((f) => {
+    out[f] = { items: [], complete: false };
+    seen[f] = new Set();
+    open[f] = "";
+  });
+
+  for (let page = 0; Object.keys(open).length > 0; page++) {
+    if (page >= maxPages) break;
+    const data = await fetchPage(buildQuery({ ...open }));
+    for (const f of Object.keys(open)) {
+      const batch = data?.[f] || [];
+      const fresh = batch.filter((e) => !seen[f].has(e.id));
+      fresh.forEach((e) => seen[f].add(e.id));
+      out[f].items.push(...fresh);
+      if (batch.length < pageSize) {
+        out[f].complete = true;
+        delete open[f];
+      } else if (!fresh.length || (stopWhen && stopWhen(out[f].items, f))) {
+        // Either a whole page shared one timestamp (the cursor can't advance) or
+        // the caller has what it needs — stop without claiming completeness.
+        delete open[f];
+      } else {
+        open[f] = cursorAfter(batch[batch.length - 1], orderBy, direction);
+      }
+    }
+  }
+  return out;
+}
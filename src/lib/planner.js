@@ -0,0 +1,129 @@
+// ── Redelegation planner ──
+// "Should I move?" — expected LPT and ETH from staying with the current
+// delegate versus bonding the same stake to a candidate, over a horizon. The
+// Compare table's yields are per LPT for stake already there; a mover's stake
+// is new to the candidate's pool, so it dilutes that pool's fees. withOwnStake
+// applies the same dilution to every row of the Compare table.
+
+const YEAR = 365 * 86400;
+
+// Cut-change history (fetchCutHistory, oldest first) → the time-weighted
+// reward cut and fee share over the last year, and how often they changed.
+// A cut lowered a few weeks ago to attract stake shows up as a higher average.
+export function cutHistoryStats(events, now = Math.floor(Date.now() / 1000)) {
+  if (!events?.length) return null;
+  const since = now - YEAR;
+  const inWindow = events.filter((e) => e.ts > since);
+  const before = events.filter((e) => e.ts <= since).pop();
+  const steps = before ? [{ ...before, ts: since }, ...inWindow] : inWindow;
+  if (!steps.length) return null;
+  let cut = 0;
+  let share = 0;
+  steps.forEach((e, i) => {
+    const dt = (steps[i + 1]?.ts ?? now) - e.ts;
+    cut += e.rewardCut * dt;
+    share += e.feeShare * dt;
+  });
+  const span = now - steps[0].ts;
+  const last = events[events.length - 1];
+  return {
+    changes: inWindow.length,
+    avgRewardCut: span > 0 ? cut / span : last.rewardCut,
+    avgFeeShare: span > 0 ? share / span : last.feeShare,
+    raisedCut: inWindow.some((e, i) => i > 0 && e.rewardCut > inWindow[i - 1].rewardCut) || Boolean(before && inWindow[0]?.rewardCut > before.rewardCut),
+  };
+}
+
+// Expected per-round earnings of `stake` LPT with orchestrator `o` (a
+// getOrchestrators row). `added` is how much of that stake is not yet in
+// o.stake — all of it for a candidate, none for the current delegate.
+// Cuts are in percent; a history makes the worse of current and last-year
+// average count. Unknown (null) reliability is left out rather than read as
+// 0% or 100%. Returns { lpt, eth, rewardCut, feeShare, reliability, poolShare }.
+export function expectedPerRound(o, stake, { protocol, roundsPerYear, added = 0, history = null }) {
+  const rewardCut = Math.max(o.rewardCut / 10000, history?.avgRewardCut ?? 0);
+  const feeShare = Math.min(o.feeShare / 10000, history?.avgFeeShare ?? 100);
+  const reliability = o.reliability == null ? 1 : o.reliability / 100;
+  const mintable = protocol.mintableTokens;
+  const lpt = protocol.totalActiveStake > 0 ? mintable * (stake / protocol.totalActiveStake) * (1 - rewardCut / 100) * reliability : 0;
+  // 30 days of fees spread over the rounds in 30 days
+  const roundsPer30d = (roundsPerYear * 30) / 365.25;
+  const poolShare = o.stake + added > 0 ? stake / (o.stake + added) : 0;
+  const eth = (o.eth30d / roundsPer30d) * (feeShare / 100) * poolShare;
+  return { lpt, eth, rewardCut, feeShare, reliability: o.reliability, poolShare };
+}
+
+// The Compare table as it would look with `stake` LPT joining each
+// orchestrator. The delegator's own `bonded` stake is first taken out of its
+// current delegate (`currentId`), so every row is "others' stake + yours" and
+// the current delegate isn't flattered by stake that is already ours. Stake
+// beyond `bonded` is new to the network and grows the active total too.
+// Adds { othersStake, poolShare, listedRewardAPY, listedEthYieldPerLPT } and
+// replaces rewardAPY / ethYieldPerLPT with the marginal figures.
+export function withOwnStake(orchestrators, { stake, bonded = 0, currentId = null, protocol, roundsPerYear }) {
+  const totalActive = protocol.totalActiveStake + Math.max(0, stake - bonded);
+  const baseYield = totalActive > 0 ? protocol.mintableTokens / totalActive : 0;
+  return orchestrators.map((o) => {
+    const othersStake = Math.max(0, o.id === currentId ? o.stake - bonded : o.stake);
+    const pool = othersStake + stake;
+    return {
+      ...o,
+      othersStake,
+      poolShare: pool > 0 ? stake / pool : 0,
+      listedRewardAPY: o.rewardAPY,
+      listedEthYieldPerLPT: o.ethYieldPerLPT,
+      rewardAPY: baseYield * (1 - o.rewardCut / 1000000) * roundsPerYear * 100,
+      ethYieldPerLPT: pool > 0 ? (o.delegatorFees30d / pool) * 12 : 0,
+    };
+  });
+}
+
+// Compares staying with `current` (null when the delegate isn't active, which
+// earns nothing) against moving to `candidate` for `horizonRounds`.
+// Values LPT at protocol.lptPriceEth to net the two currencies, and charges
+// `moveCostEth` of gas for the bond() that moves the stake. Resolves to
+// { stay, move, diff: { lpt, eth, value }, perRound, breakEvenRounds,
+//   recommendation: "move" | "stay" | "marginal", assumptions: [string] }.
+export function planRedelegation({ stake, current, candidate, protocol, roundsPerYear, horizonRounds, histories = {}, moveCostEth = 0.0001 }) {
+  const ctx = { protocol, roundsPerYear };
+  const cur = current
+    ? expectedPerRound(current, stake, { ...ctx, history: histories.current })
+    : { lpt: 0, eth: 0, rewardCut: null, feeShare: null, reliability: null, poolShare: 0 };
+  const cand = expectedPerRound(candidate, stake, { ...ctx, added: stake, history: histories.candidate });
+  const price = protocol.lptPriceEth;
+  const over = (e) => ({ ...e, totalLpt: e.lpt * horizonRounds, totalEth: e.eth * horizonRounds, value: (e.lpt * price + e.eth) * horizonRounds });
+  const stay = over(cur);
+  const move = over(cand);
+  move.value -= moveCostEth;
+
+  const perRound = (cand.lpt - cur.lpt) * price + (cand.eth - cur.eth);
+  const breakEvenRounds = perRound > 0 ? Math.ceil(moveCostEth / perRound) : null;
+  const diff = { lpt: move.totalLpt - stay.totalLpt, eth: move.totalEth - stay.totalEth, value: move.value - stay.value };
+  // Under 2% either way is inside the noise of a month's fee volume
+  const recommendation = breakEvenRounds == null || breakEvenRounds > horizonRounds
+    ? "stay"
+    : Math.abs(diff.value) < 0.02 * Math.max(stay.value, 1e-12) ? "marginal" : "move";
+
+  // Reliability comes with its own window; where it couldn't be fetched it's
+  // called out as missing rather than quietly left out
+  const rated = [[current, "current", "your current delegate"], [candidate, "candidate", "the candidate"]].filter(([o]) => o);
+  const known = rated.filter(([o]) => o.reliability != null);
+  const unknown = rated.filter(([o]) => o.reliability == null).map(([, , who]) => who);
+  const assumptions = [
+    `Inflation stays at this round's ${Number(protocol.mintableTokens.toFixed(0)).toLocaleString("en-US")} LPT minted per round; rewards are not compounded.`,
+    `Fee volume stays at each orchestrator's last 30 days.`,
+    `Your ${stake.toLocaleString("en-US", { maximumFractionDigits: 2 })} LPT is added to the candidate's ${Math.round(candidate.stake).toLocaleString("en-US")} LPT pool, so you'd hold ${(cand.poolShare * 100).toFixed(3)}% of its fees.`,
+    known.length
+      ? `Rewards are scaled by reward-call reliability: ${known.map(([o, who]) => `${o.reliability}% ${who} over the last ${o.reliabilityRounds} rounds`).join(", ")}.`
+      : null,
+    unknown.length
+      ? `Reward-call reliability is missing for ${unknown.join(" and ")}, so ${unknown.length > 1 ? "their" : "its"} rewards assume every round is called.`
+      : null,
+    histories.candidate
+      ? `Candidate changed its cut ${histories.candidate.changes} time${histories.candidate.changes === 1 ? "" : "s"} in the past year${histories.candidate.raisedCut ? ", including a raise" : ""}; the worse of its current and year-average cut and fee share is used.`
+      : "No cut history was available for the candidate; its current cut and fee share are used.",
+    current ? "Your current delegate is judged the same way." : "Your current delegate is not active, so staying earns nothing.",
+    `Moving costs ≈ ${moveCostEth} ETH of gas and takes effect from the next round; LPT is valued at ${price} ETH.`,
+  ].filter(Boolean);
+  return { stay, move, diff, perRound, breakEvenRounds, recommendation, assumptions };
+}
@@ -0,0 +1,83 @@
+// ── Multi-wallet portfolio ──
+// Each address can only have one delegate, so a treasury that spreads stake
+// across orchestrators ends up with several wallets. This loads them side by
+// side and adds them up.
+
+import { getDelegatorPosition, getOrchestrators, pendingFees } from "./livepeer.js";
+
+// "0xabc…, treasury.eth\n0xdef…" → ["0xabc…", "treasury.eth", "0xdef…"], deduplicated.
+export function parseWalletList(text) {
+  const seen = new Set();
+  return text.split(/[\s,;]+/).filter((s) => {
+    const key = s.toLowerCase();
+    if (!s || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Resolves to { inputs, wallets, locks, totals, blendedAPY, blendedEthYieldPerLPT, currentRound }.
+// A wallet that fails to load keeps its row with `error` set instead of sinking
+// the whole portfolio. APYs are those of each wallet's current delegate,
+// weighted by bonded stake; inactive delegates count as earning nothing.
+export async function getPortfolio(inputs) {
+  const [results, orchs] = await Promise.all([
+    Promise.allSettled(inputs.map((input) => getDelegatorPosition(input))),
+    getOrchestrators().catch(() => null),
+  ]);
+  const byId = Object.fromEntries((orchs?.orchestrators || []).map((o) => [o.id, o]));
+
+  const seen = new Set();
+  const wallets = [];
+  results.forEach((r, i) => {
+    if (r.status === "rejected") {
+      wallets.push({ input: inputs[i], error: r.reason?.message || String(r.reason) });
+      return;
+    }
+    const p = r.value;
+    // The same wallet entered as both hex and ENS counts once
+    if (seen.has(p.address)) return;
+    seen.add(p.address);
+    const orch = p.delegate?.id ? byId[p.delegate.id] : null;
+    wallets.push({
+      input: inputs[i],
+      address: p.address,
+      delegate: p.delegate?.id || null,
+      bonded: p.bondedAmount,
+      pendingRewards: p.pendingRewards,
+      pendingFees: pendingFees(p),
+      totalRewards: p.totalRewards,
+      rewardAPY: orchs ? (orch?.rewardAPY || 0) : null,
+      ethYieldPerLPT: orchs ? (orch?.ethYieldPerLPT || 0) : null,
+      rewardReliability: p.rewardReliability,
+      unbondingLocks: p.unbondingLocks,
+      currentRound: p.currentRound,
+    });
+  });
+
+  const loaded = wallets.filter((w) => !w.error);
+  const currentRound = Math.max(0, ...loaded.map((w) => w.currentRound));
+  const locks = loaded
+    .flatMap((w) => w.unbondingLocks.map((l) => ({ ...l, wallet: w.address })))
+    .sort((a, b) => a.withdrawRound - b.withdrawRound);
+  const sum = (f) => loaded.reduce((s, w) => s + f(w), 0);
+  const totals = {
+    bonded: sum((w) => w.bonded),
+    pendingRewards: sum((w) => w.pendingRewards),
+    pendingFees: sum((w) => w.pendingFees),
+    totalRewards: sum((w) => w.totalRewards),
+    withdrawableNow: locks.filter((l) => l.withdrawRound <= currentRound).reduce((s, l) => s + l.amount, 0),
+    pendingUnbond: locks.filter((l) => l.withdrawRound > currentRound).reduce((s, l) => s + l.amount, 0),
+  };
+  const weighted = (f) => (orchs && totals.bonded > 0 ? sum((w) => w.bonded * f(w)) / totals.bonded : null);
+
+  return {
+    inputs,
+    wallets,
+    locks,
+    totals,
+    blendedAPY: weighted((w) => w.rewardAPY),
+    blendedEthYieldPerLPT: weighted((w) => w.ethYieldPerLPT),
+    currentRound,
+  };
+}
@@ -0,0 +1,98 @@
+// ── Historical prices ──
+// Daily LPT / ETH closing prices in any fiat, for valuing income at the time it
+// was received. Sources are pluggable (registerPriceSource); every day fetched
+// is kept in the response cache, so a tax report only pays for the days it
+// hasn't seen before. Today's price isn't final yet and is never cached.
+
+import { cacheGet, cachePut } from "./cache.js";
+
+const DAY = 86400;
+export const dayKey = (ts) => new Date(ts * 1000).toISOString().slice(0, 10);
+const dayStart = (key) => Date.parse(`${key}T00:00:00Z`) / 1000;
+
+async function getJSON(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Price source returned HTTP ${res.status}`);
+  return res.json();
+}
+
+// A source turns (coin, currency, from, to) into [{ day: "YYYY-MM-DD", price }].
+// `coin` is "LPT" or "ETH", `currency` an ISO code like "USD"; from/to are unix
+// seconds at UTC midnight, inclusive.
+const SOURCES = new Map();
+
+export function registerPriceSource(source) {
+  SOURCES.set(source.id, source);
+}
+
+export const listPriceSources = () => [...SOURCES.values()].map(({ id, label, note }) => ({ id, label, note }));
+
+// CryptoCompare serves full daily history without a key, up to 2000 days a call.
+registerPriceSource({
+  id: "cryptocompare",
+  label: "CryptoCompare",
+  note: "Daily close, full history",
+  async fetchDaily(coin, currency, from, to) {
+    const out = [];
+    for (let end = to; end >= from; end -= 2000 * DAY) {
+      const limit = Math.min(1999, Math.round((end - from) / DAY));
+      const json = await getJSON(`https://min-api.cryptocompare.com/data/v2/histoday?fsym=${coin}&tsym=${currency}&limit=${limit}&toTs=${end}`);
+      if (json.Response !== "Success") throw new Error(`CryptoCompare: ${json.Message || "request failed"}`);
+      for (const d of json.Data?.Data || []) {
+        if (d.close > 0 && d.time >= from) out.push({ day: dayKey(d.time), price: d.close });
+      }
+    }
+    return out;
+  },
+});
+
+// CoinGecko's public API only reaches back 365 days and rejects a range that
+// starts any earlier, so the range is cut to that; older days come back missing.
+const COINGECKO_IDS = { LPT: "livepeer", ETH: "ethereum" };
+const COINGECKO_DAYS = 365;
+registerPriceSource({
+  id: "coingecko",
+  label: "CoinGecko",
+  note: "Last 365 days only on the free API",
+  async fetchDaily(coin, currency, from, to) {
+    // A day's margin so "365 days ago" isn't judged against a later clock
+    const oldest = dayStart(dayKey(Date.now() / 1000)) - (COINGECKO_DAYS - 1) * DAY;
+    if (to < oldest) return [];
+    const json = await getJSON(`https://api.coingecko.com/api/v3/coins/${COINGECKO_IDS[coin]}/market_chart/range?vs_currency=${currency.toLowerCase()}&from=${Math.max(from, oldest)}&to=${to + DAY}`);
+    const byDay = new Map();
+    // Ranges over 90 days come back daily; shorter ones hourly — keep each day's first point
+    for (const [ms, price] of json.prices || []) {
+      const day = dayKey(ms / 1000);
+      if (!byDay.has(day)) byDay.set(day, price);
+    }
+    return [...byDay].map(([day, price]) => ({ day, price }));
+  },
+});
+
+// Closing price for the UTC day of each timestamp. Resolves to
+// Map<"YYYY-MM-DD", price | null> — null where the source had nothing.
+export async function getDailyPrices(sourceId, coin, currency, timestamps) {
+  const source = SOURCES.get(sourceId);
+  if (!source) throw new Error(`Unknown price source "${sourceId}"`);
+  const today = dayKey(Date.now() / 1000);
+  const key = (day) => `price:${sourceId}:${coin}:${currency}:${day}`;
+  const days = [...new Set(timestamps.map(dayKey))].sort();
+
+  const prices = new Map();
+  const missing = [];
+  for (const day of days) {
+    const hit = day === today ? null : await cacheGet(key(day));
+    if (hit) prices.set(day, hit.data);
+    else missing.push(day);
+  }
+  if (missing.length) {
+    const fetched = await source.fetchDaily(coin, currency, dayStart(missing[0]), dayStart(missing[missing.length - 1]));
+    const byDay = new Map(fetched.map((p) => [p.day, p.price]));
+    for (const day of missing) {
+      const price = byDay.get(day) ?? null;
+      prices.set(day, price);
+      if (price != null && day !== today) await cachePut(key(day), price);
+    }
+  }
+  return prices;
+}
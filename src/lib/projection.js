@@ -0,0 +1,85 @@
+// ── Forward stake projection ──
+// The Compare tab's APY assumes this round's mintable LPT forever. The Minter
+// actually moves inflation every round: up by `inflationChange` while
+// participation (bonded / supply) is under `targetBondingRate`, down by it
+// while above, never below zero. This replays that round by round and
+// compounds the delegator's share of each round's mint into their stake.
+
+// Minter percentages (inflation, inflationChange, targetBondingRate) are
+// fixed-point with this divisor.
+const PERC_DIVISOR = 1e9;
+
+// How many points the curve keeps — a 5-year run is ~2000 rounds.
+const MAX_POINTS = 120;
+
+// Scenarios are { participation (fraction), rewardCut (%), reliability (%) }.
+// Participation drifts linearly from today's rate to the scenario's over the
+// first year, then holds — networks don't jump overnight.
+export function defaultScenarios(protocol, orch) {
+  const p = protocol.participationRate;
+  const cut = orch ? orch.rewardCut / 10000 : 10;
+  const rel = orch?.reliability ?? 100;
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+  return {
+    // Lower participation → inflation climbs and each bonded LPT earns a bigger share
+    optimistic: { participation: clamp(p - 0.05, 0.01, 0.99), rewardCut: cut, reliability: 100 },
+    base: { participation: p, rewardCut: cut, reliability: rel },
+    pessimistic: { participation: clamp(p + 0.05, 0.01, 0.99), rewardCut: clamp(cut + 10, 0, 100), reliability: clamp(rel - 10, 0, 100) },
+  };
+}
+
+// Replays `years` of rounds for one scenario. `protocol` is the normalized
+// protocol (getOrchestrators / getNetworkStats). Returns
+// { points: [{ round, years, stake, inflation, participation }], finalStake, earned }
+// with inflation as % per round; reliability is applied as the expected share
+// of rounds the orchestrator calls reward.
+export function projectStake({ stake, protocol, roundsPerYear, years }, scenario) {
+  const rounds = Math.round(years * roundsPerYear);
+  const every = Math.max(1, Math.ceil(rounds / MAX_POINTS));
+  const keep = (1 - scenario.rewardCut / 100) * (scenario.reliability / 100);
+  const target = protocol.targetBondingRate / PERC_DIVISOR;
+  const p0 = protocol.participationRate;
+
+  let supply = protocol.totalSupply;
+  let inflation = protocol.inflation;
+  let s = stake;
+  const point = (round, participation) => ({
+    round,
+    years: round / roundsPerYear,
+    stake: s,
+    inflation: (inflation / PERC_DIVISOR) * 100,
+    participation,
+  });
+  const points = [point(0, p0)];
+
+  for (let r = 1; r <= rounds; r++) {
+    const participation = p0 + (scenario.participation - p0) * Math.min(1, r / roundsPerYear);
+    const mintable = (supply * inflation) / PERC_DIVISOR;
+    const active = supply * participation;
+    if (active > 0) s += mintable * (s / active) * keep;
+    supply += mintable;
+    // setInflation() runs at the start of the next round, off this round's participation
+    inflation = participation < target ? inflation + protocol.inflationChange : Math.max(0, inflation - protocol.inflationChange);
+    if (r % every === 0 || r === rounds) points.push(point(r, participation));
+  }
+  return { points, finalStake: s, earned: s - stake };
+}
+
+// All three scenarios on one time axis, for a band chart:
+// { points: [{ years, optimistic, base, pessimistic, band: [low, high], inflation }], scenarios: { name: projectStake result } }
+export function projectBands(input, scenarios) {
+  const runs = Object.fromEntries(Object.entries(scenarios).map(([name, sc]) => [name, projectStake(input, sc)]));
+  const points = runs.base.points.map((p, i) => {
+    const lo = runs.pessimistic.points[i].stake;
+    const hi = runs.optimistic.points[i].stake;
+    return {
+      years: p.years,
+      optimistic: hi,
+      base: p.stake,
+      pessimistic: lo,
+      band: [Math.min(lo, hi), Math.max(lo, hi)],
+      inflation: p.inflation,
+    };
+  });
+  return { points, scenarios: runs };
+}
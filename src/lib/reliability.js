@@ -0,0 +1,48 @@
+// ── Reward-call reliability ──
+// How often an orchestrator called reward over a window of rounds, and the
+// shape of it: its longest run of calls, its longest outage and where it
+// stands now. `called` is a list of rounds with a reward call, oldest first,
+// as getRewardCallRounds returns per orchestrator.
+
+// Windows in rounds; null is the orchestrator's whole history
+export const RELIABILITY_WINDOWS = [30, 90, 365, null];
+export const DEFAULT_RELIABILITY_WINDOW = 30;
+export const windowLabel = (w) => (w ? `${w} rounds` : "All history");
+
+// The rounds a window covers for one orchestrator: the last `window` rounds up
+// to `currentRound`, or from its first call for the whole history (null when
+// it never called). Returns { from, to, called, total, pct }.
+export function reliabilityOf(called, { currentRound, window }) {
+  const from = window ? currentRound - window + 1 : called[0] ?? null;
+  if (from == null) return { from: null, to: currentRound, called: 0, total: 0, pct: 0 };
+  const n = called.filter((r) => r >= from && r <= currentRound).length;
+  const total = currentRound - from + 1;
+  return { from, to: currentRound, called: n, total, pct: Math.round((n / total) * 100) };
+}
+
+// Runs of called and missed rounds from `from` to `to`, as { length, from, to }
+// (length 0 when there was none). The current round only counts once it has
+// been called — until then the orchestrator still has time — so `current` is
+// the run leading up to it: { called, length, pending }.
+export function streaks(called, { from, to }) {
+  const set = new Set(called);
+  const none = { length: 0, from: null, to: null };
+  let longest = none;
+  let outage = none;
+  let run = null;
+  const pending = !set.has(to);
+  const last = pending ? to - 1 : to;
+  for (let r = from; r <= last; r++) {
+    const hit = set.has(r);
+    if (run && run.called === hit) run.to = r;
+    else run = { called: hit, from: r, to: r };
+    const length = run.to - run.from + 1;
+    if (hit && length > longest.length) longest = { length, from: run.from, to: run.to };
+    if (!hit && length > outage.length) outage = { length, from: run.from, to: run.to };
+  }
+  return {
+    longest,
+    outage,
+    current: run ? { called: run.called, length: run.to - run.from + 1, pending } : { called: false, length: 0, pending },
+  };
+}
@@ -0,0 +1,122 @@
+// ── Hash routes ──
+// Every view the dashboard can show, as a link. Hash-based, so it works under
+// the GitHub Pages base path without server rewrites.
+//
+//   #/                                      landing page
+//   #/<address|name.eth>                    a delegator's dashboard
+//   #/<address>/earnings?metric=daily       …one of its tabs: earnings, history,
+//   #/<address>/orchestrator[/<id>]            orchestrator (its delegate, or <id>;
+//                                              ?view=operator for the operator view),
+//   #/<address>/compare?sort=stake&dir=asc&filter=all&sim=5000     compare, network;
+//                                              both orchestrator and compare take
+//                                              ?rel=90|365|all, the reliability window
+//   #/<a>,<b>,<c>                           a portfolio; add ?portfolio=<a>,<b>,<c>
+//                                           to a wallet's route to open it inside one
+//   #/orchestrator/<id>, #/compare, #/network   the same tabs with no delegator
+//
+// parseRoute and formatRoute are inverses; defaults are left out of the link
+// so it stays short, and each tab carries only its own parameters.
+
+import { RELIABILITY_WINDOWS, DEFAULT_RELIABILITY_WINDOW } from "./reliability.js";
+
+export const TAB_PATHS = { dash: "", earn: "earnings", hist: "history", orchestrator: "orchestrator", compare: "compare", network: "network" };
+const TAB_OF_PATH = Object.fromEntries(Object.entries(TAB_PATHS).map(([tab, path]) => [path, tab]));
+// Tabs that work with no delegator loaded
+export const STANDALONE_TABS = ["orchestrator", "compare", "network"];
+
+// Tabs showing reward-call reliability over a selectable window
+const REL_TABS = ["orchestrator", "compare"];
+
+export const METRICS = ["lpt", "eth", "daily", "cum"];
+export const FILTERS = ["working", "all"];
+// Numeric Compare columns a link may sort by
+export const SORT_COLUMNS = ["rewardAPY", "eth30d", "eth90d", "totalETH", "ethYieldPerLPT", "rewardCut", "feeShare", "stake", "poolShare", "reliability"];
+
+export const DEFAULT_ROUTE = {
+  address: null,
+  portfolio: null,
+  tab: "dash",
+  orch: null,
+  operator: false,
+  metric: "lpt",
+  sort: { col: "rewardAPY", dir: "desc" },
+  filter: "working",
+  sim: null,
+  rel: DEFAULT_RELIABILITY_WINDOW,
+};
+
+const decode = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+};
+const list = (s) => s.split(",").map((x) => x.trim()).filter(Boolean);
+
+// "#/0xabc/compare?sort=stake" → route. Anything unrecognised falls back to
+// the default, so a mangled link still opens something sensible.
+export function parseRoute(hash) {
+  const [path, query = ""] = String(hash || "").replace(/^#\/?/, "").split("?");
+  const parts = path.split("/").filter(Boolean).map(decode);
+  const q = new URLSearchParams(query);
+  const route = { ...DEFAULT_ROUTE, sort: { ...DEFAULT_ROUTE.sort } };
+
+  if (parts[0] && !(parts[0] in TAB_OF_PATH)) {
+    const inputs = list(parts.shift());
+    if (inputs.length > 1) route.portfolio = inputs;
+    else route.address = inputs[0];
+  }
+  if (route.address && q.get("portfolio")) route.portfolio = list(q.get("portfolio"));
+  if (route.portfolio && !route.address) return route;
+
+  route.tab = TAB_OF_PATH[parts[0] || ""] || "dash";
+  if (route.tab === "orchestrator" && parts[1]) route.orch = parts[1];
+  if (route.tab === "orchestrator" && q.get("view") === "operator") route.operator = true;
+  if (route.tab === "earn" && METRICS.includes(q.get("metric"))) route.metric = q.get("metric");
+  if (REL_TABS.includes(route.tab) && q.has("rel")) {
+    const rel = q.get("rel") === "all" ? null : Number(q.get("rel"));
+    if (RELIABILITY_WINDOWS.includes(rel)) route.rel = rel;
+  }
+  if (route.tab === "compare") {
+    if (SORT_COLUMNS.includes(q.get("sort"))) route.sort.col = q.get("sort");
+    if (q.get("dir") === "asc") route.sort.dir = "asc";
+    if (FILTERS.includes(q.get("filter"))) route.filter = q.get("filter");
+    const sim = Number(q.get("sim"));
+    if (q.has("sim") && sim >= 0) route.sim = sim;
+  }
+  return route;
+}
+
+export function formatRoute(route) {
+  const r = { ...DEFAULT_ROUTE, ...route };
+  if (r.portfolio && !r.address) return `#/${r.portfolio.join(",")}`;
+  const parts = [r.address, TAB_PATHS[r.tab] || "", r.tab === "orchestrator" ? r.orch : null].filter(Boolean);
+  const q = new URLSearchParams();
+  if (r.tab === "earn" && r.metric !== DEFAULT_ROUTE.metric) q.set("metric", r.metric);
+  if (r.tab === "orchestrator" && r.operator) q.set("view", "operator");
+  if (REL_TABS.includes(r.tab) && r.rel !== DEFAULT_ROUTE.rel) q.set("rel", r.rel == null ? "all" : String(r.rel));
+  if (r.tab === "compare") {
+    if (r.sort.col !== DEFAULT_ROUTE.sort.col) q.set("sort", r.sort.col);
+    if (r.sort.dir !== DEFAULT_ROUTE.sort.dir) q.set("dir", r.sort.dir);
+    if (r.filter !== DEFAULT_ROUTE.filter) q.set("filter", r.filter);
+    if (r.sim != null) q.set("sim", String(r.sim));
+  }
+  if (r.address && r.portfolio) q.set("portfolio", r.portfolio.join(","));
+  const query = q.toString().replace(/%2C/gi, ",");
+  return `#/${parts.map(encodeURIComponent).join("/")}${query ? `?${query}` : ""}`;
+}
+
+// The route for the page as opened: the hash, or the older `?address=` /
+// `?addresses=` links, which are still around in bookmarks and chats.
+export function routeFromLocation(location) {
+  if (location.hash.length > 2) return parseRoute(location.hash);
+  const params = new URLSearchParams(location.search);
+  const address = params.get("address") || params.get("wallet");
+  const many = list(params.get("addresses") || "");
+  return {
+    ...DEFAULT_ROUTE,
+    address: address || (many.length === 1 ? many[0] : null),
+    portfolio: many.length > 1 ? many : null,
+  };
+}
@@ -0,0 +1,227 @@
+// ── Alert sinks ──
+// Where `livepeer alerts` delivers what alerts.js reports. A sink is
+// { name, send(alerts) }: it sends a whole batch and throws when the receiver
+// didn't take it, so deliver() can keep the batch and retry it next check. A
+// sink that sends in parts sets the error's `delivered` to how many alerts at
+// the start of the batch got through, so only the rest are retried.
+// Sink configs (the "sinks" list of the alerts config file):
+//
+//   { "type": "webhook", "url": "https://…", "headers": { … } }   JSON POST of { alerts }
+//   { "type": "discord", "url": "https://discord.com/api/webhooks/…" }
+//   { "type": "smtp", "host": "smtp.example.com", "port": 587, "user": "…",
+//     "passEnv": "SMTP_PASS", "from": "alerts@example.com", "to": ["me@example.com"] }
+//
+// Every config takes an optional "name" for logs; the CLI fills an SMTP "pass"
+// from the environment variable named by "passEnv". SMTP speaks the protocol
+// itself over node:net / node:tls (Node only): implicit TLS with "secure": true
+// (port 465), otherwise STARTTLS whenever the server offers it. Credentials
+// are never sent over a plain connection unless "insecure": true.
+
+import { ALERT_TYPES } from "./alerts.js";
+
+const TIMEOUT = 15000;
+// Undelivered alerts older than this are given up on
+const RETRY_FOR = 86400;
+
+const typeLabel = (a) => ALERT_TYPES[a.type]?.label || a.type;
+
+async function post(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(TIMEOUT),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${new URL(url).host}`);
+}
+
+// ── Generic webhook ──
+// The alerts as alerts.js makes them, plus the type's label.
+const webhookSink = ({ url, headers }, name) => ({
+  name,
+  send: (alerts) => post(url, { source: "livepeer-alerts", alerts: alerts.map((a) => ({ ...a, label: typeLabel(a) })) }, headers),
+});
+
+// ── Discord ──
+// One embed per alert, coloured like the dashboard's alert log. Discord takes
+// at most 10 embeds a message, so a long batch goes as several.
+const DISCORD_EMBEDS = 10;
+
+function discordSink({ url, username = "Livepeer alerts" }, name) {
+  const embed = (a) => ({
+    title: a.title,
+    description: a.body,
+    color: parseInt((ALERT_TYPES[a.type]?.color || "#64a0ff").slice(1), 16),
+    timestamp: new Date(a.ts * 1000).toISOString(),
+    footer: { text: typeLabel(a) },
+  });
+  return {
+    name,
+    async send(alerts) {
+      for (let i = 0; i < alerts.length; i += DISCORD_EMBEDS) {
+        try {
+          await post(url, { username, embeds: alerts.slice(i, i + DISCORD_EMBEDS).map(embed) });
+        } catch (err) {
+          err.delivered = i;
+          throw err;
+        }
+      }
+    },
+  };
+}
+
+// ── SMTP ──
+// One email per batch, as base64 text so the arrows and ellipses in alert
+// titles survive any server.
+const b64 = (s) => btoa(String.fromCharCode(...new TextEncoder().encode(s)));
+
+// Splits the socket's bytes into replies, joining "250-…" continuation lines.
+function replies(socket) {
+  let buf = "";
+  let lines = [];
+  const ready = [];
+  const waiting = [];
+  let failed = null;
+  const settle = (reply) => (waiting.length ? waiting.shift().resolve(reply) : ready.push(reply));
+  const onData = (chunk) => {
+    buf += chunk.toString("utf8");
+    let i;
+    while ((i = buf.indexOf("\r\n")) >= 0) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      lines.push(line);
+      if (line[3] !== "-") {
+        settle({ code: Number(line.slice(0, 3)), text: lines.join("\n") });
+        lines = [];
+      }
+    }
+  };
+  const onEnd = (err) => {
+    failed = err instanceof Error ? err : new Error("SMTP server closed the connection");
+    waiting.splice(0).forEach((w) => w.reject(failed));
+  };
+  socket.on("data", onData);
+  socket.on("error", onEnd);
+  socket.on("close", onEnd);
+  return {
+    next: () => (ready.length ? Promise.resolve(ready.shift()) : failed ? Promise.reject(failed) : new Promise((resolve, reject) => waiting.push({ resolve, reject }))),
+    stop() {
+      socket.off("data", onData);
+      socket.off("error", onEnd);
+      socket.off("close", onEnd);
+    },
+  };
+}
+
+const bareAddress = (s) => (/<([^>]+)>/.exec(s)?.[1] || s).trim();
+
+export async function smtpSend({ host, port, secure = false, insecure = false, user, pass = "", from, to }, { subject, text }) {
+  const [net, tls, os] = await Promise.all([import("node:net"), import("node:tls"), import("node:os")]);
+  const recipients = [].concat(to || []);
+  if (!host || !from || !recipients.length) throw new Error("SMTP sink needs host, from and to");
+
+  let socket = secure
+    ? tls.connect({ host, port: port || 465, servername: host })
+    : net.connect({ host, port: port || 587 });
+  socket.setTimeout(TIMEOUT, () => socket.destroy(new Error(`SMTP server ${host} timed out`)));
+  let reader = replies(socket);
+  let encrypted = secure;
+  const command = async (line, expect) => {
+    if (line) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expect.includes(reply.code)) {
+      throw new Error(`SMTP ${line ? line.split(" ")[0] : "greeting"} failed: ${reply.text.replace(/\n/g, " ")}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    const helo = `EHLO ${os.hostname()}`;
+    let ehlo = await command(helo, [250]);
+    if (!encrypted && /^250[- ]STARTTLS\b/im.test(ehlo.text)) {
+      await command("STARTTLS", [220]);
+      reader.stop();
+      socket = tls.connect({ socket, servername: host });
+      socket.setTimeout(TIMEOUT, () => socket.destroy(new Error(`SMTP server ${host} timed out`)));
+      reader = replies(socket);
+      encrypted = true;
+      ehlo = await command(helo, [250]);
+    }
+    if (user) {
+      if (!encrypted && !insecure) throw new Error(`SMTP server ${host} offers no TLS — not sending the password in the clear`);
+      await command(`AUTH PLAIN ${b64(`\0${user}\0${pass}`)}`, [235]);
+    }
+    await command(`MAIL FROM:<${bareAddress(from)}>`, [250]);
+    for (const r of recipients) await command(`RCPT TO:<${bareAddress(r)}>`, [250, 251]);
+    await command("DATA", [354]);
+    const message = [
+      `From: ${from}`,
+      `To: ${recipients.join(", ")}`,
+      `Subject: =?UTF-8?B?${b64(subject)}?=`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@livepeer-alerts>`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      ...(b64(text).match(/.{1,76}/g) || []),
+      ".",
+    ].join("\r\n");
+    await command(message, [250]);
+    await command("QUIT", [221]).catch(() => { /* delivered already */ });
+  } finally {
+    reader.stop();
+    socket.destroy();
+  }
+}
+
+function smtpSink(config, name) {
+  return {
+    name,
+    send: (alerts) => smtpSend(config, {
+      subject: alerts.length === 1 ? alerts[0].title : `${alerts.length} Livepeer alerts`,
+      text: alerts.map((a) => `${a.title}\n${a.body}\n${typeLabel(a)} · ${new Date(a.ts * 1000).toISOString().slice(0, 16).replace("T", " ")} UTC`).join("\n\n") + "\n",
+    }),
+  };
+}
+
+const SINKS = { webhook: webhookSink, discord: discordSink, smtp: smtpSink };
+
+// Sink configs → sinks. Names default to "type host" (never the full URL —
+// webhook URLs carry tokens) and are made unique, since pending deliveries
+// are kept by sink name.
+export function createSinks(configs) {
+  const seen = {};
+  return configs.map((c, i) => {
+    const make = SINKS[c?.type];
+    if (!make) throw new Error(`Sink ${i + 1}: type must be one of ${Object.keys(SINKS).join(", ")}`);
+    if (c.type !== "smtp" && !c.url) throw new Error(`Sink ${i + 1}: ${c.type} needs a url`);
+    let name = c.name || `${c.type} ${c.type === "smtp" ? c.host : new URL(c.url).host}`;
+    seen[name] = (seen[name] || 0) + 1;
+    if (seen[name] > 1) name = `${name} #${seen[name]}`;
+    return make(c, name);
+  });
+}
+
+// Sends `alerts`, plus whatever a previous call couldn't (`pending`, as it
+// returned it), to every sink. Resolves to { pending, errors }: the alerts
+// still undelivered per sink — persist them with the alert state — and the
+// errors to log.
+export async function deliver(sinks, alerts, pending = []) {
+  const now = Math.floor(Date.now() / 1000);
+  const errors = [];
+  const left = [];
+  for (const sink of sinks) {
+    const retry = pending.filter((p) => p.sink === sink.name && now - p.alert.ts < RETRY_FOR).map((p) => p.alert);
+    const batch = [...retry, ...alerts];
+    if (!batch.length) continue;
+    try {
+      await sink.send(batch);
+    } catch (err) {
+      errors.push({ sink: sink.name, error: err });
+      left.push(...batch.slice(err.delivered || 0).map((alert) => ({ sink: sink.name, alert })));
+    }
+  }
+  return { pending: left, errors };
+}
@@ -0,0 +1,138 @@
+// ── Staking income report ──
+// Values every reward claim at the price on the day it was claimed — that is
+// when the LPT and ETH became the delegator's to withdraw, which is the moment
+// most jurisdictions treat staking income as received. Check with your own tax
+// rules; the report only does the arithmetic.
+
+import { getDailyPrices, dayKey } from "./prices.js";
+import { toCSV } from "./export.js";
+
+export const FIATS = ["USD", "EUR", "GBP", "CAD", "AUD", "CHF", "JPY"];
+
+// When the tax year starts. Years that don't start on 1 January are labelled
+// by both calendar years they span, e.g. "2024/25".
+export const TAX_YEARS = {
+  calendar: { label: "Calendar year (1 Jan)", month: 1, day: 1 },
+  uk: { label: "UK (6 Apr)", month: 4, day: 6 },
+  apr: { label: "1 Apr (India, Japan corp., NZ)", month: 4, day: 1 },
+  au: { label: "Australia (1 Jul)", month: 7, day: 1 },
+};
+
+export function taxYearOf(ts, yearStart = "calendar") {
+  const { month, day } = TAX_YEARS[yearStart];
+  const d = new Date(ts * 1000);
+  const y = d.getUTCFullYear();
+  if (month === 1 && day === 1) return String(y);
+  const started = d >= new Date(Date.UTC(y, month - 1, day));
+  const first = started ? y : y - 1;
+  return `${first}/${String(first + 1).slice(2)}`;
+}
+
+// Livepeer subgraph event ids are "<tx hash>-<log index>".
+const txHashOf = (id) => {
+  const hash = String(id || "").split("-")[0];
+  return /^0x[0-9a-f]{64}$/i.test(hash) ? hash : "";
+};
+
+// claims: the `claims` of getDelegatorPosition(). Resolves to
+// { fiat, source, yearStart, rows, years, missingPrices }. Values are null
+// (and counted in missingPrices) where the source had no price for that day.
+export async function buildTaxReport(claims, { fiat = "USD", source = "cryptocompare", yearStart = "calendar" } = {}) {
+  const ts = claims.map((c) => c.ts);
+  const currencies = fiat === "USD" ? ["USD"] : ["USD", fiat];
+  const table = {};
+  for (const coin of ["LPT", "ETH"]) {
+    table[coin] = {};
+    for (const cur of currencies) table[coin][cur] = await getDailyPrices(source, coin, cur, ts);
+  }
+  const priceOf = (coin, cur, t) => table[coin][cur].get(dayKey(t)) ?? null;
+  const value = (amt, price) => (amt === 0 ? 0 : price == null ? null : amt * price);
+  const add = (a, b) => (a == null || b == null ? null : a + b);
+
+  let missingPrices = 0;
+  const rows = claims.map((c) => {
+    const p = {
+      lptUsd: priceOf("LPT", "USD", c.ts), ethUsd: priceOf("ETH", "USD", c.ts),
+      lptFiat: priceOf("LPT", fiat, c.ts), ethFiat: priceOf("ETH", fiat, c.ts),
+    };
+    const usd = add(value(c.lpt, p.lptUsd), value(c.eth, p.ethUsd));
+    const fiatValue = add(value(c.lpt, p.lptFiat), value(c.eth, p.ethFiat));
+    if (usd == null || fiatValue == null) missingPrices++;
+    return {
+      id: c.id, txHash: txHashOf(c.id), ts: c.ts, taxYear: taxYearOf(c.ts, yearStart),
+      rounds: c.r, orchestrator: c.delegate || "", lpt: c.lpt, eth: c.eth,
+      prices: p, usd, fiatValue,
+    };
+  });
+
+  const years = {};
+  for (const r of rows) {
+    const y = (years[r.taxYear] ||= { taxYear: r.taxYear, claims: 0, lpt: 0, eth: 0, usd: 0, fiatValue: 0, missing: 0 });
+    y.claims++;
+    y.lpt += r.lpt;
+    y.eth += r.eth;
+    if (r.usd == null || r.fiatValue == null) y.missing++;
+    y.usd += r.usd || 0;
+    y.fiatValue += r.fiatValue || 0;
+  }
+  return { fiat, source, yearStart, rows, years: Object.values(years), missingPrices };
+}
+
+// ── Export layouts ──
+const pad = (n) => String(n).padStart(2, "0");
+const utc = (ts) => new Date(ts * 1000);
+const isoDate = (ts) => utc(ts).toISOString().replace("T", " ").slice(0, 19);
+const num = (v, d) => (v == null ? "" : v.toFixed(d));
+
+// One line per asset received; a claim with both LPT and ETH gives two.
+const incomeLines = (rows) => rows.flatMap((r) => [
+  r.lpt > 0 && { r, asset: "LPT", amount: r.lpt, usd: r.prices.lptUsd, fiat: r.prices.lptFiat, type: "Staking reward" },
+  r.eth > 0 && { r, asset: "ETH", amount: r.eth, usd: r.prices.ethUsd, fiat: r.prices.ethFiat, type: "Fee income" },
+].filter(Boolean));
+
+const LAYOUTS = {
+  generic: {
+    label: "Generic CSV",
+    build(report, lines) {
+      const f = report.fiat;
+      const fiatCols = f === "USD" ? [] : [`Price ${f}`, `Value ${f}`];
+      const headers = ["Date (UTC)", "Tax Year", "Type", "Asset", "Amount", "Price USD", "Value USD", ...fiatCols, "Rounds", "Orchestrator", "Tx Hash"];
+      return toCSV(headers, lines.map(({ r, asset, amount, usd, fiat, type }) => [
+        isoDate(r.ts), r.taxYear, type, asset, amount.toFixed(8), num(usd, 6), num(usd == null ? null : amount * usd, 2),
+        ...(f === "USD" ? [] : [num(fiat, 6), num(fiat == null ? null : amount * fiat, 2)]),
+        r.rounds, r.orchestrator, r.txHash,
+      ]));
+    },
+  },
+  // Koinly universal format — staking income is the "reward" label
+  koinly: {
+    label: "Koinly",
+    build(report, lines) {
+      const headers = ["Date", "Sent Amount", "Sent Currency", "Received Amount", "Received Currency", "Fee Amount", "Fee Currency", "Net Worth Amount", "Net Worth Currency", "Label", "Description", "TxHash"];
+      return toCSV(headers, lines.map(({ r, asset, amount, fiat }) => [
+        `${isoDate(r.ts)} UTC`, "", "", amount.toFixed(8), asset, "", "",
+        num(fiat == null ? null : amount * fiat, 2), report.fiat, "reward", `Livepeer ${asset === "LPT" ? "staking reward" : "fee share"}, rounds ${r.rounds}`, r.txHash,
+      ]));
+    },
+  },
+  // CoinTracker's CSV import — "staked" tags staking income
+  cointracker: {
+    label: "CoinTracker",
+    build(report, lines) {
+      const headers = ["Date", "Received Quantity", "Received Currency", "Sent Quantity", "Sent Currency", "Fee Amount", "Fee Currency", "Tag"];
+      return toCSV(headers, lines.map(({ r, asset, amount }) => {
+        const d = utc(r.ts);
+        const date = `${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())}/${d.getUTCFullYear()} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+        return [date, amount.toFixed(8), asset, "", "", "", "", "staked"];
+      }));
+    },
+  },
+};
+
+export const TAX_EXPORTS = Object.entries(LAYOUTS).map(([id, l]) => ({ id, label: l.label }));
+
+// `taxYear` limits the export to one year; omit it for everything.
+export function taxReportCSV(report, layout = "generic", taxYear) {
+  const rows = taxYear ? report.rows.filter((r) => r.taxYear === taxYear) : report.rows;
+  return LAYOUTS[layout].build(report, incomeLines(rows));
+}
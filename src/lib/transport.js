@@ -0,0 +1,153 @@
+// ── Resilient transport for The Graph and Arbitrum RPC ──
+// Every request walks an ordered endpoint list. Transient failures (rate limits,
+// network blips, 5xx) are retried on the same endpoint with exponential backoff;
+// endpoint-specific failures (bad key, indexing error, wrong chain) fail over to
+// the next endpoint; failures every endpoint would repeat (a malformed query, a
+// contract revert) are thrown straight away.
+
+export const ARBITRUM_ONE_CHAIN_ID = 42161;
+
+export const RETRY = { attempts: 3, baseDelay: 500, maxDelay: 8000, timeout: 20000 };
+
+// kind: "rate-limit" | "bad-key" | "indexing" | "unavailable" | "network" |
+//       "query" | "rpc" | "rpc-revert" | "wrong-chain" | "config"
+export class DataSourceError extends Error {
+  constructor(kind, message, { endpoint, retryAfter, cause } = {}) {
+    super(message, { cause });
+    this.name = "DataSourceError";
+    this.kind = kind;
+    this.endpoint = endpoint;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const RETRYABLE = new Set(["rate-limit", "network", "unavailable"]);
+const FATAL = new Set(["query", "rpc-revert"]);
+
+const GRAPH_MESSAGES = {
+  "rate-limit": "The Graph gateway is rate-limiting requests — try again in a minute",
+  "bad-key": "The Graph API key was rejected",
+  indexing: "The subgraph's indexer reported an error",
+  unavailable: "The subgraph endpoint is unavailable",
+  network: "Could not reach the subgraph endpoint",
+  query: "The subgraph rejected the query",
+};
+
+const RPC_MESSAGES = {
+  "rate-limit": "The Arbitrum RPC is rate-limiting requests — try again in a minute",
+  "rpc-revert": "The contract call reverted",
+  unavailable: "The Arbitrum RPC endpoint is unavailable",
+  network: "Could not reach the Arbitrum RPC endpoint",
+  rpc: "The Arbitrum RPC returned an error",
+};
+
+// Gateway URLs embed the API key — never let one reach an error message or log.
+export const redactUrl = (url) => String(url).replace(/\/api\/[^/]+\//, "/api/…/");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function backoff(attempt, retryAfter) {
+  if (retryAfter) return Math.min(retryAfter * 1000, RETRY.maxDelay);
+  const d = Math.min(RETRY.baseDelay * 2 ** attempt, RETRY.maxDelay);
+  return d / 2 + Math.random() * (d / 2);
+}
+
+async function withFailover(endpoints, label, attemptFn) {
+  if (!endpoints.length) throw new DataSourceError("config", `No ${label} endpoint is configured`);
+  let last;
+  for (const endpoint of endpoints) {
+    for (let attempt = 0; attempt < RETRY.attempts; attempt++) {
+      try {
+        return await attemptFn(endpoint);
+      } catch (err) {
+        last = err instanceof DataSourceError ? err : new DataSourceError("network", err.message, { cause: err });
+        last.endpoint ||= endpoint;
+        if (FATAL.has(last.kind)) throw last;
+        if (!RETRYABLE.has(last.kind) || attempt === RETRY.attempts - 1) break;
+        await sleep(backoff(attempt, last.retryAfter));
+      }
+    }
+    if (endpoints.length > 1) console.warn(`${label} endpoint ${redactUrl(endpoint)} failed (${last.kind}), trying next`);
+  }
+  throw last;
+}
+
+async function postJSON(url, body, messages) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      cache: "no-store",
+      body: JSON.stringify(body),
+      // A hung endpoint is as good as a dead one — give up and fail over.
+      signal: AbortSignal.timeout(RETRY.timeout),
+    });
+  } catch (err) {
+    const detail = err.name === "TimeoutError" ? `timed out after ${RETRY.timeout / 1000}s` : err.message;
+    throw new DataSourceError("network", `${messages.network}: ${detail}`, { cause: err });
+  }
+  let json = null;
+  try { json = await res.json(); } catch { /* an HTML error page — classified by status below */ }
+  return { res, json, retryAfter: Number(res.headers.get("retry-after")) || undefined };
+}
+
+function classifyGraphError(status, detail) {
+  const m = detail.toLowerCase();
+  if (status === 429 || /rate.?limit|too many requests/.test(m)) return "rate-limit";
+  if ([401, 402, 403].includes(status) || /api key|auth error|unauthori[sz]ed|payment required/.test(m)) return "bad-key";
+  if (/indexing error|failed to index|not (yet )?(synced|indexed)|no (suitable )?indexers|bad indexers|deployment .*not found|store error|subgraph .*(not found|failed)/.test(m)) return "indexing";
+  if (status >= 500) return "unavailable";
+  return "query";
+}
+
+// POST a GraphQL query, failing over across `endpoints`. Resolves to `data`.
+export function graphRequest(endpoints, query) {
+  return withFailover(endpoints, "Subgraph", async (url) => {
+    const { res, json, retryAfter } = await postJSON(url, { query }, GRAPH_MESSAGES);
+    if (res.ok && json?.data && !json.errors) return json.data;
+    const detail = json?.errors?.[0]?.message || (typeof json?.message === "string" && json.message) || (typeof json?.error === "string" && json.error) || `HTTP ${res.status}`;
+    const kind = classifyGraphError(res.status, detail);
+    throw new DataSourceError(kind, `${GRAPH_MESSAGES[kind]}: ${detail}`, { retryAfter });
+  });
+}
+
+function classifyRpcError(status, error) {
+  const m = String(error?.message || "").toLowerCase();
+  if (status === 429 || error?.code === -32005 || /rate.?limit|too many requests/.test(m)) return "rate-limit";
+  if (error?.code === 3 || /revert/.test(m)) return "rpc-revert";
+  if (status >= 500) return "unavailable";
+  return "rpc";
+}
+
+async function rpcPost(url, method, params) {
+  const { res, json, retryAfter } = await postJSON(url, { jsonrpc: "2.0", id: 1, method, params }, RPC_MESSAGES);
+  if (res.ok && json && !json.error && json.result !== undefined) return json.result;
+  const kind = classifyRpcError(res.status, json?.error);
+  const detail = json?.error?.message || `HTTP ${res.status}`;
+  throw new DataSourceError(kind, `${RPC_MESSAGES[kind]}: ${detail}`, { retryAfter });
+}
+
+// eth_chainId is checked once per endpoint; a mismatch is remembered, any other
+// failure is retried on the next request.
+const chainChecks = new Map();
+function verifyChain(url) {
+  if (!chainChecks.has(url)) {
+    const check = rpcPost(url, "eth_chainId", []).then((id) => {
+      if (Number(id) !== ARBITRUM_ONE_CHAIN_ID) {
+        throw new DataSourceError("wrong-chain", `RPC endpoint is on chain ${Number(id)}, not Arbitrum One (${ARBITRUM_ONE_CHAIN_ID})`);
+      }
+    });
+    check.catch((err) => { if (err.kind !== "wrong-chain") chainChecks.delete(url); });
+    chainChecks.set(url, check);
+  }
+  return chainChecks.get(url);
+}
+
+// JSON-RPC call against the first healthy Arbitrum One endpoint. Resolves to `result`.
+export function rpcRequest(endpoints, method, params) {
+  return withFailover(endpoints, "RPC", async (url) => {
+    await verifyChain(url);
+    return rpcPost(url, method, params);
+  });
+}
@@ -0,0 +1,145 @@
+// ── Visit snapshots ──
+// A small record of a delegator each time it is loaded — stake, fees, how
+// much history there was, the delegate's settings and Compare rank — kept per
+// address in localStorage, so the dashboard can show what changed since the
+// last visit, or since any earlier one.
+//
+//   takeSnapshot(position, orchestrators)   → snapshot (JSON-safe)
+//   diffSnapshots(before, after, position)  → { elapsed, rounds, changes }
+//   loadVisits(address) / recordVisit(address, snapshot)
+//   pastVisits(visits, ts)                  → visits minus the one in progress
+//
+// A visit keeps the snapshot it started with; reloads during it only update
+// its `now`, so what changed is always counted from where the visit began.
+
+import { fmtAddr, fmtN } from "./format.js";
+
+const PREFIX = "livepeer-dashboard:visits:";
+const VISIT_LIMIT = 100;
+// A reload this soon after the last one belongs to the same visit
+const SAME_VISIT = 3600;
+const storage = () => (typeof localStorage !== "undefined" ? localStorage : null);
+
+// `position` from getDelegatorPosition; `orchestrators` from getOrchestrators
+// (null when unavailable — the rank is then unknown). Rank is the delegate's
+// place among working orchestrators by listed reward APY, the Compare
+// table's default order.
+export function takeSnapshot(position, orchestrators = null) {
+  const delegate = position.delegate?.id?.toLowerCase() || null;
+  const ranked = orchestrators?.filter((o) => o.isWorking).sort((a, b) => b.rewardAPY - a.rewardAPY);
+  const rank = ranked ? ranked.findIndex((o) => o.id === delegate) + 1 : 0;
+  return {
+    ts: Math.floor(Date.now() / 1000),
+    round: position.currentRound,
+    bondedAmount: position.bondedAmount,
+    principal: position.principal,
+    unbonded: position.unbonded,
+    totalRewards: position.totalRewards,
+    totalFees: position.totalFees,
+    withdrawnFees: position.withdrawnFees,
+    claims: position.claims.length,
+    lastClaimTs: Math.max(0, ...position.claims.map((c) => c.ts)),
+    lastEventTs: Math.max(0, ...position.events.filter((e) => e.t !== "claim").map((e) => e.ts)),
+    delegate,
+    rewardCut: position.delegate ? Number(position.delegate.rewardCut) / 10000 : null,
+    feeShare: position.delegate ? Number(position.delegate.feeShare) / 10000 : null,
+    reliability: position.rewardReliability?.pct ?? null,
+    rank: rank || null,
+    rankOf: ranked ? ranked.length : null,
+  };
+}
+
+const signed = (n, d = 2) => `${n < 0 ? "−" : "+"}${fmtN(Math.abs(n), d)}`;
+// Float noise below the shown precision counts as no change
+const shows = (n, d = 2) => Math.abs(n) >= 0.5 * 10 ** -d;
+const tone = (n) => (n > 0 ? "up" : n < 0 ? "down" : "same");
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// What changed from `before` to `after` (both snapshots). `position` is the
+// one `after` was taken from, for listing the new claims and events.
+// Each change is { key, label, value, detail, tone: "up" | "down" | "same" },
+// "up" being good for the delegator; every key is always present.
+export function diffSnapshots(before, after, position) {
+  const changes = [];
+  const add = (key, label, value, detail, t) => changes.push({ key, label, value, detail, tone: t });
+
+  const stake = after.bondedAmount - before.bondedAmount;
+  const rewards = after.totalRewards - before.totalRewards;
+  const moved = stake - rewards;
+  add("stake", "Stake", shows(stake) ? `${signed(stake)} LPT` : "No change",
+    `${fmtN(before.bondedAmount)} → ${fmtN(after.bondedAmount)} LPT${shows(rewards) ? ` · ${signed(rewards)} from rewards` : ""}${shows(moved) ? ` · ${signed(moved)} bonded or unbonded` : ""}`,
+    shows(stake) ? tone(stake) : "same");
+
+  // Pending fees drop when withdrawn, so accrual is counted on pending plus
+  // withdrawn. Snapshots from before withdrawnFees was kept take today's.
+  const earned = (s) => s.totalFees + (s.withdrawnFees ?? after.withdrawnFees ?? 0);
+  const fees = earned(after) - earned(before);
+  add("fees", "Fees accrued", shows(fees, 6) ? `${signed(fees, 6)} ETH` : "None", `${fmtN(earned(after), 6)} ETH lifetime`, shows(fees, 6) && fees > 0 ? "up" : "same");
+
+  const claims = position.claims.filter((c) => c.ts > before.lastClaimTs);
+  add("claims", "New claims", claims.length ? plural(claims.length, "claim") : "None",
+    claims.length ? `${fmtN(claims.reduce((s, c) => s + c.lpt, 0))} LPT + ${fmtN(claims.reduce((s, c) => s + c.eth, 0), 6)} ETH` : "",
+    "same");
+
+  const events = position.events.filter((e) => e.t !== "claim" && e.ts > before.lastEventTs);
+  add("events", "New in History", events.length ? plural(events.length, "event") : "None",
+    events.slice(-3).reverse().map((e) => e.desc).join(" · ") + (events.length > 3 ? " · …" : ""),
+    "same");
+
+  if (before.delegate !== after.delegate) {
+    add("delegate", "Delegate", "Changed", `${before.delegate ? fmtAddr(before.delegate) : "none"} → ${after.delegate ? fmtAddr(after.delegate) : "none"}`, "same");
+  } else {
+    const cut = (after.rewardCut ?? 0) - (before.rewardCut ?? 0);
+    const share = (after.feeShare ?? 0) - (before.feeShare ?? 0);
+    const parts = [];
+    if (cut) parts.push(`reward cut ${fmtN(before.rewardCut)}% → ${fmtN(after.rewardCut)}%`);
+    if (share) parts.push(`fee share ${fmtN(before.feeShare)}% → ${fmtN(after.feeShare)}%`);
+    add("cut", "Cut & fee share", parts.length ? "Changed" : "No change", parts.join(" · "),
+      cut > 0 || share < 0 ? "down" : parts.length ? "up" : "same");
+  }
+
+  const rel = before.reliability != null && after.reliability != null ? after.reliability - before.reliability : null;
+  add("reliability", "Reward reliability", rel == null ? "Unknown" : rel ? `${signed(rel, 0)} pts` : "No change",
+    rel == null ? "" : `${before.reliability}% → ${after.reliability}% of the last 30 rounds`, tone(rel || 0));
+
+  const sameDelegate = before.delegate === after.delegate;
+  const rank = sameDelegate && before.rank && after.rank ? before.rank - after.rank : null;
+  add("rank", "Compare rank", after.rank ? `#${after.rank} of ${after.rankOf}` : "Not ranked",
+    rank == null ? (sameDelegate ? "" : "New delegate") : rank ? `${rank > 0 ? "up" : "down"} ${plural(Math.abs(rank), "place")} from #${before.rank}` : "Unchanged",
+    tone(rank || 0));
+
+  return { elapsed: after.ts - before.ts, rounds: after.round - before.round, changes };
+}
+
+// Whether a reload at `ts` continues `visit` rather than starting a new one
+export const inSameVisit = (visit, ts) => Boolean(visit) && ts - (visit.now?.ts ?? visit.ts) < SAME_VISIT;
+
+// The visits before the one going on at `ts` — what "since your last visit"
+// compares against, so a reload doesn't compare a visit with its own start
+export function pastVisits(visits, ts) {
+  return inSameVisit(visits[visits.length - 1], ts) ? visits.slice(0, -1) : visits;
+}
+
+// Oldest first
+export function loadVisits(address) {
+  try {
+    return JSON.parse(storage()?.getItem(PREFIX + address.toLowerCase()) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+// Starts a visit with `snapshot`, or — within SAME_VISIT of the last reload —
+// sets it as the current visit's `now`. Returns the visits as saved. Keeps the
+// newest VISIT_LIMIT.
+export function recordVisit(address, snapshot) {
+  const visits = loadVisits(address);
+  const last = visits[visits.length - 1];
+  const next = inSameVisit(last, snapshot.ts)
+    ? [...visits.slice(0, -1), { ...last, now: snapshot }]
+    : [...visits, snapshot].slice(-VISIT_LIMIT);
+  try {
+    storage()?.setItem(PREFIX + address.toLowerCase(), JSON.stringify(next));
+  } catch { /* best-effort — storage may be full */ }
+  return next;
+}
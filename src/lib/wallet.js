@@ -0,0 +1,182 @@
+// ── Wallet actions ──
+// Staking transactions against BondingManager through any EIP-1193 provider
+// (an injected browser wallet, or createMockProvider from fixtures.js). Nothing
+// here talks to the chain except through the provider it's handed, so every
+// flow runs against a mock with no live chain.
+//
+//   connectWallet(provider)           → connected address, on Arbitrum One
+//   withdrawStakeTx / withdrawFeesTx / rebondTx / rebondFromUnbondedTx /
+//   unbondTx / bondTx                 → { action, title, summary, to, data }
+//   preflight(provider, from, tx)     → gas estimate and fee; throws if it would revert
+//   sendTx(provider, from, tx, opts)  → pending → confirmed / failed status flow
+//
+// Amounts going on-chain are BigInt wei — see parseUnits in format.js.
+
+import { BONDING_MANAGER } from "./livepeer.js";
+import { ARBITRUM_ONE_CHAIN_ID } from "./transport.js";
+import { fmtAddr, formatUnits } from "./format.js";
+
+const ARBITRUM_HEX = `0x${ARBITRUM_ONE_CHAIN_ID.toString(16)}`;
+
+// kind: "no-wallet" | "rejected" | "wrong-chain" | "revert" | "provider"
+export class WalletError extends Error {
+  constructor(kind, message, { cause } = {}) {
+    super(message, { cause });
+    this.name = "WalletError";
+    this.kind = kind;
+  }
+}
+
+export const getInjectedProvider = () => globalThis.ethereum || null;
+
+// EIP-1193 errors carry numeric codes: 4001 is the user saying no, -32000 /
+// 3 are execution reverts from eth_estimateGas and eth_call.
+async function request(provider, method, params = []) {
+  if (!provider) throw new WalletError("no-wallet", "No wallet found — install a browser wallet such as MetaMask or Rabby");
+  try {
+    return await provider.request({ method, params });
+  } catch (err) {
+    if (err?.code === 4001) throw new WalletError("rejected", "Request rejected in the wallet", { cause: err });
+    if (err?.code === 3 || err?.code === -32000 || /revert/i.test(err?.message || "")) {
+      throw new WalletError("revert", err.message || "Execution reverted", { cause: err });
+    }
+    throw new WalletError("provider", err?.message || `Wallet request ${method} failed`, { cause: err });
+  }
+}
+
+// ── Connection ──
+export async function ensureArbitrum(provider) {
+  if ((await request(provider, "eth_chainId")).toLowerCase() === ARBITRUM_HEX) return;
+  try {
+    await request(provider, "wallet_switchEthereumChain", [{ chainId: ARBITRUM_HEX }]);
+  } catch (err) {
+    if (err.kind === "rejected") throw new WalletError("wrong-chain", "Switch the wallet to Arbitrum One to continue", { cause: err });
+    // 4902: the wallet doesn't know the chain yet
+    if (err.cause?.code !== 4902) throw err;
+    await request(provider, "wallet_addEthereumChain", [{
+      chainId: ARBITRUM_HEX,
+      chainName: "Arbitrum One",
+      nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+      rpcUrls: ["https://arb1.arbitrum.io/rpc"],
+      blockExplorerUrls: ["https://arbiscan.io"],
+    }]);
+  }
+}
+
+export async function connectWallet(provider) {
+  const [address] = await request(provider, "eth_requestAccounts");
+  if (!address) throw new WalletError("rejected", "The wallet shared no account");
+  await ensureArbitrum(provider);
+  return address.toLowerCase();
+}
+
+export const explorerTxUrl = (hash) => `https://arbiscan.io/tx/${hash}`;
+
+// ── Reads through the wallet ──
+// Exact wei, for "withdraw / unbond everything" amounts — the data layer's
+// floats would round past the balance and the transaction would revert.
+const word = (v) => BigInt(v).toString(16).padStart(64, "0");
+const addressWord = (a) => a.toLowerCase().replace(/^0x/, "").padStart(64, "0");
+
+async function readUint(provider, data) {
+  const hex = await request(provider, "eth_call", [{ to: BONDING_MANAGER, data }, "latest"]);
+  if (!/^0x[0-9a-f]+$/i.test(hex || "")) throw new WalletError("provider", "BondingManager call returned no data");
+  return BigInt(hex);
+}
+
+// pendingStake(address,uint256) / pendingFees(address,uint256)
+export const pendingStakeWei = (provider, address, round) => readUint(provider, "0x9d0b2c7a" + addressWord(address) + word(round));
+export const pendingFeesWei = (provider, address, round) => readUint(provider, "0xf595f1cc" + addressWord(address) + word(round));
+
+// ── Transaction builders ──
+// `summary` is [label, value] rows for the confirmation step. Locks are
+// getDelegatorPosition unbonding locks.
+const tx = (action, title, summary, data) => ({ action, title, summary, to: BONDING_MANAGER, data });
+
+// withdrawStake(uint256 _unbondingLockId)
+export const withdrawStakeTx = (lock) => tx("withdrawStake", `Withdraw ${lock.exactAmount ?? lock.amount} LPT`, [
+  ["Unbonding lock", `#${lock.lockId}`],
+  ["Amount", `${lock.exactAmount ?? lock.amount} LPT to your wallet`],
+], "0x25d5971f" + word(lock.lockId));
+
+// withdrawFees(address _recipient, uint256 _amount)
+export const withdrawFeesTx = (recipient, amountWei) => tx("withdrawFees", `Withdraw ${formatUnits(amountWei)} ETH fees`, [
+  ["Amount", `${formatUnits(amountWei)} ETH`],
+  ["Recipient", recipient],
+], "0xad3b1b47" + addressWord(recipient) + word(amountWei));
+
+// rebond(uint256 _unbondingLockId) — back to the current delegate
+export const rebondTx = (lock, delegate) => tx("rebond", `Rebond ${lock.exactAmount ?? lock.amount} LPT`, [
+  ["Unbonding lock", `#${lock.lockId}`],
+  ["Amount", `${lock.exactAmount ?? lock.amount} LPT`],
+  ["Delegate", delegate ? fmtAddr(delegate) : "current delegate"],
+], "0xeaffb3f9" + word(lock.lockId));
+
+// rebondFromUnbonded(address _to, uint256 _unbondingLockId) — for a delegator
+// that has fully unbonded and so has no delegate to rebond to
+export const rebondFromUnbondedTx = (lock, to) => tx("rebondFromUnbonded", `Rebond ${lock.exactAmount ?? lock.amount} LPT to ${fmtAddr(to)}`, [
+  ["Unbonding lock", `#${lock.lockId}`],
+  ["Amount", `${lock.exactAmount ?? lock.amount} LPT`],
+  ["Delegate", to],
+], "0x3a080e93" + addressWord(to) + word(lock.lockId));
+
+// unbond(uint256 _amount) — starts an unbonding lock
+export const unbondTx = (amountWei, { unbondingRounds = 7 } = {}) => tx("unbond", `Unbond ${formatUnits(amountWei)} LPT`, [
+  ["Amount", `${formatUnits(amountWei)} LPT`],
+  ["Withdrawable", `after ${unbondingRounds} rounds; it stops earning now`],
+], "0x27de9e32" + word(amountWei));
+
+// bond(uint256 _amount, address _to). With amount 0 it moves the existing
+// stake to `to` — a redelegation; a positive amount also needs an LPT approve.
+export const bondTx = (to, { amountWei = 0n, from, stake } = {}) => tx("bond", amountWei > 0n ? `Bond ${formatUnits(amountWei)} LPT to ${fmtAddr(to)}` : `Move stake to ${fmtAddr(to)}`, [
+  ...(from ? [["From", from]] : []),
+  ["To", to],
+  ["Amount", amountWei > 0n ? `${formatUnits(amountWei)} LPT more` : `${stake ?? "all bonded"} LPT, existing stake`],
+  ["Note", "Pending rewards and fees are claimed in the same transaction"],
+], "0xb78d27dc" + word(amountWei) + addressWord(to));
+
+// ── Sending ──
+const GAS_HEADROOM = 120n; // percent of the estimate used as the gas limit
+
+// Dry-runs the transaction: a revert here (lock not yet withdrawable, nothing
+// to withdraw) is reported before anything is signed. Resolves to
+// { gasLimit, gasPrice, feeWei, fee } with fee as an ETH decimal string.
+export async function preflight(provider, from, txn) {
+  await ensureArbitrum(provider);
+  const call = { from, to: txn.to, data: txn.data };
+  let gas;
+  try {
+    gas = BigInt(await request(provider, "eth_estimateGas", [call]));
+  } catch (err) {
+    if (err.kind === "revert") throw new WalletError("revert", `${txn.title} would fail: ${err.message}`, { cause: err });
+    throw err;
+  }
+  const gasPrice = BigInt(await request(provider, "eth_gasPrice"));
+  const gasLimit = (gas * GAS_HEADROOM) / 100n;
+  const feeWei = gasLimit * gasPrice;
+  return { gasLimit, gasPrice, feeWei, fee: formatUnits(feeWei) };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Signs and sends, then polls for the receipt. `onStatus` sees
+// { status: "signing" }, { status: "pending", hash } and finally
+// { status: "confirmed" | "failed", hash, receipt }, which is also what
+// resolves. Times out (as "provider") if no receipt shows up.
+export async function sendTx(provider, from, txn, { gasLimit, onStatus = () => {}, pollMs = 2000, timeoutMs = 10 * 60 * 1000 } = {}) {
+  onStatus({ status: "signing" });
+  const hash = await request(provider, "eth_sendTransaction", [{
+    from, to: txn.to, data: txn.data, value: "0x0",
+    ...(gasLimit ? { gas: `0x${gasLimit.toString(16)}` } : {}),
+  }]);
+  onStatus({ status: "pending", hash });
+  for (const deadline = Date.now() + timeoutMs; Date.now() < deadline; await sleep(pollMs)) {
+    const receipt = await request(provider, "eth_getTransactionReceipt", [hash]);
+    if (receipt) {
+      const result = { status: receipt.status === "0x1" ? "confirmed" : "failed", hash, receipt };
+      onStatus(result);
+      return result;
+    }
+  }
+  throw new WalletError("provider", `No receipt for ${hash} after ${Math.round(timeoutMs / 60000)} min — check it on Arbiscan`);
+}
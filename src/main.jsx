@@ -3,8 +3,16 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Offline fixture mode (VITE_FIXTURES / VITE_RECORD_FIXTURES) swaps in its fetch
+// before the first request goes out. Imported lazily so normal builds don't carry it.
+const ready = import.meta.env.VITE_FIXTURES || import.meta.env.VITE_RECORD_FIXTURES
+  ? import('./lib/fixtures.js').then((m) => m.installFromEnv(import.meta.env))
+  : Promise.resolve()
+
+ready.then(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})